@@ -0,0 +1,144 @@
+// Append-only audit log of every tool call that runs a query: what was asked of
+// which network and collection, by which client and session, the SQL that was
+// run, when, how long it took and how many rows came back. Entries are
+// JSON lines in the file named by OMICS_AUDIT_LOG (default
+// ./audit/queries.jsonl; "off" disables the log). Access tokens are never
+// recorded.
+
+import { randomUUID } from 'crypto';
+import { createReadStream } from 'fs';
+import { appendFile, mkdir } from 'fs/promises';
+import path from 'path';
+import { createInterface } from 'readline';
+import { logger } from './logger.js';
+
+export const AUDITED_TOOLS = [
+  'sql_search', 'query_table', 'count_rows', 'explain_sql', 'fetch_next_page', 'export_query_results',
+  'lookup_variants', 'profile_column', 'profile_table', 'federated_query', 'start_query', 'get_query_results'
+];
+
+export function auditLogOptions() {
+  const value = process.env.OMICS_AUDIT_LOG;
+  if (value === 'off') {
+    return { file: null };
+  }
+  return { file: path.resolve(value || path.join('audit', 'queries.jsonl')) };
+}
+
+// Access tokens the call carries: its own and federated_query's per-target ones
+export function callTokens(args = {}) {
+  const targets = Array.isArray(args?.targets) ? args.targets : [];
+  return [args?.access_token, ...targets.map(target => target?.access_token)].filter(Boolean);
+}
+
+// Arguments with every access_token dropped, however deeply it is nested
+function withoutTokens(value) {
+  if (Array.isArray(value)) {
+    return value.map(withoutTokens);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => key !== 'access_token')
+      .map(([key, item]) => [key, withoutTokens(item)]));
+  }
+  return value;
+}
+
+// The audit entry for one tool call. `sql` lists the statements the call ran
+// (ToolContext.recordSql); `redact` scrubs secrets from text.
+export function auditEntry({ tool, args = {}, result, outcome, error, durationMs, sql = [], sessionId, client, requestId, redact }) {
+  const structured = result?.structuredContent;
+  const entry = {
+    id: randomUUID(),
+    time: new Date().toISOString(),
+    session_id: sessionId,
+    client: client ?? null,
+    request_id: requestId ?? null,
+    tool,
+    network: args.network ?? null,
+    collection: args.collection_slug ?? null,
+    table: args.table_name ?? null,
+    arguments: withoutTokens(args),
+    // After the SQL guard, which may add a LIMIT; one statement per line
+    executed_sql: sql.length ? sql.join(';\n') : null,
+    outcome,
+    // Answered from the result cache rather than run against the network
+    cached: structured?.cache?.hit ?? null,
+    // The saved cohort the query was restricted to, at the revision used
+    cohort: structured?.cohort ?? null,
+    rows: Array.isArray(structured?.rows) ? structured.rows.length : null,
+    count: tool === 'count_rows' ? structured?.count ?? null : null,
+    duration_ms: durationMs,
+    error: error ?? null
+  };
+  return JSON.parse(redact(JSON.stringify(entry)));
+}
+
+export class AuditLog {
+  constructor({ file = null } = {}) {
+    this.file = file;
+    // Appends are serialized so entries land in the order calls finished
+    this.queue = Promise.resolve();
+  }
+
+  get enabled() {
+    return Boolean(this.file);
+  }
+
+  append(entry) {
+    if (!this.file) {
+      return Promise.resolve();
+    }
+    this.queue = this.queue.then(async () => {
+      try {
+        await mkdir(path.dirname(this.file), { recursive: true });
+        await appendFile(this.file, JSON.stringify(entry) + '\n', { flag: 'a' });
+      } catch (e) {
+        logger.error('Failed to write audit log entry', { error: e.message, audit_id: entry.id });
+      }
+    });
+    return this.queue;
+  }
+
+  // Entries matching every given field, oldest first. `client` is compared
+  // exactly, so null only matches entries recorded without a client.
+  async read({ sessionId, client, tool, network, collection, since } = {}) {
+    if (!this.file) {
+      return [];
+    }
+    await this.queue;
+
+    const entries = [];
+    let input;
+    try {
+      input = createReadStream(this.file, { encoding: 'utf8' });
+      for await (const line of createInterface({ input, crlfDelay: Infinity })) {
+        if (!line.trim()) {
+          continue;
+        }
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (e) {
+          continue; // A torn write; skip it rather than fail the read
+        }
+        if ((sessionId === undefined || entry.session_id === sessionId) &&
+          (client === undefined || entry.client === client) &&
+          (tool === undefined || entry.tool === tool) &&
+          (network === undefined || entry.network === network) &&
+          (collection === undefined || entry.collection === collection) &&
+          (since === undefined || entry.time >= since)) {
+          entries.push(entry);
+        }
+      }
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return [];
+      }
+      throw e;
+    } finally {
+      input?.destroy();
+    }
+    return entries;
+  }
+}
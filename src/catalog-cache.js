@@ -0,0 +1,146 @@
+// TTL cache for catalog lookups (collections, tables, table schemas), with
+// optional persistence so short-lived server processes can share it.
+
+import { createHash } from 'crypto';
+import { mkdir, readFile, readdir, rm, writeFile } from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+
+export const DEFAULT_CATALOG_TTL = 3600; // seconds
+
+export function catalogCacheOptions() {
+  const ttl = process.env.OMICS_CATALOG_TTL;
+  const ttlSeconds = ttl === undefined || ttl === '' ? DEFAULT_CATALOG_TTL : Number(ttl);
+  if (!Number.isFinite(ttlSeconds) || ttlSeconds < 0) {
+    throw new Error(`OMICS_CATALOG_TTL must be a non-negative number of seconds, got '${ttl}'`);
+  }
+
+  return {
+    ttlMs: ttlSeconds * 1000,
+    dir: process.env.OMICS_CATALOG_CACHE_DIR ? path.resolve(process.env.OMICS_CATALOG_CACHE_DIR) : null
+  };
+}
+
+// Tokens can unlock private collections, so cached entries are scoped to a
+// hash of the token rather than shared with anonymous callers.
+export function identityOf(access_token) {
+  return access_token ? createHash('sha256').update(access_token).digest('hex').slice(0, 16) : 'anonymous';
+}
+
+export class CatalogCache {
+  constructor({ ttlMs = DEFAULT_CATALOG_TTL * 1000, dir = null } = {}) {
+    this.ttlMs = ttlMs;
+    this.dir = dir;
+    this.entries = new Map();
+    this.pending = new Map();
+  }
+
+  static keyOf({ kind, network, identity, collection = '', table = '' }) {
+    return [kind, network, identity, collection, table].join('\u0000');
+  }
+
+  fileOf(key) {
+    return path.join(this.dir, `${createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  isFresh(entry) {
+    return entry && Date.now() - entry.storedAt < this.ttlMs;
+  }
+
+  // Return the cached value for `parts`, calling `load` on a miss. Concurrent
+  // misses for the same key share a single load.
+  async get(parts, load) {
+    if (this.ttlMs <= 0) {
+      return load();
+    }
+
+    const key = CatalogCache.keyOf(parts);
+    const cached = this.entries.get(key) || await this.readFromDisk(key);
+    if (this.isFresh(cached)) {
+      this.entries.set(key, cached);
+      return cached.value;
+    }
+
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+
+    const loading = (async () => {
+      try {
+        const value = await load();
+        const entry = { ...parts, storedAt: Date.now(), value };
+        this.entries.set(key, entry);
+        await this.writeToDisk(key, entry);
+        return value;
+      } finally {
+        this.pending.delete(key);
+      }
+    })();
+    this.pending.set(key, loading);
+    return loading;
+  }
+
+  async readFromDisk(key) {
+    if (!this.dir) {
+      return null;
+    }
+    try {
+      return JSON.parse(await readFile(this.fileOf(key), 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async writeToDisk(key, entry) {
+    if (!this.dir) {
+      return;
+    }
+    try {
+      await mkdir(this.dir, { recursive: true });
+      await writeFile(this.fileOf(key), JSON.stringify(entry));
+    } catch (e) {
+      // A read-only or full disk only costs us persistence
+      logger.warn("Failed to persist catalog cache entry", { error: e.message });
+    }
+  }
+
+  // Drop every entry matching the given network/collection/table (all of
+  // them when nothing is given), across all identities. Returns the count.
+  async invalidate({ network, collection, table } = {}) {
+    const matches = entry =>
+      (!network || entry.network === network) &&
+      (!collection || entry.collection === collection) &&
+      (!table || entry.table === table);
+
+    const removed = new Set();
+    for (const [key, entry] of this.entries) {
+      if (matches(entry)) {
+        this.entries.delete(key);
+        removed.add(key);
+      }
+    }
+
+    if (this.dir) {
+      let files = [];
+      try {
+        files = await readdir(this.dir);
+      } catch (e) {
+        files = [];
+      }
+      for (const file of files.filter(f => f.endsWith('.json'))) {
+        const filePath = path.join(this.dir, file);
+        try {
+          const entry = JSON.parse(await readFile(filePath, 'utf8'));
+          if (matches(entry)) {
+            await rm(filePath, { force: true });
+            removed.add(CatalogCache.keyOf(entry));
+          }
+        } catch (e) {
+          // Unreadable cache files are left for the next successful write
+        }
+      }
+    }
+
+    return removed.size;
+  }
+}
@@ -0,0 +1,199 @@
+// Local keyword index over collection names and descriptions, table names and
+// field names, for search_catalog. There is one snapshot per network and
+// caller identity; snapshots are kept under OMICS_CATALOG_CACHE_DIR when it is
+// set so searches keep working offline once an index has been built. A
+// snapshot goes stale once it is older than the catalog TTL, or when
+// refresh_catalog drops the catalog entries it was built from.
+
+import { createHash } from 'crypto';
+import { mkdir, readFile, readdir, writeFile } from 'fs/promises';
+import path from 'path';
+import { DEFAULT_CATALOG_TTL } from './catalog-cache.js';
+import { levenshtein } from './fuzzy.js';
+import { logger } from './logger.js';
+
+export const INDEX_KINDS = ['collection', 'table', 'field'];
+export const REBUILD_MODES = ['auto', 'none', 'incremental', 'full'];
+
+// "sampleID", "sample_id" and "Sample ID" all give ["sample", "id"]
+export function tokenize(text) {
+  return String(text || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+// How well one query term matches a name (and optional description)
+function scoreTerm(term, { name, tokens, description }) {
+  if (name === term) {
+    return 10;
+  }
+  if (tokens.includes(term)) {
+    return 7;
+  }
+  if (name.startsWith(term)) {
+    return 5;
+  }
+  if (name.includes(term)) {
+    return 4;
+  }
+  if (term.length >= 4) {
+    const maxDistance = term.length >= 8 ? 2 : 1;
+    if (tokens.some(token => Math.abs(token.length - term.length) <= maxDistance && levenshtein(token, term) <= maxDistance)) {
+      return 3;
+    }
+  }
+  if (description && description.includes(term)) {
+    return 2;
+  }
+  return 0;
+}
+
+// Flatten a snapshot into searchable documents
+function documentsOf(snapshot) {
+  const docs = [];
+  const add = (doc, name, description = '') => docs.push({
+    ...doc,
+    match: { name: name.toLowerCase(), tokens: tokenize(name), description: description.toLowerCase() }
+  });
+
+  for (const collection of snapshot.collections) {
+    const base = { network: snapshot.name, collection: collection.slug, collection_name: collection.name };
+    add({ ...base, kind: 'collection', table: null, field: null, type: null, description: collection.description },
+      `${collection.name} ${collection.slug}`, collection.description || '');
+
+    for (const table of collection.tables) {
+      // Qualified names repeat the collection; match on the table's own name
+      const shortName = table.name.split('.').pop();
+      add({ ...base, kind: 'table', table: table.name, field: null, type: null, description: table.display_name },
+        shortName, table.display_name || '');
+
+      for (const field of table.fields || []) {
+        add({ ...base, kind: 'field', table: table.name, field: field.name, type: field.type || null, description: null },
+          field.name);
+      }
+    }
+  }
+  return docs;
+}
+
+// Ranked hits: more matched terms first, then higher score
+export function searchSnapshots(snapshots, query, { kinds = INDEX_KINDS, limit = 20 } = {}) {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) {
+    throw new Error('query must contain at least one letter or digit');
+  }
+
+  const hits = [];
+  for (const snapshot of snapshots) {
+    for (const doc of documentsOf(snapshot)) {
+      if (!kinds.includes(doc.kind)) {
+        continue;
+      }
+      const scores = terms.map(term => scoreTerm(term, doc.match));
+      const matched = terms.filter((_, i) => scores[i] > 0);
+      if (matched.length === 0) {
+        continue;
+      }
+      const { match, ...hit } = doc;
+      hits.push({ ...hit, score: scores.reduce((a, b) => a + b, 0), matched_terms: matched });
+    }
+  }
+
+  hits.sort((a, b) =>
+    b.matched_terms.length - a.matched_terms.length ||
+    b.score - a.score ||
+    INDEX_KINDS.indexOf(a.kind) - INDEX_KINDS.indexOf(b.kind) ||
+    `${a.network}/${a.collection}/${a.table}/${a.field}`.localeCompare(`${b.network}/${b.collection}/${b.table}/${b.field}`));
+
+  return { total: hits.length, hits: hits.slice(0, limit) };
+}
+
+export function snapshotStats(snapshot) {
+  const tables = snapshot.collections.flatMap(c => c.tables);
+  return {
+    collections: snapshot.collections.length,
+    tables: tables.length,
+    fields: tables.reduce((sum, t) => sum + (t.fields?.length || 0), 0)
+  };
+}
+
+export class CatalogIndex {
+  constructor({ dir = null, ttlMs = DEFAULT_CATALOG_TTL * 1000 } = {}) {
+    this.dir = dir ? path.join(dir, 'search-index') : null;
+    this.ttlMs = ttlMs;
+    this.snapshots = new Map();
+  }
+
+  // Whether a snapshot should be rebuilt before it is searched again
+  isStale(snapshot) {
+    return Boolean(snapshot.stale) || Date.now() - Date.parse(snapshot.built_at) >= this.ttlMs;
+  }
+
+  static keyOf(url, identity) {
+    return createHash('sha256').update(`${url}\u0000${identity}`).digest('hex');
+  }
+
+  async load(url, identity) {
+    const key = CatalogIndex.keyOf(url, identity);
+    if (!this.snapshots.has(key) && this.dir) {
+      try {
+        this.snapshots.set(key, JSON.parse(await readFile(path.join(this.dir, `${key}.json`), 'utf8')));
+      } catch (e) {
+        // Not built yet
+      }
+    }
+    return this.snapshots.get(key) || null;
+  }
+
+  async save(snapshot) {
+    const key = CatalogIndex.keyOf(snapshot.url, snapshot.identity);
+    this.snapshots.set(key, snapshot);
+    if (!this.dir) {
+      return;
+    }
+    try {
+      await mkdir(this.dir, { recursive: true });
+      await writeFile(path.join(this.dir, `${key}.json`), JSON.stringify(snapshot));
+    } catch (e) {
+      logger.warn("Failed to persist catalog index", { error: e.message });
+    }
+  }
+
+  // Mark the snapshots of the network at `url` (every network when null)
+  // stale, across all identities. Returns how many were marked.
+  async markStale(url = null) {
+    const matches = snapshot => !snapshot.stale && (!url || snapshot.url === url);
+    const marked = new Set();
+    for (const [key, snapshot] of this.snapshots) {
+      if (matches(snapshot)) {
+        this.snapshots.set(key, { ...snapshot, stale: true });
+        marked.add(key);
+      }
+    }
+
+    if (this.dir) {
+      let files = [];
+      try {
+        files = await readdir(this.dir);
+      } catch (e) {
+        files = [];
+      }
+      for (const file of files.filter(f => f.endsWith('.json'))) {
+        const filePath = path.join(this.dir, file);
+        try {
+          const snapshot = JSON.parse(await readFile(filePath, 'utf8'));
+          if (matches(snapshot)) {
+            await writeFile(filePath, JSON.stringify({ ...snapshot, stale: true }));
+            marked.add(CatalogIndex.keyOf(snapshot.url, snapshot.identity));
+          }
+        } catch (e) {
+          // Unreadable snapshots are replaced on the next rebuild
+        }
+      }
+    }
+
+    return marked.size;
+  }
+}
@@ -0,0 +1,162 @@
+// Named cohorts: a filter set or SQL WHERE condition bound to one table, saved
+// so query_table, count_rows and sql_search can reuse it by name. Cohorts are
+// kept in a versioned JSON file, OMICS_COHORTS_FILE (default
+// ./cohorts/cohorts.json), and belong to the client that saved them.
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+import { closeMatches } from './fuzzy.js';
+import { normalizeFilters, toSqlCondition } from './filters.js';
+import { tokenize } from './sql-guard.js';
+
+// Bump when the file layout changes, and migrate older files in load()
+export const COHORTS_FILE_VERSION = 1;
+const MAX_NAME_LENGTH = 100;
+
+export function cohortStoreOptions() {
+  return { file: path.resolve(process.env.OMICS_COHORTS_FILE || path.join('cohorts', 'cohorts.json')) };
+}
+
+export function cohortName(name) {
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH || /[\u0000-\u001f]/.test(name)) {
+    throw new Error(`Cohort name must be 1-${MAX_NAME_LENGTH} characters without control characters`);
+  }
+  return name.trim();
+}
+
+// A WHERE condition without surrounding comments, checked to be a single
+// balanced expression so it can be embedded in a larger query
+export function whereCondition(where) {
+  if (typeof where !== 'string') {
+    throw new Error("where must be a SQL condition string");
+  }
+  const tokens = tokenize(where);
+  if (tokens.length === 0) {
+    throw new Error("where must not be empty");
+  }
+
+  let depth = 0;
+  for (const token of tokens) {
+    if (token.value === ';') {
+      throw new Error("where must be a single condition, without ';'");
+    }
+    if (token.value === '(') {
+      depth++;
+    } else if (token.value === ')' && --depth < 0) {
+      break;
+    }
+  }
+  if (depth !== 0) {
+    throw new Error("where has unbalanced parentheses");
+  }
+  return where.slice(tokens[0].start, tokens[tokens.length - 1].end);
+}
+
+// The cohort as a SQL condition on its table, whichever way it was defined
+export function cohortCondition(cohort) {
+  return cohort.where ?? toSqlCondition(normalizeFilters(cohort.filters));
+}
+
+// What a query result records about the cohort it used
+export function cohortReference(cohort) {
+  return { name: cohort.name, revision: cohort.revision, filters: cohort.filters, where: cohort.where };
+}
+
+export class CohortStore {
+  constructor({ file = null } = {}) {
+    this.file = file;
+    // Changes are read-modify-write, so they run one at a time
+    this.queue = Promise.resolve();
+  }
+
+  async load() {
+    let data;
+    try {
+      data = JSON.parse(await readFile(this.file, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Cannot read the cohorts file ${this.file}: ${e.message}`);
+    }
+    if (data?.version !== COHORTS_FILE_VERSION || !Array.isArray(data.cohorts)) {
+      throw new Error(`The cohorts file ${this.file} has version ${data?.version ?? 'unknown'}; this server reads version ${COHORTS_FILE_VERSION}`);
+    }
+    return data.cohorts;
+  }
+
+  // Write to a temporary file first so readers never see a partial file
+  async write(cohorts) {
+    await mkdir(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    await writeFile(temp, JSON.stringify({ version: COHORTS_FILE_VERSION, cohorts }, null, 2) + '\n');
+    await rename(temp, this.file);
+  }
+
+  // Apply `change` (cohorts -> { cohorts, result }) and save
+  update(change) {
+    const run = this.queue.then(async () => {
+      const { cohorts, result } = change(await this.load());
+      await this.write(cohorts);
+      return result;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async list(owner) {
+    await this.queue;
+    return (await this.load()).filter(c => c.owner === owner);
+  }
+
+  async get(name, owner) {
+    const cohorts = await this.list(owner);
+    const cohort = cohorts.find(c => c.name === name);
+    if (!cohort) {
+      throw unknownCohort(name, cohorts);
+    }
+    return cohort;
+  }
+
+  // Saving over an existing cohort needs `replace` and bumps its revision
+  save(cohort, { replace = false } = {}) {
+    return this.update(cohorts => {
+      const index = cohorts.findIndex(c => c.name === cohort.name && c.owner === cohort.owner);
+      const existing = cohorts[index];
+      if (existing && !replace) {
+        throw new Error(`Cohort '${cohort.name}' already exists (revision ${existing.revision}); pass replace: true to overwrite it`);
+      }
+
+      const now = new Date().toISOString();
+      const saved = {
+        ...cohort,
+        revision: (existing?.revision || 0) + 1,
+        created_at: existing?.created_at || now,
+        updated_at: now
+      };
+      const next = [...cohorts];
+      if (existing) {
+        next[index] = saved;
+      } else {
+        next.push(saved);
+      }
+      return { cohorts: next, result: saved };
+    });
+  }
+
+  delete(name, owner) {
+    return this.update(cohorts => {
+      const removed = cohorts.find(c => c.name === name && c.owner === owner);
+      if (!removed) {
+        throw unknownCohort(name, cohorts.filter(c => c.owner === owner));
+      }
+      return { cohorts: cohorts.filter(c => c !== removed), result: removed };
+    });
+  }
+}
+
+function unknownCohort(name, cohorts) {
+  const suggestions = closeMatches(String(name), cohorts.map(c => c.name));
+  return new Error(`Unknown cohort '${name}'` +
+    (suggestions.length ? `. Did you mean: ${suggestions.join(', ')}?` : '. Use list_cohorts to see saved cohorts.'));
+}
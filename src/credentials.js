@@ -0,0 +1,237 @@
+// Server-side credentials per network, so tokens do not have to pass through
+// the model's context. A network's "auth" entry in the network config is one
+// of:
+//
+//   { "type": "static", "token_env": "STAGING_TOKEN" }
+//   { "type": "client_credentials", "token_url": "https://idp.example.org/token",
+//     "client_id": "mcp", "client_secret_env": "STAGING_CLIENT_SECRET",
+//     "scope": "explorer", "audience": "https://staging.explorer.example.org" }
+//   { "type": "refresh_token", "token_url": "https://idp.example.org/token",
+//     "client_id": "mcp", "refresh_token_env": "STAGING_REFRESH_TOKEN" }
+//
+// Any of token, client_id, client_secret and refresh_token can be given
+// directly or as <name>_env naming an environment variable. A network's
+// top-level token_env is shorthand for a static credential. OAuth tokens are
+// cached in memory and refreshed shortly before they expire.
+
+import { OmicsApiError, createApiClient } from './http-client.js';
+
+export const AUTH_TYPES = ['static', 'client_credentials', 'refresh_token'];
+
+// Refresh this long before expiry (or halfway through short-lived tokens)
+const REFRESH_MARGIN_MS = 60000;
+
+function secret(config, key) {
+  if (config[key]) {
+    return config[key];
+  }
+  const envName = config[`${key}_env`];
+  return envName ? process.env[envName] || null : null;
+}
+
+function requireSecret(network, config, key) {
+  const value = secret(config, key);
+  if (!value) {
+    const source = config[`${key}_env`] ? `environment variable ${config[`${key}_env`]} is not set` : `'${key}' is not configured`;
+    throw new OmicsApiError(`Credentials for network '${network}' are incomplete: ${source}`, { kind: 'auth' });
+  }
+  return value;
+}
+
+class StaticCredential {
+  constructor(network, config) {
+    this.network = network;
+    this.config = config;
+    this.type = 'static';
+    this.refreshable = false;
+  }
+
+  get configured() {
+    return Boolean(secret(this.config, 'token'));
+  }
+
+  async token() {
+    return secret(this.config, 'token');
+  }
+
+  invalidate() {}
+
+  secrets() {
+    return [secret(this.config, 'token')];
+  }
+}
+
+class OAuthCredential {
+  constructor(network, config) {
+    if (typeof config.token_url !== 'string' || !config.token_url) {
+      throw new Error(`Invalid auth for network '${network}': 'token_url' is required for ${config.type}`);
+    }
+    if (config.client_auth !== undefined && !['basic', 'post'].includes(config.client_auth)) {
+      throw new Error(`Invalid auth for network '${network}': 'client_auth' must be 'basic' or 'post'`);
+    }
+
+    this.network = network;
+    this.config = config;
+    this.type = config.type;
+    this.refreshable = true;
+    this.current = null;
+    this.pending = null;
+    // Refresh-token grants may rotate the refresh token
+    this.refreshToken = null;
+  }
+
+  get configured() {
+    return true;
+  }
+
+  isFresh() {
+    if (!this.current) {
+      return false;
+    }
+    if (this.current.expiresAt === null) {
+      return true;
+    }
+    const margin = Math.min(REFRESH_MARGIN_MS, this.current.lifetimeMs / 2);
+    return Date.now() < this.current.expiresAt - margin;
+  }
+
+  async token() {
+    if (this.isFresh()) {
+      return this.current.accessToken;
+    }
+    if (!this.pending) {
+      this.pending = this.requestToken().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  invalidate() {
+    this.current = null;
+  }
+
+  secrets() {
+    return [
+      this.current?.accessToken,
+      this.refreshToken,
+      secret(this.config, 'client_secret'),
+      secret(this.config, 'refresh_token')
+    ];
+  }
+
+  grantParams() {
+    if (this.type === 'client_credentials') {
+      return { grant_type: 'client_credentials' };
+    }
+    return {
+      grant_type: 'refresh_token',
+      refresh_token: this.refreshToken || requireSecret(this.network, this.config, 'refresh_token')
+    };
+  }
+
+  async requestToken() {
+    const { config } = this;
+    const params = new URLSearchParams(this.grantParams());
+    if (config.scope) {
+      params.set('scope', config.scope);
+    }
+    if (config.audience) {
+      params.set('audience', config.audience);
+    }
+
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
+    };
+    const clientId = this.type === 'client_credentials'
+      ? requireSecret(this.network, config, 'client_id')
+      : secret(config, 'client_id');
+    const clientSecret = this.type === 'client_credentials'
+      ? requireSecret(this.network, config, 'client_secret')
+      : secret(config, 'client_secret');
+
+    if (clientId && clientSecret && config.client_auth !== 'post') {
+      const encode = value => encodeURIComponent(value);
+      headers['Authorization'] = `Basic ${Buffer.from(`${encode(clientId)}:${encode(clientSecret)}`).toString('base64')}`;
+    } else if (clientId) {
+      params.set('client_id', clientId);
+      if (clientSecret) {
+        params.set('client_secret', clientSecret);
+      }
+    }
+
+    const client = createApiClient({ baseURL: config.token_url, headers });
+    let data;
+    try {
+      ({ data } = await client.post('', params.toString()));
+    } catch (error) {
+      throw new OmicsApiError(`Could not obtain an access token for network '${this.network}': ${error.message}`, {
+        kind: 'auth',
+        status: error.status ?? null
+      });
+    }
+
+    if (!data || typeof data.access_token !== 'string') {
+      throw new OmicsApiError(`Token endpoint for network '${this.network}' did not return an access_token`, { kind: 'auth' });
+    }
+
+    const lifetimeMs = Number(data.expires_in) > 0 ? Number(data.expires_in) * 1000 : null;
+    this.current = {
+      accessToken: data.access_token,
+      lifetimeMs,
+      expiresAt: lifetimeMs === null ? null : Date.now() + lifetimeMs
+    };
+    if (typeof data.refresh_token === 'string') {
+      this.refreshToken = data.refresh_token;
+    }
+    return this.current.accessToken;
+  }
+}
+
+function createCredential(network) {
+  const auth = network.auth || (network.token_env ? { type: 'static', token_env: network.token_env } : null);
+  if (!auth) {
+    return null;
+  }
+  if (typeof auth !== 'object' || !AUTH_TYPES.includes(auth.type)) {
+    throw new Error(`Invalid auth for network '${network.name}': 'type' must be one of ${AUTH_TYPES.join(', ')}`);
+  }
+  return auth.type === 'static' ? new StaticCredential(network.name, auth) : new OAuthCredential(network.name, auth);
+}
+
+export class CredentialStore {
+  constructor(registry) {
+    this.registry = registry;
+    this.credentials = new Map();
+    for (const network of registry.list()) {
+      const credential = createCredential(network);
+      if (credential) {
+        this.credentials.set(network.name, credential);
+      }
+    }
+  }
+
+  // Credential for a network name, alias or URL, or null
+  credentialFor(network) {
+    const entry = this.registry.resolve(network).network;
+    return entry ? this.credentials.get(entry.name) || null : null;
+  }
+
+  // { type, configured } for list_networks; never the secret itself
+  describe(network) {
+    const credential = this.credentialFor(network);
+    return credential ? { type: credential.type, configured: credential.configured } : { type: null, configured: false };
+  }
+
+  // Replace any known secret (and the given extras) in text
+  redact(text, extra = []) {
+    const secrets = [...extra];
+    for (const credential of this.credentials.values()) {
+      secrets.push(...credential.secrets());
+    }
+    return secrets
+      .filter(value => typeof value === 'string' && value.length >= 4)
+      .reduce((result, value) => result.split(value).join('[redacted]'), String(text));
+  }
+}
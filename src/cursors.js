@@ -0,0 +1,44 @@
+// Opaque cursors for resuming paged SQL results with fetch_next_page.
+// Access tokens are deliberately never part of a cursor. Cursors are signed
+// with OMICS_CURSOR_SECRET (a random per-process secret when unset), so a
+// client can't point fetch_next_page at a URL of its choosing.
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+let secret = null;
+
+function cursorSecret() {
+  secret ??= process.env.OMICS_CURSOR_SECRET || randomBytes(32).toString('hex');
+  return secret;
+}
+
+function sign(payload) {
+  return createHmac('sha256', cursorSecret()).update(payload).digest('base64url');
+}
+
+export function encodeCursor({ network, collection_slug, sql, next_page_url }) {
+  const payload = Buffer.from(JSON.stringify({ v: 1, network, collection_slug, sql, next_page_url })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+export function decodeCursor(cursor) {
+  const [payload, signature, ...rest] = String(cursor).split('.');
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature || '');
+  if (rest.length > 0 || given.length !== expected.length || !timingSafeEqual(given, expected)) {
+    throw new Error("Invalid cursor");
+  }
+
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new Error("Invalid cursor");
+  }
+
+  if (!state || state.v !== 1 || !state.network || !state.collection_slug || !state.next_page_url) {
+    throw new Error("Invalid cursor");
+  }
+
+  return state;
+}
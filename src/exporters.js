@@ -0,0 +1,233 @@
+// Streaming row writers used by export_query_results
+
+import { createHash, randomUUID } from 'crypto';
+import { createReadStream, createWriteStream } from 'fs';
+import { mkdir, open, stat } from 'fs/promises';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import path from 'path';
+import parquet from 'parquetjs-lite';
+
+export const EXPORT_FORMATS = ['csv', 'tsv', 'ndjson', 'parquet'];
+
+export function getExportDir() {
+  return path.resolve(process.env.OMICS_EXPORT_DIR || 'exports');
+}
+
+// Resolve a requested output path inside the export directory. Generated
+// names carry a random suffix so concurrent exports never pick the same one.
+export function resolveExportPath(requested, format) {
+  const exportDir = getExportDir();
+  const fileName = requested || `export-${new Date().toISOString().replace(/[:.]/g, '-')}-${randomUUID().slice(0, 8)}.${format}`;
+  const resolved = path.resolve(exportDir, fileName);
+
+  if (resolved !== exportDir && !resolved.startsWith(exportDir + path.sep)) {
+    throw new Error(`Export path must be inside the export directory (${exportDir})`);
+  }
+
+  return resolved;
+}
+
+// Create the export file up front, failing if it exists, so an export never
+// replaces another client's file
+export async function reserveExportFile(filePath) {
+  await mkdir(path.dirname(filePath), { recursive: true });
+  try {
+    const handle = await open(filePath, 'wx');
+    await handle.close();
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      throw new Error(`${path.relative(getExportDir(), filePath)} already exists in the export directory; choose another path`);
+    }
+    throw error;
+  }
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+function csvCell(value) {
+  const text = cellText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function tsvCell(value) {
+  return cellText(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\t/g, '\\t')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+}
+
+// Pick a parquet type from the data model, falling back to the first value seen
+function parquetType(column, sample) {
+  const declared = column.type.split(', ').find(t => t && t !== 'null');
+  const type = declared || typeof sample;
+  if (type === 'integer') {
+    return 'INT64';
+  }
+  if (type === 'number') {
+    return 'DOUBLE';
+  }
+  if (type === 'boolean') {
+    return 'BOOLEAN';
+  }
+  return 'UTF8';
+}
+
+function parquetValue(name, type, value) {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  switch (type) {
+    case 'INT64':
+    case 'DOUBLE': {
+      const number = typeof value === 'number' ? value : Number(value);
+      if (!Number.isFinite(number) || (type === 'INT64' && !Number.isInteger(number))) {
+        throw new Error(`Value ${JSON.stringify(value)} in column '${name}' does not fit parquet type ${type}`);
+      }
+      return number;
+    }
+    case 'BOOLEAN':
+      return Boolean(value);
+    default:
+      return cellText(value);
+  }
+}
+
+async function openStream(filePath) {
+  const stream = createWriteStream(filePath);
+  await once(stream, 'open');
+  // Later write errors surface through stream.errored and finished()
+  stream.on('error', () => {});
+  return stream;
+}
+
+async function writeChunk(stream, chunk) {
+  if (stream.errored) {
+    throw stream.errored;
+  }
+  if (!stream.write(chunk)) {
+    await once(stream, 'drain');
+  }
+}
+
+class DelimitedWriter {
+  constructor(stream, columns, cell, delimiter) {
+    this.stream = stream;
+    this.columns = columns.map(c => c.name);
+    this.cell = cell;
+    this.delimiter = delimiter;
+    this.headerWritten = false;
+  }
+
+  async write(row) {
+    if (!this.headerWritten) {
+      await this.writeLine(this.columns.map(this.cell).join(this.delimiter));
+      this.headerWritten = true;
+    }
+    await this.writeLine(this.columns.map(name => this.cell(row[name])).join(this.delimiter));
+  }
+
+  async writeLine(line) {
+    await writeChunk(this.stream, line + '\n');
+  }
+
+  async close() {
+    if (!this.headerWritten && this.columns.length > 0) {
+      await this.writeLine(this.columns.map(this.cell).join(this.delimiter));
+    }
+    this.stream.end();
+    await finished(this.stream);
+  }
+}
+
+class NdjsonWriter {
+  constructor(stream) {
+    this.stream = stream;
+  }
+
+  async write(row) {
+    await writeChunk(this.stream, JSON.stringify(row) + '\n');
+  }
+
+  async close() {
+    this.stream.end();
+    await finished(this.stream);
+  }
+}
+
+// parquetjs buffers one row group at a time, so memory stays bounded
+class ParquetRowWriter {
+  constructor(filePath, columns) {
+    this.filePath = filePath;
+    this.columns = columns;
+    this.writer = null;
+    this.types = null;
+  }
+
+  async open(sampleRow) {
+    const fields = {};
+    this.types = {};
+    for (const column of this.columns) {
+      const type = parquetType(column, sampleRow?.[column.name]);
+      this.types[column.name] = type;
+      fields[column.name] = { type, optional: true };
+    }
+    this.writer = await parquet.ParquetWriter.openFile(new parquet.ParquetSchema(fields), this.filePath);
+  }
+
+  async write(row) {
+    if (!this.writer) {
+      await this.open(row);
+    }
+    const record = {};
+    for (const column of this.columns) {
+      record[column.name] = parquetValue(column.name, this.types[column.name], row[column.name]);
+    }
+    await this.writer.appendRow(record);
+  }
+
+  async close() {
+    if (!this.writer) {
+      await this.open(null);
+    }
+    await this.writer.close();
+  }
+}
+
+export async function createRowWriter(format, filePath, columns) {
+  await mkdir(path.dirname(filePath), { recursive: true });
+
+  switch (format) {
+    case 'csv':
+      return new DelimitedWriter(await openStream(filePath), columns, csvCell, ',');
+    case 'tsv':
+      return new DelimitedWriter(await openStream(filePath), columns, tsvCell, '\t');
+    case 'ndjson':
+      return new NdjsonWriter(await openStream(filePath));
+    case 'parquet':
+      if (columns.length === 0) {
+        throw new Error("Cannot write a parquet file without any columns");
+      }
+      return new ParquetRowWriter(filePath, columns);
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+export async function fileDigest(filePath) {
+  const hash = createHash('sha256');
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  const { size } = await stat(filePath);
+  return { sha256: hash.digest('hex'), bytes: size };
+}
@@ -0,0 +1,66 @@
+// Helpers for federated_query: one SQL template or filter set run against
+// several network/collection targets, with rows tagged by their source.
+
+import { quoteQualifiedName } from "./sql.js";
+
+export const MAX_FEDERATED_TARGETS = 20;
+export const SOURCE_COLUMN = '_source';
+
+export function targetLabel(target) {
+  return target.label || [target.network, target.collection_slug, target.table_name].filter(Boolean).join('/');
+}
+
+export function validateTargets(targets, { needsTable }) {
+  if (!Array.isArray(targets) || targets.length === 0) {
+    throw new Error("targets must be a non-empty array of { network, collection_slug, table_name? }");
+  }
+  if (targets.length > MAX_FEDERATED_TARGETS) {
+    throw new Error(`At most ${MAX_FEDERATED_TARGETS} targets can be queried at once (got ${targets.length})`);
+  }
+
+  const labels = new Set();
+  targets.forEach((target, i) => {
+    if (!target || typeof target.network !== 'string' || typeof target.collection_slug !== 'string') {
+      throw new Error(`Target ${i + 1} needs 'network' and 'collection_slug'`);
+    }
+    if (needsTable && !target.table_name) {
+      throw new Error(`Target ${i + 1} (${targetLabel(target)}) needs 'table_name'`);
+    }
+    const label = targetLabel(target);
+    if (labels.has(label)) {
+      throw new Error(`Duplicate target '${label}'; give one of them a 'label'`);
+    }
+    labels.add(label);
+  });
+}
+
+// Fill {table} in a SQL template with the target's quoted table name
+export function renderSqlTemplate(template, target) {
+  if (!template.includes('{table}')) {
+    return template;
+  }
+  if (!target.table_name) {
+    throw new Error(`The SQL template uses {table} but target '${targetLabel(target)}' has no table_name`);
+  }
+  return template.split('{table}').join(quoteQualifiedName(target.table_name));
+}
+
+// The template as a count of every row it returns, for aggregate mode
+export function countingSql(sql) {
+  return `SELECT count(*) AS row_count FROM (\n${sql.trim().replace(/;\s*$/, '')}\n) AS counted`;
+}
+
+// Union of the targets' columns, first occurrence wins, plus the source column
+export function mergeColumns(columnLists) {
+  const columns = [{ name: SOURCE_COLUMN, type: 'string', sql_type: 'varchar' }];
+  const seen = new Set([SOURCE_COLUMN]);
+  for (const list of columnLists) {
+    for (const column of list) {
+      if (!seen.has(column.name)) {
+        seen.add(column.name);
+        columns.push(column);
+      }
+    }
+  }
+  return columns;
+}
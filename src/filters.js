@@ -0,0 +1,211 @@
+// Typed filter grammar for query_table and count_rows
+//
+//   condition  { "field": "chrom", "op": "eq", "value": "chr1" }
+//   group      { "and": [ ...filters ] }  or  { "or": [ ...filters ] }
+//   shorthand  { "chrom": "chr1", "pos": [1, 2] }  (eq / in, combined with AND)
+//
+// Filters are validated against the table's schema fields and translated into
+// the nested { operator, filters: [{ field, operation, value }] } structure
+// the Explorer /filter endpoint accepts, or into an equivalent SQL condition.
+
+import { closeMatches } from "./fuzzy.js";
+import { quoteIdentifier, sqlLiteral } from "./sql.js";
+
+export const FILTER_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'between', 'like', 'is_null'];
+
+export const FILTERS_INPUT_SCHEMA = {
+  type: "object",
+  description: "Filter expression. A condition is {\"field\", \"op\", \"value\"} with op one of " +
+    "eq, neq, gt, gte, lt, lte, in (array value), between ([low, high]), like (SQL pattern using % and _) " +
+    "or is_null (value true for IS NULL, false for IS NOT NULL). Combine conditions with {\"and\": [...]} " +
+    "or {\"or\": [...]}. Shorthand {\"field\": value} means eq, or in when the value is an array.",
+  additionalProperties: true,
+  examples: [
+    { field: "chrom", op: "eq", value: "chr1" },
+    { and: [{ field: "chrom", op: "eq", value: "chr1" }, { field: "pos", op: "between", value: [1000000, 2000000] }] },
+    { or: [{ field: "gene", op: "in", value: ["SOD1", "C9orf72"] }, { field: "af", op: "lt", value: 0.01 }] },
+    { chrom: "chr17", gene: ["TP53", "BRCA1"] }
+  ]
+};
+
+// Turn shorthand and explicit forms into a { and|or: [...] } / condition tree
+export function normalizeFilters(filters) {
+  if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new Error("filters must be an object");
+  }
+
+  const keys = Object.keys(filters);
+  if ('and' in filters || 'or' in filters) {
+    if (keys.length !== 1) {
+      throw new Error("A filter group must have exactly one key, 'and' or 'or'");
+    }
+    const operator = keys[0];
+    const members = filters[operator];
+    if (!Array.isArray(members) || members.length === 0) {
+      throw new Error(`'${operator}' must be a non-empty array of filters`);
+    }
+    return { [operator]: members.map(normalizeFilters) };
+  }
+
+  if ('field' in filters && 'op' in filters) {
+    const { field, op, value } = filters;
+    const extra = keys.filter(k => !['field', 'op', 'value'].includes(k));
+    if (extra.length > 0) {
+      throw new Error(`Unexpected keys in filter condition: ${extra.join(', ')}`);
+    }
+    if (typeof field !== 'string' || !field) {
+      throw new Error("Filter 'field' must be a non-empty string");
+    }
+    if (!FILTER_OPERATORS.includes(op)) {
+      throw new Error(`Unknown filter operator '${op}' (expected one of ${FILTER_OPERATORS.join(', ')})`);
+    }
+    return { field, op, value: op === 'is_null' && value === undefined ? true : value };
+  }
+
+  // Shorthand dictionary
+  const conditions = keys.map(field => {
+    const value = filters[field];
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      throw new Error(`Shorthand filter for '${field}' must be a value or an array of values; use {"field", "op", "value"} for other operators`);
+    }
+    if (value === null) {
+      return { field, op: 'is_null', value: true };
+    }
+    return Array.isArray(value) ? { field, op: 'in', value } : { field, op: 'eq', value };
+  });
+  return conditions.length === 1 ? conditions[0] : { and: conditions };
+}
+
+function fieldKind(field) {
+  if (!field || !field.type) {
+    return 'any';
+  }
+  if (field.type.startsWith('array')) {
+    return 'array';
+  }
+  const types = field.type.split(', ').filter(t => t !== 'null');
+  if (types.every(t => t === 'integer' || t === 'number')) {
+    return 'number';
+  }
+  if (types.every(t => t === 'boolean')) {
+    return 'boolean';
+  }
+  if (types.every(t => t === 'string')) {
+    return 'string';
+  }
+  return 'any';
+}
+
+function checkValueType(condition, kind, value) {
+  if (kind === 'any') {
+    return;
+  }
+  if (typeof value !== kind) {
+    throw new Error(`Filter on '${condition.field}' (${kind}) got ${JSON.stringify(value)}; expected a ${kind} value`);
+  }
+}
+
+function validateCondition(condition, fieldsByName) {
+  const { field: name, op, value } = condition;
+  const field = fieldsByName.get(name);
+
+  if (!field) {
+    const suggestions = closeMatches(name, [...fieldsByName.keys()]);
+    throw new Error(`Unknown field '${name}'` +
+      (suggestions.length ? `. Did you mean: ${suggestions.join(', ')}?` : '. Use get_schema_fields to list the available fields.'));
+  }
+
+  const kind = fieldKind(field);
+
+  if (op === 'is_null') {
+    if (typeof value !== 'boolean') {
+      throw new Error(`is_null on '${name}' expects true or false`);
+    }
+    return;
+  }
+  if (kind === 'array') {
+    throw new Error(`Field '${name}' is an array (${field.type}); only is_null is supported`);
+  }
+
+  switch (op) {
+    case 'in':
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`'in' on '${name}' expects a non-empty array`);
+      }
+      value.forEach(v => checkValueType(condition, kind, v));
+      break;
+    case 'between':
+      if (!Array.isArray(value) || value.length !== 2) {
+        throw new Error(`'between' on '${name}' expects [low, high]`);
+      }
+      value.forEach(v => checkValueType(condition, kind, v));
+      break;
+    case 'like':
+      if (kind !== 'string' && kind !== 'any') {
+        throw new Error(`'like' is only supported on string fields; '${name}' is ${field.type}`);
+      }
+      checkValueType(condition, 'string', value);
+      break;
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte':
+      if (kind === 'boolean') {
+        throw new Error(`'${op}' is not supported on boolean field '${name}'`);
+      }
+      checkValueType(condition, kind, value);
+      break;
+    default:
+      if (value === undefined || value === null || typeof value === 'object') {
+        throw new Error(`'${op}' on '${name}' expects a single value; use is_null to match nulls`);
+      }
+      checkValueType(condition, kind, value);
+  }
+}
+
+// Throw on the first problem, naming the field and suggesting close matches
+export function validateFilters(tree, fields) {
+  const fieldsByName = new Map(fields.map(f => [f.name, f]));
+  const visit = node => {
+    if (node.and || node.or) {
+      (node.and || node.or).forEach(visit);
+    } else {
+      validateCondition(node, fieldsByName);
+    }
+  };
+  visit(tree);
+}
+
+export function toFilterPayload(tree) {
+  if (tree.and || tree.or) {
+    return {
+      operator: tree.and ? 'AND' : 'OR',
+      filters: (tree.and || tree.or).map(toFilterPayload)
+    };
+  }
+  return {
+    field: tree.field,
+    operation: tree.op.toUpperCase(),
+    value: tree.value
+  };
+}
+
+const SQL_COMPARISONS = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=', like: 'LIKE' };
+
+// The same tree as a Trino condition, for filters used inside SQL (cohorts)
+export function toSqlCondition(tree) {
+  if (tree.and || tree.or) {
+    return `(${(tree.and || tree.or).map(toSqlCondition).join(tree.and ? ' AND ' : ' OR ')})`;
+  }
+  const column = quoteIdentifier(tree.field);
+  switch (tree.op) {
+    case 'is_null':
+      return `${column} IS ${tree.value ? '' : 'NOT '}NULL`;
+    case 'in':
+      return `${column} IN (${tree.value.map(sqlLiteral).join(', ')})`;
+    case 'between':
+      return `${column} BETWEEN ${sqlLiteral(tree.value[0])} AND ${sqlLiteral(tree.value[1])}`;
+    default:
+      return `${column} ${SQL_COMPARISONS[tree.op]} ${sqlLiteral(tree.value)}`;
+  }
+}
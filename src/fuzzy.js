@@ -0,0 +1,34 @@
+// Approximate string matching for "did you mean" suggestions
+
+export function levenshtein(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Candidates that contain the name or are within a few edits of it, closest first
+export function closeMatches(name, candidates, limit = 3) {
+  const needle = name.toLowerCase();
+  const maxDistance = Math.max(2, Math.floor(needle.length / 3));
+
+  return candidates
+    .map(candidate => {
+      const hay = candidate.toLowerCase();
+      const distance = hay.includes(needle) || needle.includes(hay) ? 0.5 : levenshtein(needle, hay);
+      return { candidate, distance };
+    })
+    .filter(m => m.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+    .slice(0, limit)
+    .map(m => m.candidate);
+}
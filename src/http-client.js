@@ -0,0 +1,324 @@
+// Shared request layer for Explorer APIs: retries with exponential backoff
+// and jitter, Retry-After support, per-network concurrency limits and errors
+// that say what went wrong (auth, not found, rate limited, server, network).
+// Every attempt is logged and counted, and carries the current request's
+// correlation ID as X-Request-Id. Credentials are only sent to the network's
+// own origin.
+
+import axios from 'axios';
+import { currentRequest, logger } from './logger.js';
+import { upstreamRequestDuration, upstreamRequests } from './metrics.js';
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+// Safe to retry for any request
+const RETRYABLE_STATUS = [429, 503];
+// Only safe to retry when repeating the request cannot do extra work
+const RETRYABLE_STATUS_IDEMPOTENT = [408, 500, 502, 504];
+// The request never reached the server
+const UNSENT_ERROR_CODES = ['ECONNREFUSED', 'EAI_AGAIN'];
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+export class OmicsApiError extends Error {
+  constructor(message, { kind, status = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'OmicsApiError';
+    this.kind = kind;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function numberFromEnv(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative number, got '${value}'`);
+  }
+  return number;
+}
+
+export function httpClientOptions() {
+  return {
+    timeoutMs: numberFromEnv('OMICS_HTTP_TIMEOUT', 30) * 1000,
+    maxRetries: numberFromEnv('OMICS_HTTP_MAX_RETRIES', 3),
+    concurrency: numberFromEnv('OMICS_HTTP_CONCURRENCY', 4),
+    baseDelayMs: 500,
+    maxDelayMs: 30000
+  };
+}
+
+class Semaphore {
+  constructor(max) {
+    this.max = max;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  async acquire() {
+    if (this.max <= 0 || this.active < this.max) {
+      this.active++;
+      return;
+    }
+    await new Promise(resolve => this.waiting.push(resolve));
+    this.active++;
+  }
+
+  release() {
+    this.active--;
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    }
+  }
+}
+
+// One limiter per network, shared by every client created for it
+const limiters = new Map();
+
+function limiterFor(baseURL, concurrency) {
+  if (!limiters.has(baseURL)) {
+    limiters.set(baseURL, new Semaphore(concurrency));
+  }
+  return limiters.get(baseURL);
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export function isRetryable(error, method = 'get') {
+  const status = error.response?.status;
+  const idempotent = IDEMPOTENT_METHODS.includes(String(method).toLowerCase());
+
+  if (status) {
+    return RETRYABLE_STATUS.includes(status) || (idempotent && RETRYABLE_STATUS_IDEMPOTENT.includes(status));
+  }
+  if (UNSENT_ERROR_CODES.includes(error.code)) {
+    return true;
+  }
+  return idempotent && TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+export function backoffDelay(attempt, retryAfterMs, { baseDelayMs, maxDelayMs }) {
+  if (retryAfterMs !== null && retryAfterMs !== undefined) {
+    return retryAfterMs;
+  }
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  // Equal jitter: keep half the delay, randomize the rest
+  return exponential / 2 + Math.random() * (exponential / 2);
+}
+
+export function hostOf(baseURL) {
+  try {
+    return new URL(baseURL).host;
+  } catch (e) {
+    return baseURL || 'the network';
+  }
+}
+
+// Whether `url`, resolved against `baseURL`, is on the same origin
+export function sameOrigin(url, baseURL) {
+  try {
+    return new URL(url, baseURL).origin === new URL(baseURL).origin;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Status code, or the error kind when no response came back
+function outcomeOf(error) {
+  if (error.response?.status) {
+    return error.response.status;
+  }
+  if (error.code === 'ERR_CANCELED') {
+    return 'cancelled';
+  }
+  return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' ? 'timeout' : 'network';
+}
+
+function recordAttempt(config, outcome) {
+  if (!config?.omicsStartedAt) {
+    return;
+  }
+  const host = hostOf(config.baseURL);
+  const method = String(config.method || 'get').toUpperCase();
+  const seconds = (Date.now() - config.omicsStartedAt) / 1000;
+  upstreamRequests.inc({ host, method, status: outcome });
+  upstreamRequestDuration.observe({ host }, seconds);
+  // Next-page URLs can carry opaque tokens in their query strings
+  logger.debug('Upstream request', {
+    host,
+    method,
+    path: String(config.url || '').split('?')[0],
+    status: outcome,
+    attempt: (config.omicsAttempt || 0) + 1,
+    duration_ms: Math.round(seconds * 1000)
+  });
+}
+
+function responseDetail(data) {
+  if (!data) {
+    return '';
+  }
+  if (typeof data === 'string') {
+    return data.trim().slice(0, 200);
+  }
+  return data.errors?.[0]?.details || data.errors?.[0]?.title || data.message || data.error || '';
+}
+
+export function toApiError(error, { attempts = 1, retryable = false } = {}) {
+  if (error instanceof OmicsApiError) {
+    return error;
+  }
+
+  const config = error.config || {};
+  const host = hostOf(config.baseURL);
+  const status = error.response?.status;
+  const detail = responseDetail(error.response?.data);
+  const suffix = (detail ? `: ${detail}` : '') + (attempts > 1 ? ` (after ${attempts} attempts)` : '');
+
+  if (status === 401) {
+    return new OmicsApiError(`Authentication failed for ${host} (HTTP 401); the access token is missing, invalid or expired${suffix}`, { kind: 'auth', status });
+  }
+  if (status === 403) {
+    return new OmicsApiError(`Access denied by ${host} (HTTP 403); the credentials do not grant access to this resource${suffix}`, { kind: 'auth', status });
+  }
+  if (status === 404) {
+    return new OmicsApiError(`Not found on ${host} (HTTP 404): ${config.url || 'resource'} does not exist${detail ? ` (${detail})` : ''}`, { kind: 'not_found', status });
+  }
+  if (status === 429) {
+    const retryAfterMs = parseRetryAfter(error.response.headers?.['retry-after']);
+    const wait = retryAfterMs !== null ? `; retry after ${Math.ceil(retryAfterMs / 1000)}s` : '';
+    return new OmicsApiError(`Rate limited by ${host} (HTTP 429)${wait}${suffix}`, { kind: 'rate_limited', status, retryable: true, retryAfterMs });
+  }
+  if (status >= 500) {
+    return new OmicsApiError(`Server error from ${host} (HTTP ${status})${suffix}`, { kind: 'server', status, retryable });
+  }
+  if (status) {
+    return new OmicsApiError(`Request rejected by ${host} (HTTP ${status})${suffix}`, { kind: 'client', status });
+  }
+  if (error.code === 'ERR_CANCELED') {
+    return new OmicsApiError(`Request to ${host} was cancelled`, { kind: 'cancelled' });
+  }
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new OmicsApiError(`Request to ${host} timed out after ${(config.timeout || 0) / 1000}s${suffix}`, { kind: 'timeout', retryable });
+  }
+  return new OmicsApiError(`Could not reach ${host} (${error.code || error.message})${suffix}`, { kind: 'network', retryable });
+}
+
+// Ends early when the request is cancelled; the retry then fails fast
+const sleep = (ms, signal) => new Promise(resolve => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    resolve();
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// `auth`, when given, supplies the bearer token for each request:
+// { token(): Promise<string|null>, invalidate(), refreshable }. A 401 from a
+// refreshable credential drops the token and retries once with a fresh one.
+// Aborting `signal` cancels in-flight requests and pending retries.
+export function createApiClient({ baseURL, headers, auth = null, signal = null, options = httpClientOptions() }) {
+  const client = axios.create({
+    baseURL,
+    headers,
+    timeout: options.timeoutMs
+  });
+  const limiter = limiterFor(baseURL, options.concurrency);
+
+  const release = config => {
+    if (config && config.omicsSlotHeld) {
+      config.omicsSlotHeld = false;
+      limiter.release();
+    }
+  };
+
+  client.interceptors.request.use(async config => {
+    if (signal && !config.signal) {
+      config.signal = signal;
+    }
+    // Credentials only go to the network itself, never to another host
+    // named by an absolute URL such as an upstream next_page_url
+    if (!sameOrigin(config.url || '', config.baseURL)) {
+      config.headers.delete('Authorization');
+    } else if (auth) {
+      const token = await auth.token();
+      if (token) {
+        config.headers['Authorization'] = `Bearer ${token}`;
+      }
+    }
+    const { requestId } = currentRequest();
+    if (requestId) {
+      config.headers['X-Request-Id'] = requestId;
+    }
+    await limiter.acquire();
+    config.omicsSlotHeld = true;
+    config.omicsStartedAt = Date.now();
+    return config;
+  });
+
+  client.interceptors.response.use(
+    response => {
+      release(response.config);
+      recordAttempt(response.config, response.status);
+      return response;
+    },
+    async error => {
+      const config = error.config;
+      release(config);
+      if (!config) {
+        throw toApiError(error);
+      }
+      recordAttempt(config, outcomeOf(error));
+
+      if (error.response?.status === 401 && auth?.refreshable && !config.omicsAuthRetried) {
+        auth.invalidate();
+        return client.request({ ...config, omicsAuthRetried: true });
+      }
+
+      if (config.signal?.aborted) {
+        throw toApiError(error);
+      }
+
+      const attempt = config.omicsAttempt || 0;
+      const retryable = isRetryable(error, config.method);
+      const retryAfterMs = parseRetryAfter(error.response?.headers?.['retry-after']);
+
+      // Honour Retry-After only when it is within our own backoff ceiling
+      const withinBudget = retryAfterMs === null || retryAfterMs <= options.maxDelayMs;
+      if (retryable && withinBudget && attempt < options.maxRetries) {
+        const delayMs = backoffDelay(attempt, retryAfterMs, options);
+        logger.warn('Retrying upstream request', {
+          host: hostOf(config.baseURL),
+          status: outcomeOf(error),
+          attempt: attempt + 1,
+          delay_ms: Math.round(delayMs)
+        });
+        await sleep(delayMs, config.signal);
+        return client.request({ ...config, omicsAttempt: attempt + 1 });
+      }
+
+      throw toApiError(error, { attempts: attempt + 1, retryable });
+    }
+  );
+
+  return client;
+}
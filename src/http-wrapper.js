@@ -1,262 +1,402 @@
 #!/usr/bin/env node
 
 import express from 'express';
-import { spawn } from 'child_process';
-import { v4 as uuidv4 } from 'uuid';
-
-const app = express();
-app.use(express.json({ limit: '50mb' }));
-
-// Store active MCP server processes
-const activeSessions = new Map();
-
-// Health check endpoint
-app.get('/', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    service: 'omics-ai-mcp',
-    version: '1.0.0',
-    activeSessions: activeSessions.size
-  });
-});
-
-// Create a new MCP session
-app.post('/session', (req, res) => {
-  const sessionId = uuidv4();
-  
-  // Spawn the MCP server as a child process
-  const mcpProcess = spawn('node', ['src/index.js'], {
-    stdio: ['pipe', 'pipe', 'pipe'],
-    env: { ...process.env }
-  });
-
-  const session = {
-    id: sessionId,
-    process: mcpProcess,
-    buffer: '',
-    responses: []
-  };
-
-  // Handle stdout data from MCP server
-  mcpProcess.stdout.on('data', (data) => {
-    session.buffer += data.toString();
-    
-    // Try to parse complete JSON-RPC messages
-    const lines = session.buffer.split('\n');
-    session.buffer = lines.pop() || '';
-    
-    for (const line of lines) {
-      if (line.trim()) {
-        try {
-          const message = JSON.parse(line);
-          session.responses.push(message);
-        } catch (e) {
-          console.error('Failed to parse MCP response:', e);
-        }
-      }
-    }
+import { createHash, randomUUID, timingSafeEqual } from 'crypto';
+import { realpathSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { OmicsAIMCPServer } from './index.js';
+import { NetworkRegistry } from './networks.js';
+import { CredentialStore } from './credentials.js';
+import { CatalogCache, catalogCacheOptions } from './catalog-cache.js';
+import { CatalogIndex } from './catalog-index.js';
+import { QueryJobRegistry, queryJobOptions } from './query-jobs.js';
+import { AuditLog, auditLogOptions } from './audit-log.js';
+import { ResultCache, resultCacheOptions } from './result-cache.js';
+import { CohortStore, cohortStoreOptions } from './cohorts.js';
+import { logger, requestIdFrom, withRequestContext } from './logger.js';
+import { activeSessions, metrics } from './metrics.js';
+import {
+  Authenticator,
+  RateLimiter,
+  WrapperAuthError,
+  corsMiddleware,
+  wrapperAuthOptions,
+} from './wrapper-auth.js';
+
+const MCP_PATH = '/mcp';
+const SSE_PATH = '/sse';
+const SSE_MESSAGES_PATH = '/v1/omics-ai-mcp/messages';
+const AUDIT_PATH = '/sessions/:sessionId/audit';
+// JSON-RPC messages are small; tool arguments never need more
+const MAX_BODY_SIZE = '1mb';
+
+export function sessionIdleTimeoutMs() {
+  const value = process.env.OMICS_SESSION_IDLE_TIMEOUT;
+  const seconds = value === undefined || value === '' ? 1800 : Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    throw new Error(`OMICS_SESSION_IDLE_TIMEOUT must be a non-negative number of seconds, got '${value}'`);
+  }
+  return seconds * 1000;
+}
+
+// /metrics is open unless OMICS_METRICS_TOKEN is set, in which case scrapers
+// must send it as a bearer token
+function metricsAuthorized(req, token) {
+  if (!token) {
+    return true;
+  }
+  const digest = value => createHash('sha256').update(value).digest();
+  const given = /^Bearer (.+)$/i.exec(req.headers.authorization || '')?.[1] || '';
+  return timingSafeEqual(digest(given), digest(token));
+}
+
+function jsonRpcError(res, status, message) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: { code: -32000, message },
+    id: null
   });
+}
 
-  // Handle stderr
-  mcpProcess.stderr.on('data', (data) => {
-    console.error(`MCP stderr [${sessionId}]:`, data.toString());
+function authErrorResponse(res, error) {
+  if (error.status === 401) {
+    res.setHeader('WWW-Authenticate', 'Bearer realm="omics-ai-mcp"');
+  }
+  if (error.retryAfterSeconds !== null) {
+    res.setHeader('Retry-After', String(error.retryAfterSeconds));
+  }
+  jsonRpcError(res, error.status, error.message);
+}
+
+// Hosts MCP sessions in-process: each session gets its own OmicsAIMCPServer
+// connected to a Streamable HTTP or legacy SSE transport, and all of them
+// share the network registry, credentials, catalog cache and index, query jobs,
+// the audit log and the result cache.
+export function createHttpApp({
+  idleTimeoutMs = sessionIdleTimeoutMs(),
+  auth = wrapperAuthOptions(),
+  metricsToken = process.env.OMICS_METRICS_TOKEN || null
+} = {}) {
+  const app = express();
+
+  // Everything downstream, including tool calls and their upstream requests,
+  // logs under this request's correlation ID
+  app.use((req, res, next) => {
+    const requestId = requestIdFrom(req.headers);
+    const startedAt = Date.now();
+    res.setHeader('X-Request-Id', requestId);
+    res.on('finish', () => {
+      logger.debug('HTTP request', {
+        request_id: requestId,
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        duration_ms: Date.now() - startedAt
+      });
+    });
+    withRequestContext({ requestId }, next);
   });
 
-  // Handle process exit
-  mcpProcess.on('exit', (code) => {
-    console.log(`MCP process [${sessionId}] exited with code ${code}`);
-    activeSessions.delete(sessionId);
-  });
+  const authenticator = new Authenticator(auth);
+  const rateLimiter = new RateLimiter();
+  if (authenticator.open) {
+    logger.warn('OMICS_AUTH=off: the MCP endpoints are open to anyone');
+  } else if (!authenticator.enabled) {
+    throw new Error('No API keys or JWT verification configured; set OMICS_API_KEYS, OMICS_API_KEYS_FILE, OMICS_JWT_SECRET ' +
+      'or OMICS_JWT_PUBLIC_KEY, or set OMICS_AUTH=off to run the wrapper without authentication');
+  }
 
-  activeSessions.set(sessionId, session);
+  const networks = NetworkRegistry.load();
+  const shared = {
+    networks,
+    credentials: new CredentialStore(networks),
+    catalog: new CatalogCache(catalogCacheOptions()),
+    catalogIndex: new CatalogIndex(catalogCacheOptions()),
+    // Jobs outlive the session that started them
+    jobs: new QueryJobRegistry(queryJobOptions()),
+    auditLog: new AuditLog(auditLogOptions()),
+    // Entries are scoped per client, so sharing is safe
+    resultCache: new ResultCache(resultCacheOptions()),
+    // One store, so saves from different sessions don't overwrite each other
+    cohorts: new CohortStore(cohortStoreOptions())
+  };
 
-  res.json({ sessionId });
-});
+  // sessionId -> { transport, server, kind, client, lastSeen }
+  const sessions = new Map();
 
-// Send a message to an MCP session
-app.post('/session/:sessionId/message', async (req, res) => {
-  const { sessionId } = req.params;
-  const session = activeSessions.get(sessionId);
+  const openSession = async (transport) => {
+    const server = new OmicsAIMCPServer(shared);
+    await server.connect(transport);
+    return server;
+  };
 
-  if (!session) {
-    return res.status(404).json({ error: 'Session not found' });
-  }
+  const closeSession = async (sessionId) => {
+    const session = sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+    sessions.delete(sessionId);
+    logger.info('Session closed', { session_id: sessionId, transport: session.kind, client: session.client });
+    try {
+      await session.server.close();
+    } catch (e) {
+      logger.error('Failed to close session', { session_id: sessionId, error: e.message });
+    }
+  };
 
-  const { message } = req.body;
-  if (!message) {
-    return res.status(400).json({ error: 'Message is required' });
-  }
+  // A session is only visible to the client that opened it
+  const touch = (req, sessionId, kind) => {
+    const session = sessions.get(sessionId);
+    if (!session || session.kind !== kind || session.client !== req.omicsClient.id) {
+      return null;
+    }
+    session.lastSeen = Date.now();
+    return session;
+  };
 
-  // Clear previous responses
-  session.responses = [];
+  const checkSessionQuota = (client) => {
+    const open = [...sessions.values()].filter(s => s.client === client.id).length;
+    if (client.maxSessions && open >= client.maxSessions) {
+      throw new WrapperAuthError(`Session limit reached: ${open} of ${client.maxSessions} sessions are open; close one before starting another`, { status: 429 });
+    }
+  };
 
-  // Send message to MCP server
-  try {
-    session.process.stdin.write(JSON.stringify(message) + '\n');
+  // Authenticate, then apply the client's request rate limit
+  const requireClient = (req, res, next) => {
+    try {
+      const client = authenticator.authenticate(req);
+      const wait = rateLimiter.take(client.id, client.rateLimit);
+      if (wait > 0) {
+        throw new WrapperAuthError(`Rate limit exceeded: ${client.rateLimit} requests per minute; retry after ${wait}s`, {
+          status: 429,
+          retryAfterSeconds: wait
+        });
+      }
+      req.omicsClient = client;
+      // Surfaces as extra.authInfo in MCP request handlers
+      req.auth = { token: '', clientId: client.id, scopes: [] };
+      next();
+    } catch (error) {
+      if (error instanceof WrapperAuthError) {
+        return authErrorResponse(res, error);
+      }
+      next(error);
+    }
+  };
 
-    // Wait for response with timeout
-    const timeout = 30000; // 30 seconds
-    const startTime = Date.now();
+  // Health check endpoint
+  app.get('/', (req, res) => {
+    const kinds = [...sessions.values()].map(s => s.kind);
+    res.json({
+      status: 'ok',
+      service: 'omics-ai-mcp',
+      version: '1.0.0',
+      activeSessions: sessions.size,
+      streamableSessions: kinds.filter(k => k === 'streamable').length,
+      sseSessions: kinds.filter(k => k === 'sse').length
+    });
+  });
 
-    while (session.responses.length === 0) {
-      if (Date.now() - startTime > timeout) {
-        return res.status(504).json({ error: 'Request timeout' });
-      }
-      await new Promise(resolve => setTimeout(resolve, 100));
+  app.get('/metrics', (req, res) => {
+    if (!metricsAuthorized(req, metricsToken)) {
+      res.setHeader('WWW-Authenticate', 'Bearer realm="omics-ai-mcp-metrics"');
+      return res.status(401).type('text/plain').send('Unauthorized\n');
     }
+    const kinds = [...sessions.values()].map(s => s.kind);
+    for (const kind of ['streamable', 'sse']) {
+      activeSessions.set({ transport: kind }, kinds.filter(k => k === kind).length);
+    }
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+  });
 
-    // Return the first response
-    res.json(session.responses[0]);
-  } catch (error) {
-    console.error('Error sending message to MCP:', error);
-    res.status(500).json({ error: 'Failed to send message to MCP server' });
-  }
-});
+  // Bodies are only parsed once the client is authenticated and within its rate limit
+  app.use([MCP_PATH, SSE_PATH, SSE_MESSAGES_PATH, AUDIT_PATH], corsMiddleware(auth.corsOrigins), requireClient,
+    express.json({ limit: MAX_BODY_SIZE }));
 
-// Close an MCP session
-app.delete('/session/:sessionId', (req, res) => {
-  const { sessionId } = req.params;
-  const session = activeSessions.get(sessionId);
+  // Streamable HTTP: initialize creates a session, later requests carry Mcp-Session-Id
+  app.post(MCP_PATH, async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
 
-  if (!session) {
-    return res.status(404).json({ error: 'Session not found' });
-  }
+    try {
+      if (sessionId) {
+        const session = touch(req, sessionId, 'streamable');
+        if (!session) {
+          return jsonRpcError(res, 404, 'Session not found');
+        }
+        return await session.transport.handleRequest(req, res, req.body);
+      }
 
-  // Kill the MCP process
-  session.process.kill();
-  activeSessions.delete(sessionId);
-
-  res.json({ message: 'Session closed' });
-});
-
-// List active sessions
-app.get('/sessions', (req, res) => {
-  const sessions = Array.from(activeSessions.keys()).map(id => ({
-    id,
-    active: true
-  }));
-  res.json({ sessions });
-});
-
-// SSE endpoint for MCP compatibility - stateless version
-app.get('/sse', (req, res) => {
-  // Set SSE headers exactly like Pipedream
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache, no-transform');
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Connection', 'keep-alive');
-  
-  // Send endpoint information without session requirement
-  const endpointUrl = `/v1/omics-ai-mcp/messages`;
-  
-  res.write(`event: endpoint\n`);
-  res.write(`data: ${endpointUrl}\n\n`);
-  
-  // Keep connection alive
-  const keepAlive = setInterval(() => {
-    res.write(`: keepalive\n\n`);
-  }, 30000);
-  
-  req.on('close', () => {
-    clearInterval(keepAlive);
-    console.log(`SSE endpoint connection closed`);
-  });
-  
-  req.on('error', () => {
-    clearInterval(keepAlive);
-  });
-});
+      if (!isInitializeRequest(req.body)) {
+        return jsonRpcError(res, 400, 'Bad Request: no valid session ID provided');
+      }
+      checkSessionQuota(req.omicsClient);
+
+      const client = req.omicsClient.id;
+      let server;
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          sessions.set(id, { transport, server, kind: 'streamable', client, lastSeen: Date.now() });
+          logger.info('Session opened', { session_id: id, transport: 'streamable', client });
+        }
+      });
+      transport.onclose = () => {
+        if (transport.sessionId && sessions.delete(transport.sessionId)) {
+          logger.info('Session closed', { session_id: transport.sessionId, transport: 'streamable', client });
+        }
+      };
 
-// MCP Messages endpoint - stateless version (spawn process per request)
-app.post('/v1/omics-ai-mcp/messages', async (req, res) => {
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.setHeader('Content-Type', 'application/json');
+      server = await openSession(transport);
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      if (error instanceof WrapperAuthError) {
+        return authErrorResponse(res, error);
+      }
+      logger.error('Error handling MCP request', { error });
+      if (!res.headersSent) {
+        jsonRpcError(res, 500, 'Internal server error');
+      }
+    }
+  });
 
-  try {
-    // Spawn new MCP process for each request (stateless)
-    const mcpProcess = spawn('node', ['src/index.js'], {
-      stdio: ['pipe', 'pipe', 'pipe'],
-      env: { ...process.env }
-    });
+  // GET opens the standalone notification stream; DELETE ends the session
+  const handleSessionRequest = async (req, res) => {
+    const session = touch(req, req.headers['mcp-session-id'], 'streamable');
+    if (!session) {
+      return jsonRpcError(res, req.headers['mcp-session-id'] ? 404 : 400, 'Session not found');
+    }
+    try {
+      await session.transport.handleRequest(req, res);
+    } catch (error) {
+      logger.error('Error handling MCP request', { error });
+      if (!res.headersSent) {
+        jsonRpcError(res, 500, 'Internal server error');
+      }
+    }
+  };
+  app.get(MCP_PATH, handleSessionRequest);
+  app.delete(MCP_PATH, handleSessionRequest);
+
+  // Legacy HTTP+SSE: the stream announces a per-session messages endpoint,
+  // and responses to the messages POSTed there arrive on the stream
+  app.get(SSE_PATH, async (req, res) => {
+    try {
+      checkSessionQuota(req.omicsClient);
+    } catch (error) {
+      return authErrorResponse(res, error);
+    }
 
-    let buffer = '';
-    let responses = [];
-
-    // Handle stdout data from MCP server
-    mcpProcess.stdout.on('data', (data) => {
-      buffer += data.toString();
-      
-      // Try to parse complete JSON-RPC messages
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
-      
-      for (const line of lines) {
-        if (line.trim()) {
-          try {
-            const message = JSON.parse(line);
-            responses.push(message);
-          } catch (e) {
-            console.error('Failed to parse MCP response:', e);
-          }
-        }
+    const transport = new SSEServerTransport(SSE_MESSAGES_PATH, res);
+    const sessionId = transport.sessionId;
+    transport.onclose = () => sessions.delete(sessionId);
+
+    try {
+      const server = await openSession(transport);
+      sessions.set(sessionId, { transport, server, kind: 'sse', client: req.omicsClient.id, lastSeen: Date.now() });
+      logger.info('Session opened', { session_id: sessionId, transport: 'sse', client: req.omicsClient.id });
+    } catch (error) {
+      logger.error('Error opening SSE session', { error });
+      if (!res.headersSent) {
+        res.status(500).end();
       }
-    });
+      return;
+    }
 
-    // Handle stderr
-    mcpProcess.stderr.on('data', (data) => {
-      console.error('MCP stderr:', data.toString());
+    // Keep proxies from dropping an idle stream
+    const keepAlive = setInterval(() => {
+      res.write(': keepalive\n\n');
+    }, 30000);
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      closeSession(sessionId);
     });
+  });
 
-    // Send message to MCP server
-    const message = req.body;
-    mcpProcess.stdin.write(JSON.stringify(message) + '\n');
+  app.post(SSE_MESSAGES_PATH, async (req, res) => {
+    const session = touch(req, req.query.sessionId, 'sse');
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    try {
+      await session.transport.handlePostMessage(req, res, req.body);
+    } catch (error) {
+      logger.error('Error handling SSE message', { error });
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    }
+  });
+
+  // The audit log of one session as JSON lines, for governance reviews. Works
+  // after the session has closed; clients only get their own entries.
+  app.get(AUDIT_PATH, async (req, res) => {
+    if (!shared.auditLog.enabled) {
+      return res.status(404).json({ error: 'The audit log is disabled (OMICS_AUDIT_LOG=off)' });
+    }
+    try {
+      const entries = await shared.auditLog.read({ sessionId: req.params.sessionId, client: req.omicsClient.id });
+      const filename = `audit-${req.params.sessionId.replace(/[^\w.-]/g, '_')}.jsonl`;
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.type('application/x-ndjson').send(entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+    } catch (error) {
+      logger.error('Failed to read audit log', { session_id: req.params.sessionId, error });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
 
-    // Wait for response with timeout
-    const timeout = 30000; // 30 seconds
-    const startTime = Date.now();
+  // Oversized or malformed request bodies
+  app.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+      return jsonRpcError(res, 413, `Request body is larger than ${MAX_BODY_SIZE}`);
+    }
+    if (error.type === 'entity.parse.failed') {
+      return jsonRpcError(res, 400, 'Parse error: the request body is not valid JSON');
+    }
+    next(error);
+  });
 
-    while (responses.length === 0) {
-      if (Date.now() - startTime > timeout) {
-        mcpProcess.kill();
-        return res.status(504).json({ error: 'Request timeout' });
+  // Close sessions whose client went away without saying so
+  const sweeper = idleTimeoutMs > 0 ? setInterval(() => {
+    const cutoff = Date.now() - idleTimeoutMs;
+    for (const [sessionId, session] of sessions) {
+      if (session.lastSeen < cutoff) {
+        closeSession(sessionId);
       }
-      await new Promise(resolve => setTimeout(resolve, 100));
     }
+  }, Math.min(idleTimeoutMs, 60000)) : null;
+  sweeper?.unref();
+
+  app.locals.sessions = sessions;
+  app.locals.closeAllSessions = async () => {
+    if (sweeper) {
+      clearInterval(sweeper);
+    }
+    await Promise.all([...sessions.keys()].map(closeSession));
+  };
+
+  return app;
+}
 
-    // Kill process and return response
-    mcpProcess.kill();
-    res.json(responses[0]);
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  let app;
+  try {
+    app = createHttpApp();
   } catch (error) {
-    console.error('Error handling MCP message:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Handle OPTIONS requests for CORS
-app.options('/v1/omics-ai-mcp/messages', (req, res) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.status(200).end();
-});
-
-// Cleanup on server shutdown
-process.on('SIGTERM', () => {
-  console.log('Shutting down HTTP wrapper...');
-  
-  // Kill all active MCP processes
-  for (const [sessionId, session] of activeSessions) {
-    console.log(`Killing session ${sessionId}`);
-    session.process.kill();
+    logger.error('Cannot start the HTTP wrapper', { error: error.message });
+    process.exit(1);
   }
-  
-  process.exit(0);
-});
-
-const PORT = process.env.PORT || 8080;
-app.listen(PORT, () => {
-  console.log(`Omics AI MCP HTTP wrapper listening on port ${PORT}`);
-});
\ No newline at end of file
+  const PORT = process.env.PORT || 8080;
+  const httpServer = app.listen(PORT, () => {
+    logger.info('Omics AI MCP HTTP wrapper listening', { port: Number(PORT) });
+  });
+
+  // Cleanup on server shutdown
+  process.on('SIGTERM', async () => {
+    logger.info('Shutting down HTTP wrapper');
+    await app.locals.closeAllSessions();
+    httpServer.close(() => process.exit(0));
+  });
+}
@@ -4,13 +4,146 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import { z } from "zod";
-import axios from "axios";
+import {
+  RESOURCE_TEMPLATES,
+  collectionsUri,
+  parseResourceUri,
+  schemaUri,
+  tablesUri,
+} from "./resources.js";
+import { OUTPUT_SCHEMAS } from "./output-schemas.js";
+import { decodeCursor, encodeCursor } from "./cursors.js";
+import {
+  EXPORT_FORMATS,
+  createRowWriter,
+  fileDigest,
+  reserveExportFile,
+  resolveExportPath,
+} from "./exporters.js";
+import { buildVariantSql, detectVariantColumns, parseLocus } from "./variants.js";
+import { getLimitCap, getMaxScanRows, guardSql, normalizeSql } from "./sql-guard.js";
+import {
+  DEFAULT_LARGE_TABLE_ROWS,
+  explainStatements,
+  parseIoPlan,
+  parseTextPlan,
+  planText,
+  summarizePlan,
+} from "./query-plan.js";
+import {
+  FILTERS_INPUT_SCHEMA,
+  normalizeFilters,
+  toFilterPayload,
+  toSqlCondition,
+  validateFilters,
+} from "./filters.js";
+import { quoteQualifiedName } from "./sql.js";
+import { CatalogCache, catalogCacheOptions, identityOf } from "./catalog-cache.js";
+import { CatalogIndex, INDEX_KINDS, REBUILD_MODES, searchSnapshots, snapshotStats } from "./catalog-index.js";
+import { OmicsApiError, createApiClient, hostOf, httpClientOptions, sameOrigin } from "./http-client.js";
+import { currentRequest, logger, requestIdFrom, withRequestContext } from "./logger.js";
+import { queryPolls, resultCacheLookups, toolCallDuration, toolCalls } from "./metrics.js";
+import { NetworkRegistry } from "./networks.js";
+import { CredentialStore } from "./credentials.js";
+import {
+  SOURCE_COLUMN,
+  countingSql,
+  mergeColumns,
+  renderSqlTemplate,
+  targetLabel,
+  validateTargets,
+} from "./federation.js";
+import { QueryJobRegistry, queryJobOptions } from "./query-jobs.js";
+import { AUDITED_TOOLS, AuditLog, auditEntry, auditLogOptions, callTokens } from "./audit-log.js";
+import { ResultCache, resultCacheOptions, stableStringify } from "./result-cache.js";
+import { FORMAT_INPUT_PROPERTIES, formatArguments, formatOptions, formatRows, reserveChars, structuredRows } from "./result-format.js";
+import { CohortStore, cohortCondition, cohortName, cohortReference, cohortStoreOptions, whereCondition } from "./cohorts.js";
+import { RequestCancelledError, ToolContext } from "./tool-context.js";
+import {
+  APPROXIMATE_ROW_THRESHOLD,
+  MAX_PROFILE_COLUMNS,
+  buildHistogramSql,
+  buildSummarySql,
+  buildTopValuesSql,
+  findField,
+  parseHistogram,
+  parseSummaryRow,
+  parseTopValues,
+} from "./profile.js";
+import { randomUUID } from "crypto";
+import { rm } from "fs/promises";
+import { realpathSync } from "fs";
+import { fileURLToPath } from "url";
+
+
+// Flatten data_model.properties into { name, type, sql_type } columns
+function describeFields(properties) {
+  const fields = [];
+  for (const [fieldName, fieldSpec] of Object.entries(properties)) {
+    let fieldType = fieldSpec.type || '';
+    if (Array.isArray(fieldType)) {
+      fieldType = fieldType.join(', ');
+    }
+
+    if (fieldType === 'array' && fieldSpec.items) {
+      let itemType = fieldSpec.items.type || '';
+      if (Array.isArray(itemType)) {
+        itemType = itemType.join(', ');
+      }
+      fieldType = `array<${itemType}>`;
+    }
+
+    fields.push({
+      name: fieldName,
+      type: fieldType,
+      sql_type: fieldSpec.sqlType || ''
+    });
+  }
+  return fields;
+}
+
+// Columns for a result page, preferring the data model when the API sends one
+function resultColumns(result) {
+  const properties = result?.data_model?.properties;
+  if (properties && Object.keys(properties).length > 0) {
+    return describeFields(properties);
+  }
 
-class OmicsAIMCPServer {
-  constructor() {
+  const firstRow = result?.data?.[0];
+  if (!firstRow || typeof firstRow !== 'object') {
+    return [];
+  }
+  return Object.keys(firstRow).map(name => ({ name, type: '', sql_type: '' }));
+}
+
+// Text withSqlNote and withCacheInfo append, so callers can budget for it
+function sqlNoteText(note) {
+  return note ? `\n\n**Note:** ${note}` : '';
+}
+
+function cacheNoteText(cached) {
+  return cached ? `\n\n(Cached result from ${cached.ageSeconds}s ago; pass bypass_cache: true to re-run the query)` : '';
+}
+
+// One instance per MCP session. Hosts serving many sessions (http-wrapper.js)
+// pass the same networks, credentials, caches, jobs and audit log to each of them.
+export class OmicsAIMCPServer {
+  constructor({
+    networks = NetworkRegistry.load(),
+    credentials = new CredentialStore(networks),
+    catalog = new CatalogCache(catalogCacheOptions()),
+    catalogIndex = new CatalogIndex(catalogCacheOptions()),
+    jobs = new QueryJobRegistry(queryJobOptions()),
+    auditLog = new AuditLog(auditLogOptions()),
+    resultCache = new ResultCache(resultCacheOptions()),
+    cohorts = new CohortStore(cohortStoreOptions())
+  } = {}) {
     this.server = new Server(
       {
         name: "omics-ai-mcp",
@@ -19,26 +152,55 @@ class OmicsAIMCPServer {
       {
         capabilities: {
           tools: {},
+          resources: {},
         },
       }
     );
 
+    this.networks = networks;
+    this.credentials = credentials;
+    this.catalog = catalog;
+    this.catalogIndex = catalogIndex;
+    this.jobs = jobs;
+    this.auditLog = auditLog;
+    this.resultCache = resultCache;
+    this.cohorts = cohorts;
+    // Audit session for transports without session IDs (stdio): the process
+    this.localSessionId = randomUUID();
+
     this.setupToolHandlers();
+    this.setupResourceHandlers();
     this.setupErrorHandling();
   }
 
   setupErrorHandling() {
-    this.server.onerror = (error) => console.error("[MCP Error]", error);
-    process.on("SIGINT", async () => {
-      await this.server.close();
-      process.exit(0);
-    });
+    this.server.onerror = (error) => logger.error("MCP error", { error });
   }
 
   setupToolHandlers() {
     this.server.setRequestHandler(ListToolsRequestSchema, async () => {
       return {
         tools: [
+          {
+            name: "list_networks",
+            description: "List the Omics AI Explorer networks this server knows by name, with their URLs, aliases and whether they are reachable",
+            inputSchema: {
+              type: "object",
+              properties: {
+                check_reachability: {
+                  type: "boolean",
+                  description: "Probe each network's API (default: true)",
+                  default: true
+                },
+                timeout: {
+                  type: "number",
+                  description: "Seconds to wait for each reachability probe (default: 5)",
+                  default: 5
+                }
+              }
+            },
+            outputSchema: OUTPUT_SCHEMAS.list_networks
+          },
           {
             name: "list_collections",
             description: "List all collections available in an Omics AI Explorer network",
@@ -52,11 +214,12 @@ class OmicsAIMCPServer {
                 },
                 access_token: {
                   type: "string",
-                  description: "Optional access token for authentication",
+                  description: "Optional access token; overrides credentials configured on the server for this network",
                 }
               },
               required: ["network"]
-            }
+            },
+            outputSchema: OUTPUT_SCHEMAS.list_collections
           },
           {
             name: "list_tables",
@@ -74,11 +237,12 @@ class OmicsAIMCPServer {
                 },
                 access_token: {
                   type: "string",
-                  description: "Optional access token for authentication",
+                  description: "Optional access token; overrides credentials configured on the server for this network",
                 }
               },
               required: ["network", "collection_slug"]
-            }
+            },
+            outputSchema: OUTPUT_SCHEMAS.list_tables
           },
           {
             name: "get_schema_fields",
@@ -100,11 +264,12 @@ class OmicsAIMCPServer {
                 },
                 access_token: {
                   type: "string",
-                  description: "Optional access token for authentication",
+                  description: "Optional access token; overrides credentials configured on the server for this network",
                 }
               },
               required: ["network", "collection_slug", "table_name"]
-            }
+            },
+            outputSchema: OUTPUT_SCHEMAS.get_schema_fields
           },
           {
             name: "query_table",
@@ -124,10 +289,10 @@ class OmicsAIMCPServer {
                   type: "string",
                   description: "Qualified table name",
                 },
-                filters: {
-                  type: "object",
-                  description: "Dictionary of filters to apply",
-                  additionalProperties: true
+                filters: FILTERS_INPUT_SCHEMA,
+                cohort: {
+                  type: "string",
+                  description: "Name of a saved cohort on this table (see save_cohort); its filters are combined with any filters given here using AND",
                 },
                 limit: {
                   type: "integer",
@@ -149,11 +314,13 @@ class OmicsAIMCPServer {
                 },
                 access_token: {
                   type: "string",
-                  description: "Optional access token for authentication",
-                }
+                  description: "Optional access token; overrides credentials configured on the server for this network",
+                },
+                ...FORMAT_INPUT_PROPERTIES
               },
               required: ["network", "collection_slug", "table_name"]
-            }
+            },
+            outputSchema: OUTPUT_SCHEMAS.query_table
           },
           {
             name: "count_rows",
@@ -173,18 +340,24 @@ class OmicsAIMCPServer {
                   type: "string",
                   description: "Qualified table name",
                 },
-                filters: {
-                  type: "object",
-                  description: "Dictionary of filters to apply",
-                  additionalProperties: true
+                filters: FILTERS_INPUT_SCHEMA,
+                cohort: {
+                  type: "string",
+                  description: "Name of a saved cohort on this table (see save_cohort); its filters are combined with any filters given here using AND",
+                },
+                bypass_cache: {
+                  type: "boolean",
+                  description: "Re-run the query even if an identical one was answered recently from this server's result cache (default: false)",
+                  default: false
                 },
                 access_token: {
                   type: "string",
-                  description: "Optional access token for authentication",
+                  description: "Optional access token; overrides credentials configured on the server for this network",
                 }
               },
               required: ["network", "collection_slug", "table_name"]
-            }
+            },
+            outputSchema: OUTPUT_SCHEMAS.count_rows
           },
           {
             name: "sql_search",
@@ -202,7 +375,68 @@ class OmicsAIMCPServer {
                 },
                 sql: {
                   type: "string",
-                  description: "SQL query string (use Trino syntax with double quotes for identifiers)",
+                  description: "Read-only SQL query string (SELECT, WITH, SHOW, DESCRIBE or EXPLAIN; use Trino syntax with double quotes for identifiers). A LIMIT is added or lowered to the server's row cap.",
+                },
+                cohort: {
+                  type: "string",
+                  description: "Name of a saved cohort in this collection (see save_cohort). Write {cohort} in the SQL where its rows should come from, e.g. SELECT gene, count(*) FROM {cohort} GROUP BY gene",
+                },
+                max_polls: {
+                  type: "integer",
+                  description: "Maximum number of polling attempts (default: 10)",
+                  default: 10
+                },
+                poll_interval: {
+                  type: "number",
+                  description: "Seconds to wait between polls (default: 2.0)",
+                  default: 2.0
+                },
+                max_rows: {
+                  type: "integer",
+                  description: "Keep following result pages until at least this many rows are collected (default: first page only). Whole pages are returned, so the total may slightly exceed this."
+                },
+                confirm_cost: {
+                  type: "boolean",
+                  description: "Run the query even if its estimated scan exceeds the server's OMICS_SQL_MAX_SCAN_ROWS limit (default: false)",
+                  default: false
+                },
+                bypass_cache: {
+                  type: "boolean",
+                  description: "Re-run the query even if an identical one was answered recently from this server's result cache (default: false)",
+                  default: false
+                },
+                access_token: {
+                  type: "string",
+                  description: "Optional access token; overrides credentials configured on the server for this network",
+                },
+                ...FORMAT_INPUT_PROPERTIES
+              },
+              required: ["network", "collection_slug", "sql"]
+            },
+            outputSchema: OUTPUT_SCHEMAS.sql_search
+          },
+          {
+            name: "explain_sql",
+            description: "Preview a SQL query's plan and cost without running it: the tables it reads, estimated rows and partitions scanned, and warnings for full scans of large tables",
+            inputSchema: {
+              type: "object",
+              properties: {
+                network: {
+                  type: "string",
+                  description: "Network name or URL",
+                },
+                collection_slug: {
+                  type: "string",
+                  description: "Collection slug name",
+                },
+                sql: {
+                  type: "string",
+                  description: "The read-only query to explain, as it would be passed to sql_search",
+                },
+                large_table_rows: {
+                  type: "integer",
+                  description: `Tables with at least this many rows are flagged when fully scanned (default: ${DEFAULT_LARGE_TABLE_ROWS.toLocaleString()})`,
+                  default: DEFAULT_LARGE_TABLE_ROWS
                 },
                 max_polls: {
                   type: "integer",
@@ -216,536 +450,2861 @@ class OmicsAIMCPServer {
                 },
                 access_token: {
                   type: "string",
-                  description: "Optional access token for authentication",
+                  description: "Optional access token; overrides credentials configured on the server for this network",
                 }
               },
               required: ["network", "collection_slug", "sql"]
-            }
-          }
-        ]
-      };
-    });
-
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-
-      try {
-        switch (name) {
-          case "list_collections":
-            return await this.listCollections(args);
-          case "list_tables":
-            return await this.listTables(args);
-          case "get_schema_fields":
-            return await this.getSchemaFields(args);
-          case "query_table":
-            return await this.queryTable(args);
-          case "count_rows":
-            return await this.countRows(args);
-          case "sql_search":
-            return await this.sqlSearch(args);
-          default:
-            throw new Error(`Unknown tool: ${name}`);
-        }
-      } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Error: ${error.message}`
-            }
-          ]
-        };
-      }
-    });
-  }
-
-  // Known networks mapping
-  getNetworkUrl(network) {
-    const knownNetworks = {
-      "hifisolves": "hifisolves.org",
-      "neuroscience": "neuroscience.ai", 
-      "asap": "cloud.parkinsonsroadmap.org",
-      "parkinsons": "cloud.parkinsonsroadmap.org",
-      "biomedical": "biomedical.ai",
-      "viral": "viral.ai",
-      "targetals": "dataportal.targetals.org"
-    };
-
-    if (network in knownNetworks) {
-      network = knownNetworks[network];
-    }
-
-    if (!network.startsWith('http://') && !network.startsWith('https://')) {
-      network = `https://${network}`;
-    }
-
-    return network.replace(/\/$/, '');
-  }
-
-  // Create HTTP client with proper headers
-  createHttpClient(network, access_token) {
-    const headers = {
-      'User-Agent': 'omics-ai-mcp-server/1.0.0',
-      'Accept': 'application/json'
-    };
-
-    if (access_token) {
-      headers['Authorization'] = `Bearer ${access_token}`;
-    }
-
-    return axios.create({
-      baseURL: this.getNetworkUrl(network),
-      headers,
-      timeout: 30000
-    });
-  }
-
-  // Parse JSON Lines response format
-  parseJsonLinesResponse(rawText) {
-    if (!rawText.trim()) {
-      throw new Error("Empty response received");
-    }
-
-    const lines = rawText.trim().split('\n').map(line => line.trim()).filter(line => line);
-    
-    if (!lines.length) {
-      throw new Error("No valid lines found in response");
-    }
-
-    const jsonObjects = [];
-    for (const line of lines) {
-      try {
-        const obj = JSON.parse(line);
-        jsonObjects.push(obj);
-      } catch (e) {
-        if (line !== "{}") {
-          // Silently ignore parsing errors for robustness
-        }
-      }
-    }
-
-    if (!jsonObjects.length) {
-      throw new Error("No valid JSON objects found in response");
-    }
-
-    // Find the object with data (usually the last non-empty one)
-    for (let i = jsonObjects.length - 1; i >= 0; i--) {
-      const obj = jsonObjects[i];
-      if (obj && 'data' in obj) {
-        return obj;
-      }
-    }
-
-    // If no data object found, check for next_page_token (polling case)
-    for (let i = jsonObjects.length - 1; i >= 0; i--) {
-      const obj = jsonObjects[i];
-      if (obj && 'next_page_token' in obj) {
-        return obj;
-      }
-    }
-
-    // Return the last non-empty object
-    const nonEmptyObjects = jsonObjects.filter(obj => obj && Object.keys(obj).length > 0);
-    if (nonEmptyObjects.length) {
-      return nonEmptyObjects[nonEmptyObjects.length - 1];
-    }
-
-    throw new Error("No data or next_page_token found in response");
-  }
-
-  async listCollections(args) {
-    const { network, access_token } = args;
-    const client = this.createHttpClient(network, access_token);
-
-    try {
-      const response = await client.get('/api/collections');
-      const collections = response.data;
-
-      if (!Array.isArray(collections)) {
-        throw new Error("Expected list of collections but got something else");
-      }
-
-      return {
-        content: [
+            },
+            outputSchema: OUTPUT_SCHEMAS.explain_sql
+          },
           {
-            type: "text",
-            text: `Found ${collections.length} collections in ${network}:\n\n` +
-                  collections.map(c => `• **${c.name}** (${c.slugName})\n  ${c.description || 'No description'}`).join('\n\n')
-          }
-        ]
-      };
-    } catch (error) {
-      throw new Error(`Failed to list collections: ${error.message}`);
-    }
-  }
-
-  async listTables(args) {
-    const { network, collection_slug, access_token } = args;
-    const client = this.createHttpClient(network, access_token);
-
-    try {
-      const response = await client.get(`/api/collections/${encodeURIComponent(collection_slug)}/tables`);
-      const tables = response.data;
-
-      if (!Array.isArray(tables)) {
-        throw new Error("Expected list of tables but got something else");
-      }
-
-      return {
-        content: [
+            name: "fetch_next_page",
+            description: "Fetch the next page(s) of a sql_search result using the cursor returned by the previous call",
+            inputSchema: {
+              type: "object",
+              properties: {
+                cursor: {
+                  type: "string",
+                  description: "Opaque cursor returned by sql_search or fetch_next_page",
+                },
+                max_rows: {
+                  type: "integer",
+                  description: "Keep following result pages until at least this many rows are collected (default: one page)"
+                },
+                max_polls: {
+                  type: "integer",
+                  description: "Maximum number of polling attempts per page (default: 10)",
+                  default: 10
+                },
+                poll_interval: {
+                  type: "number",
+                  description: "Seconds to wait between polls (default: 2.0)",
+                  default: 2.0
+                },
+                access_token: {
+                  type: "string",
+                  description: "Optional access token; overrides credentials configured on the server for this network",
+                },
+                ...FORMAT_INPUT_PROPERTIES
+              },
+              required: ["cursor"]
+            },
+            outputSchema: OUTPUT_SCHEMAS.sql_search
+          },
           {
-            type: "text",
-            text: `Found ${tables.length} tables in collection '${collection_slug}':\n\n` +
-                  tables.map(t => `• **${t.display_name}** (${t.qualified_table_name || t.name})\n  ${t.size ? `${t.size.toLocaleString()} rows` : 'Size unknown'}`).join('\n\n')
-          }
-        ]
-      };
-    } catch (error) {
-      throw new Error(`Failed to list tables: ${error.message}`);
-    }
-  }
-
-  async getSchemaFields(args) {
-    const { network, collection_slug, table_name, access_token } = args;
-    const client = this.createHttpClient(network, access_token);
-
-    try {
-      const response = await client.get(`/api/collection/${encodeURIComponent(collection_slug)}/data-connect/table/${encodeURIComponent(table_name)}/info`);
-      const schema = response.data;
-      const dataModel = schema?.data_model?.properties || {};
-
-      if (!dataModel || Object.keys(dataModel).length === 0) {
-        throw new Error("No schema (data_model.properties) found in response");
+            name: "export_query_results",
+            description: "Run a SQL query or table filter, page through all results and write them to a local CSV, TSV, NDJSON or Parquet file",
+            inputSchema: {
+              type: "object",
+              properties: {
+                network: {
+                  type: "string",
+                  description: "Network name or URL",
+                },
+                collection_slug: {
+                  type: "string",
+                  description: "Collection slug name",
+                },
+                sql: {
+                  type: "string",
+                  description: "SQL query to export (Trino syntax). Provide either sql or table_name.",
+                },
+                table_name: {
+                  type: "string",
+                  description: "Qualified table name to export with optional filters. Provide either sql or table_name.",
+                },
+                filters: {
+                  ...FILTERS_INPUT_SCHEMA,
+                  description: `Table exports only. ${FILTERS_INPUT_SCHEMA.description}`
+                },
+                order_by: {
+                  type: "object",
+                  description: "Ordering specification (table exports only)",
+                  properties: {
+                    field: { type: "string" },
+                    direction: { type: "string", enum: ["ASC", "DESC"] }
+                  }
+                },
+                format: {
+                  type: "string",
+                  enum: EXPORT_FORMATS,
+                  description: "Output file format (default: csv)",
+                  default: "csv"
+                },
+                path: {
+                  type: "string",
+                  description: "Output file name, relative to the server's export directory; must not exist yet (default: a new name generated from the current time)",
+                },
+                max_rows: {
+                  type: "integer",
+                  description: "Stop after writing this many rows (default: all rows; the server's SQL row cap does not apply to exports)"
+                },
+                page_size: {
+                  type: "integer",
+                  description: "Rows requested per page for table exports (default: 1000)",
+                  default: 1000
+                },
+                max_polls: {
+                  type: "integer",
+                  description: "Maximum number of polling attempts per page (default: 10)",
+                  default: 10
+                },
+                poll_interval: {
+                  type: "number",
+                  description: "Seconds to wait between polls (default: 2.0)",
+                  default: 2.0
+                },
+                access_token: {
+                  type: "string",
+                  description: "Optional access token; overrides credentials configured on the server for this network",
+                }
+              },
+              required: ["network", "collection_slug"]
+            },
+            outputSchema: OUTPUT_SCHEMAS.export_query_results
+          },
+          {
+            name: "lookup_variants",
+            description: "Look up variants by genomic region (chr1:1,000,000-2,000,000) or variant ID (17-7674220-C-T). Chromosome, position, ref and alt columns are discovered from the table schema and the SQL is generated automatically.",
+            inputSchema: {
+              type: "object",
+              properties: {
+                network: {
+                  type: "string",
+                  description: "Network name or URL",
+                },
+                collection_slug: {
+                  type: "string",
+                  description: "Collection slug name",
+                },
+                table_name: {
+                  type: "string",
+                  description: "Qualified table name of a variants table",
+                },
+                query: {
+                  type: ["string", "array"],
+                  items: { type: "string" },
+                  description: "Region ('chr1:1000000-2000000', 'chr1:12345', 'chrX'), variant ID ('17-7674220-C-T', 'chr17:7674220:C:T'), or a list of them",
+                  examples: ["chr1:1,000,000-2,000,000", "17-7674220-C-T", ["1-55051215-G-GA", "1-55052746-C-T"]]
+                },
+                chrom_column: {
+                  type: "string",
+                  description: "Override the detected chromosome column",
+                },
+                pos_column: {
+                  type: "string",
+                  description: "Override the detected position column",
+                },
+                ref_column: {
+                  type: "string",
+                  description: "Override the detected reference allele column",
+                },
+                alt_column: {
+                  type: "string",
+                  description: "Override the detected alternate allele column",
+                },
+                limit: {
+                  type: "integer",
+                  description: "Maximum number of rows to return (default: 100)",
+                  default: 100
+                },
+                max_polls: {
+                  type: "integer",
+                  description: "Maximum number of polling attempts (default: 10)",
+                  default: 10
+                },
+                poll_interval: {
+                  type: "number",
+                  description: "Seconds to wait between polls (default: 2.0)",
+                  default: 2.0
+                },
+                confirm_cost: {
+                  type: "boolean",
+                  description: "Run the query even if its estimated scan exceeds the server's OMICS_SQL_MAX_SCAN_ROWS limit (default: false)",
+                  default: false
+                },
+                access_token: {
+                  type: "string",
+                  description: "Optional access token; overrides credentials configured on the server for this network",
+                },
+                ...FORMAT_INPUT_PROPERTIES
+              },
+              required: ["network", "collection_slug", "table_name", "query"]
+            },
+            outputSchema: OUTPUT_SCHEMAS.lookup_variants
+          },
+          {
+            name: "profile_column",
+            description: "Profile one column before querying it: null fraction, distinct count, min/max, top values with counts and, for numeric columns, a histogram. Statistics are chosen from the column's SQL type and computed with generated SQL.",
+            inputSchema: {
+              type: "object",
+              properties: {
+                network: {
+                  type: "string",
+                  description: "Network name or URL",
+                },
+                collection_slug: {
+                  type: "string",
+                  description: "Collection slug name",
+                },
+                table_name: {
+                  type: "string",
+                  description: "Qualified table name",
+                },
+                column: {
+                  type: "string",
+                  description: "Column to profile",
+                },
+                top_n: {
+                  type: "integer",
+                  description: "Number of most frequent values to return; 0 to skip (default: 10, max: 100)",
+                  default: 10
+                },
+                bins: {
+                  type: "integer",
+                  description: "Histogram buckets for numeric columns; 0 to skip (default: 10, max: 100)",
+                  default: 10
+                },
+                approximate: {
+                  type: "boolean",
+                  description: `Use approximate aggregates (approx_distinct, approx_most_frequent, numeric_histogram). Default: true for tables of ${APPROXIMATE_ROW_THRESHOLD.toLocaleString()}+ rows or unknown size`,
+                },
+                max_polls: {
+                  type: "integer",
+                  description: "Maximum number of polling attempts per query (default: 10)",
+                  default: 10
+                },
+                poll_interval: {
+                  type: "number",
+                  description: "Seconds to wait between polls (default: 2.0)",
+                  default: 2.0
+                },
+                access_token: {
+                  type: "string",
+                  description: "Optional access token; overrides credentials configured on the server for this network",
+                }
+              },
+              required: ["network", "collection_slug", "table_name", "column"]
+            },
+            outputSchema: OUTPUT_SCHEMAS.profile_column
+          },
+          {
+            name: "profile_table",
+            description: `Profile every column of a table in a single query: null fraction, distinct count and min/max per column (up to ${MAX_PROFILE_COLUMNS} columns). Use profile_column for top values and histograms.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                network: {
+                  type: "string",
+                  description: "Network name or URL",
+                },
+                collection_slug: {
+                  type: "string",
+                  description: "Collection slug name",
+                },
+                table_name: {
+                  type: "string",
+                  description: "Qualified table name",
+                },
+                columns: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: `Only profile these columns (default: the first ${MAX_PROFILE_COLUMNS} columns)`,
+                },
+                approximate: {
+                  type: "boolean",
+                  description: `Use approximate aggregates (approx_distinct, approx_most_frequent, numeric_histogram). Default: true for tables of ${APPROXIMATE_ROW_THRESHOLD.toLocaleString()}+ rows or unknown size`,
+                },
+                max_polls: {
+                  type: "integer",
+                  description: "Maximum number of polling attempts per query (default: 10)",
+                  default: 10
+                },
+                poll_interval: {
+                  type: "number",
+                  description: "Seconds to wait between polls (default: 2.0)",
+                  default: 2.0
+                },
+                access_token: {
+                  type: "string",
+                  description: "Optional access token; overrides credentials configured on the server for this network",
+                }
+              },
+              required: ["network", "collection_slug", "table_name"]
+            },
+            outputSchema: OUTPUT_SCHEMAS.profile_table
+          },
+          {
+            name: "federated_query",
+            description: "Run the same SQL template or filter set against several network/collection targets in parallel. Rows are tagged with their source in a _source column; targets that fail are reported without failing the whole query.",
+            inputSchema: {
+              type: "object",
+              properties: {
+                targets: {
+                  type: "array",
+                  description: "Where to run the query (at most 20 targets)",
+                  items: {
+                    type: "object",
+                    properties: {
+                      network: { type: "string", description: "Network name or URL" },
+                      collection_slug: { type: "string", description: "Collection slug name" },
+                      table_name: { type: "string", description: "Qualified table name; required for filters and for SQL templates using {table}" },
+                      label: { type: "string", description: "Name for this target in _source (default: network/collection[/table])" },
+                      access_token: { type: "string", description: "Optional access token for this target; overrides credentials configured on the server" }
+                    },
+                    required: ["network", "collection_slug"]
+                  },
+                  examples: [[
+                    { network: "neuroscience", collection_slug: "gnomad", table_name: "collections.gnomad.variants" },
+                    { network: "asap", collection_slug: "amp_pd", table_name: "collections.amp_pd.variants" }
+                  ]]
+                },
+                sql: {
+                  type: "string",
+                  description: "SQL template (Trino syntax); {table} is replaced with each target's quoted table name. Provide either sql or filters.",
+                  examples: ["SELECT * FROM {table} WHERE gene_symbol = 'LRRK2'"]
+                },
+                filters: {
+                  ...FILTERS_INPUT_SCHEMA,
+                  description: "Filter set applied to each target's table instead of SQL. " + FILTERS_INPUT_SCHEMA.description
+                },
+                mode: {
+                  type: "string",
+                  enum: ["union", "aggregate"],
+                  description: "union returns all rows tagged with their source; aggregate returns only per-source counts (of the rows matching the filters, or of every row the SQL returns) (default: union)",
+                  default: "union"
+                },
+                max_rows_per_target: {
+                  type: "integer",
+                  description: "Rows to collect from each target (default: 100). SQL results follow whole pages, so a target may return slightly more; the per-target cursor continues with fetch_next_page.",
+                  default: 100
+                },
+                max_polls: {
+                  type: "integer",
+                  description: "Maximum number of polling attempts per target (default: 10)",
+                  default: 10
+                },
+                poll_interval: {
+                  type: "number",
+                  description: "Seconds to wait between polls (default: 2.0)",
+                  default: 2.0
+                },
+                confirm_cost: {
+                  type: "boolean",
+                  description: "Run SQL even if a target's estimated scan exceeds the server's OMICS_SQL_MAX_SCAN_ROWS limit (default: false)",
+                  default: false
+                },
+                bypass_cache: {
+                  type: "boolean",
+                  description: "Re-run every target's query even if an identical one was answered recently from this server's result cache (default: false)",
+                  default: false
+                },
+                ...FORMAT_INPUT_PROPERTIES
+              },
+              required: ["targets"]
+            },
+            outputSchema: OUTPUT_SCHEMAS.federated_query
+          },
+          {
+            name: "refresh_catalog",
+            description: "Invalidate cached collections, tables and schemas so the next lookup fetches them again, and mark the affected search_catalog indexes stale. With no arguments the whole cache is cleared.",
+            inputSchema: {
+              type: "object",
+              properties: {
+                network: {
+                  type: "string",
+                  description: "Only invalidate entries for this network name or URL",
+                },
+                collection_slug: {
+                  type: "string",
+                  description: "Only invalidate entries for this collection (requires network)",
+                },
+                table_name: {
+                  type: "string",
+                  description: "Only invalidate the schema of this table (requires network and collection_slug)",
+                }
+              }
+            },
+            outputSchema: OUTPUT_SCHEMAS.refresh_catalog
+          },
+          {
+            name: "search_catalog",
+            description: "Search collection names and descriptions, table names and field names across networks by keyword, tolerating small typos. Builds a local index on first use; results are ranked and point to network/collection/table/field.",
+            inputSchema: {
+              type: "object",
+              properties: {
+                query: {
+                  type: "string",
+                  description: "Keywords to look for, e.g. 'MAPT' or 'lineage'",
+                },
+                networks: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "Network names or URLs to search (default: all configured networks)",
+                },
+                kinds: {
+                  type: "array",
+                  items: { type: "string", enum: INDEX_KINDS },
+                  description: "Only return these kinds of hits (default: collection, table and field)",
+                },
+                limit: {
+                  type: "integer",
+                  description: "Maximum number of hits to return (default: 20, max: 200)",
+                  default: 20
+                },
+                rebuild: {
+                  type: "string",
+                  enum: REBUILD_MODES,
+                  description: "'auto' (default) indexes networks that have no index yet and updates indexes older than the catalog TTL or marked stale by refresh_catalog; 'none' only searches existing indexes without contacting the networks; 'incremental' updates the index through the catalog cache, refetching only expired or invalidated listings and schemas; 'full' refetches everything",
+                  default: "auto"
+                },
+                access_token: {
+                  type: "string",
+                  description: "Optional access token; overrides credentials configured on the server for this network",
+                }
+              },
+              required: ["query"]
+            },
+            outputSchema: OUTPUT_SCHEMAS.search_catalog
+          },
+          {
+            name: "start_query",
+            description: "Start a SQL query as a background job and return its job_id immediately. Use for long-running queries; check progress with get_query_status and read rows with get_query_results.",
+            inputSchema: {
+              type: "object",
+              properties: {
+                network: {
+                  type: "string",
+                  description: "Network name or URL",
+                },
+                collection_slug: {
+                  type: "string",
+                  description: "Collection slug name",
+                },
+                sql: {
+                  type: "string",
+                  description: "SQL query to execute (Trino syntax)",
+                },
+                max_rows: {
+                  type: "integer",
+                  description: "Stop collecting after this many rows (default: the server's SQL row cap)",
+                },
+                poll_interval: {
+                  type: "number",
+                  description: "Seconds to wait between polls (default: 2.0)",
+                  default: 2.0
+                },
+                access_token: {
+                  type: "string",
+                  description: "Optional access token; overrides credentials configured on the server for this network",
+                }
+              },
+              required: ["network", "collection_slug", "sql"]
+            },
+            outputSchema: OUTPUT_SCHEMAS.query_job
+          },
+          {
+            name: "get_query_status",
+            description: "Report the state of a query job started with start_query: running, succeeded, failed or cancelled, and how many rows it has collected",
+            inputSchema: {
+              type: "object",
+              properties: {
+                job_id: {
+                  type: "string",
+                  description: "Job ID returned by start_query",
+                }
+              },
+              required: ["job_id"]
+            },
+            outputSchema: OUTPUT_SCHEMAS.query_job
+          },
+          {
+            name: "get_query_results",
+            description: "Read rows collected by a query job. Works while the job is still running (returns the rows so far) and after it finishes, until the job expires.",
+            inputSchema: {
+              type: "object",
+              properties: {
+                job_id: {
+                  type: "string",
+                  description: "Job ID returned by start_query",
+                },
+                offset: {
+                  type: "integer",
+                  description: "Index of the first row to return (default: 0)",
+                  default: 0
+                },
+                limit: {
+                  type: "integer",
+                  description: "Maximum number of rows to return (default: 100)",
+                  default: 100
+                },
+                ...FORMAT_INPUT_PROPERTIES
+              },
+              required: ["job_id"]
+            },
+            outputSchema: OUTPUT_SCHEMAS.get_query_results
+          },
+          {
+            name: "cancel_query",
+            description: "Stop a running query job. Rows collected so far stay readable with get_query_results.",
+            inputSchema: {
+              type: "object",
+              properties: {
+                job_id: {
+                  type: "string",
+                  description: "Job ID returned by start_query",
+                }
+              },
+              required: ["job_id"]
+            },
+            outputSchema: OUTPUT_SCHEMAS.query_job
+          },
+          {
+            name: "get_query_history",
+            description: "List earlier calls to query-running tools (sql_search, query_table, count_rows, exports, profiles, federated queries, jobs...) from the audit log, newest first, with their arguments so they can be re-run or refined. Covers this session unless all_sessions is set.",
+            inputSchema: {
+              type: "object",
+              properties: {
+                all_sessions: {
+                  type: "boolean",
+                  description: "Include your calls from earlier sessions (default: false)",
+                  default: false
+                },
+                tool: {
+                  type: "string",
+                  enum: AUDITED_TOOLS,
+                  description: "Only calls to this tool",
+                },
+                network: {
+                  type: "string",
+                  description: "Only calls to this network, as it was given",
+                },
+                collection_slug: {
+                  type: "string",
+                  description: "Only calls to this collection",
+                },
+                since: {
+                  type: "string",
+                  description: "Only calls at or after this ISO 8601 time",
+                },
+                limit: {
+                  type: "integer",
+                  description: "Maximum number of entries to return (default: 20, max: 200)",
+                  default: 20
+                }
+              }
+            },
+            outputSchema: OUTPUT_SCHEMAS.get_query_history
+          },
+          {
+            name: "save_cohort",
+            description: "Save a named cohort: a filter set or SQL WHERE condition on one table, reusable by name with query_table, count_rows and sql_search",
+            inputSchema: {
+              type: "object",
+              properties: {
+                name: {
+                  type: "string",
+                  description: "Cohort name, e.g. \"ALS cases with C9orf72 expansion\"",
+                },
+                description: {
+                  type: "string",
+                  description: "What the cohort is and how it was defined",
+                },
+                network: {
+                  type: "string",
+                  description: "Network name or URL",
+                },
+                collection_slug: {
+                  type: "string",
+                  description: "Collection slug name",
+                },
+                table_name: {
+                  type: "string",
+                  description: "Qualified table name the cohort selects rows from",
+                },
+                filters: FILTERS_INPUT_SCHEMA,
+                where: {
+                  type: "string",
+                  description: "SQL WHERE condition (Trino syntax, without the WHERE keyword), instead of filters. Cohorts defined this way work with sql_search only.",
+                },
+                replace: {
+                  type: "boolean",
+                  description: "Overwrite an existing cohort with the same name (default: false)",
+                  default: false
+                },
+                access_token: {
+                  type: "string",
+                  description: "Optional access token, used to check filters against the table schema",
+                }
+              },
+              required: ["name", "network", "collection_slug", "table_name"]
+            },
+            outputSchema: OUTPUT_SCHEMAS.cohort
+          },
+          {
+            name: "list_cohorts",
+            description: "List your saved cohorts",
+            inputSchema: {
+              type: "object",
+              properties: {
+                network: {
+                  type: "string",
+                  description: "Only cohorts on this network",
+                },
+                collection_slug: {
+                  type: "string",
+                  description: "Only cohorts in this collection",
+                }
+              }
+            },
+            outputSchema: OUTPUT_SCHEMAS.list_cohorts
+          },
+          {
+            name: "get_cohort",
+            description: "Show a saved cohort's definition, with its filters as a SQL condition",
+            inputSchema: {
+              type: "object",
+              properties: {
+                name: {
+                  type: "string",
+                  description: "Cohort name",
+                }
+              },
+              required: ["name"]
+            },
+            outputSchema: OUTPUT_SCHEMAS.cohort
+          },
+          {
+            name: "delete_cohort",
+            description: "Delete a saved cohort",
+            inputSchema: {
+              type: "object",
+              properties: {
+                name: {
+                  type: "string",
+                  description: "Cohort name",
+                }
+              },
+              required: ["name"]
+            },
+            outputSchema: OUTPUT_SCHEMAS.cohort
+          }
+        ]
+      };
+    });
+
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      const { name, arguments: args } = request.params;
+      // The HTTP wrapper has already set the request ID; stdio calls get a new one
+      const requestId = currentRequest().requestId || requestIdFrom(extra.requestInfo?.headers);
+      return withRequestContext({ requestId, tool: name, client: extra.authInfo?.clientId }, () =>
+        this.callTool(name, args, new ToolContext(extra)));
+    });
+  }
+
+  // Run a tool, turning failures into error results, and log and count the call
+  async callTool(name, args, context) {
+    const network = this.networkLabel(args?.network);
+    const startedAt = Date.now();
+    let outcome = 'ok';
+    let failure = null;
+    let result = null;
+
+    try {
+      result = await this.dispatchTool(name, args, context);
+      return result;
+    } catch (error) {
+      outcome = context.cancelled ? 'cancelled' : 'error';
+      // Tokens must never reach the model, even inside upstream error text
+      failure = this.credentials.redact(error.message, callTokens(args));
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error: ${failure}`
+          }
+        ],
+        isError: true
+      };
+    } finally {
+      const seconds = (Date.now() - startedAt) / 1000;
+      toolCalls.inc({ tool: name, network, outcome });
+      toolCallDuration.observe({ tool: name, network }, seconds);
+      const fields = { network, outcome, duration_ms: Math.round(seconds * 1000) };
+      if (outcome === 'error') {
+        logger.warn("Tool call failed", { ...fields, error: failure });
+      } else {
+        logger.info("Tool call", fields);
+      }
+
+      if (AUDITED_TOOLS.includes(name)) {
+        await this.auditLog.append(auditEntry({
+          tool: name,
+          args,
+          result,
+          outcome,
+          error: failure,
+          durationMs: fields.duration_ms,
+          sql: context.sql,
+          sessionId: this.auditSessionId(context),
+          client: context.clientId,
+          requestId: currentRequest().requestId,
+          redact: text => this.credentials.redact(text, callTokens(args))
+        }));
+      }
+    }
+  }
+
+  auditSessionId(context) {
+    return context.sessionId || this.localSessionId;
+  }
+
+  async dispatchTool(name, args, context) {
+    switch (name) {
+      case "list_networks":
+        return await this.listNetworks(args);
+      case "list_collections":
+        return await this.listCollections(args);
+      case "list_tables":
+        return await this.listTables(args);
+      case "get_schema_fields":
+        return await this.getSchemaFields(args);
+      case "query_table":
+        return await this.queryTable(args, context);
+      case "count_rows":
+        return await this.countRows(args, context);
+      case "sql_search":
+        return await this.sqlSearch(args, context);
+      case "explain_sql":
+        return await this.explainSql(args, context);
+      case "fetch_next_page":
+        return await this.fetchNextPage(args, context);
+      case "export_query_results":
+        return await this.exportQueryResults(args, context);
+      case "lookup_variants":
+        return await this.lookupVariants(args, context);
+      case "profile_column":
+        return await this.profileColumn(args, context);
+      case "profile_table":
+        return await this.profileTable(args, context);
+      case "federated_query":
+        return await this.federatedQuery(args, context);
+      case "refresh_catalog":
+        return await this.refreshCatalog(args);
+      case "search_catalog":
+        return await this.searchCatalog(args, context);
+      case "start_query":
+        return await this.startQuery(args, context);
+      case "get_query_status":
+        return await this.getQueryStatus(args, context);
+      case "get_query_results":
+        return await this.getQueryResults(args, context);
+      case "cancel_query":
+        return await this.cancelQuery(args, context);
+      case "get_query_history":
+        return await this.getQueryHistory(args, context);
+      case "save_cohort":
+        return await this.saveCohort(args, context);
+      case "list_cohorts":
+        return await this.listCohorts(args, context);
+      case "get_cohort":
+        return await this.getCohort(args, context);
+      case "delete_cohort":
+        return await this.deleteCohort(args, context);
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+  }
+
+  // Network label for metrics and logs: the registered name, else the host
+  networkLabel(network) {
+    if (!network) {
+      return '';
+    }
+    try {
+      const { network: known, url } = this.networks.resolve(network);
+      return known ? known.name : hostOf(url);
+    } catch (e) {
+      return 'invalid';
+    }
+  }
+
+  setupResourceHandlers() {
+    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      // Listing every table of every network would fan out to all of them,
+      // so only the per-network collection indexes are advertised here;
+      // everything else is reachable through the templates.
+      return {
+        resources: this.networks.list().map(network => ({
+          uri: collectionsUri(network.name),
+          name: `${network.name} collections`,
+          description: `Collections available in the ${network.name} network (${network.url})`,
+          mimeType: "application/json"
+        }))
+      };
+    });
+
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return { resourceTemplates: RESOURCE_TEMPLATES };
+    });
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const { kind, network, collection, table } = parseResourceUri(uri);
+
+      let data;
+      switch (kind) {
+        case "collections":
+          data = (await this.fetchCollections(network)).map(c => ({
+            ...c,
+            tablesUri: tablesUri(network, c.slugName)
+          }));
+          break;
+        case "tables":
+          data = (await this.fetchTables(network, collection)).map(t => ({
+            ...t,
+            schemaUri: schemaUri(network, collection, t.qualified_table_name || t.name)
+          }));
+          break;
+        case "schema":
+          data = await this.fetchTableInfo(network, collection, table);
+          break;
+      }
+
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: "application/json",
+            text: JSON.stringify(data, null, 2)
+          }
+        ]
+      };
+    });
+  }
+
+  getNetworkUrl(network) {
+    return this.networks.resolve(network).url;
+  }
+
+  // Create HTTP client with proper headers
+  createHttpClient(network, access_token, context = ToolContext.none) {
+    const headers = {
+      'User-Agent': 'omics-ai-mcp-server/1.0.0',
+      'Accept': 'application/json'
+    };
+
+    // A per-call token overrides the server-side credential
+    if (access_token) {
+      headers['Authorization'] = `Bearer ${access_token}`;
+    }
+
+    return createApiClient({
+      baseURL: this.getNetworkUrl(network),
+      headers,
+      auth: access_token ? null : this.credentials.credentialFor(network),
+      signal: context.signal
+    });
+  }
+
+  // Parse JSON Lines response format
+  parseJsonLinesResponse(rawText) {
+    if (!rawText.trim()) {
+      throw new Error("Empty response received");
+    }
+
+    const lines = rawText.trim().split('\n').map(line => line.trim()).filter(line => line);
+    
+    if (!lines.length) {
+      throw new Error("No valid lines found in response");
+    }
+
+    const jsonObjects = [];
+    for (const line of lines) {
+      try {
+        const obj = JSON.parse(line);
+        jsonObjects.push(obj);
+      } catch (e) {
+        if (line !== "{}") {
+          // Silently ignore parsing errors for robustness
+        }
+      }
+    }
+
+    if (!jsonObjects.length) {
+      throw new Error("No valid JSON objects found in response");
+    }
+
+    // Find the object with data (usually the last non-empty one)
+    for (let i = jsonObjects.length - 1; i >= 0; i--) {
+      const obj = jsonObjects[i];
+      if (obj && 'data' in obj) {
+        return obj;
+      }
+    }
+
+    // If no data object found, check for next_page_token (polling case)
+    for (let i = jsonObjects.length - 1; i >= 0; i--) {
+      const obj = jsonObjects[i];
+      if (obj && 'next_page_token' in obj) {
+        return obj;
+      }
+    }
+
+    // Return the last non-empty object
+    const nonEmptyObjects = jsonObjects.filter(obj => obj && Object.keys(obj).length > 0);
+    if (nonEmptyObjects.length) {
+      return nonEmptyObjects[nonEmptyObjects.length - 1];
+    }
+
+    throw new Error("No data or next_page_token found in response");
+  }
+
+  // Catalog cache scope; aliases and full URLs of the same network share entries
+  catalogEntry(kind, network, access_token, collection, table) {
+    return {
+      kind,
+      network: this.getNetworkUrl(network),
+      identity: access_token || !this.credentials.credentialFor(network) ? identityOf(access_token) : 'server',
+      collection,
+      table
+    };
+  }
+
+  // Result cache scope: the catalog identity, plus the wrapper client so
+  // clients sharing the server's credentials still don't share results
+  resultCacheEntry(kind, { network, collection_slug, access_token }, query, context) {
+    const { network: url, identity } = this.catalogEntry(kind, network, access_token);
+    return { kind, network: url, collection: collection_slug, identity, client: context.clientId, query };
+  }
+
+  // The cached value for `entry` and its age, or null on a miss. Raw results
+  // are cached so any formatting options can be applied to them.
+  cachedResult(tool, entry, bypass) {
+    if (!this.resultCache.enabled) {
+      return null;
+    }
+    const cached = bypass ? null : this.resultCache.get(entry);
+    resultCacheLookups.inc({ tool, outcome: bypass ? 'bypass' : cached ? 'hit' : 'miss' });
+    return cached && { value: cached.value, ageSeconds: Math.round((Date.now() - cached.storedAt) / 1000) };
+  }
+
+  // Mark a tool result with whether it was answered from the result cache
+  withCacheInfo(result, cached) {
+    if (!cached) {
+      return { ...result, structuredContent: { ...result.structuredContent, cache: { hit: false, age_seconds: null } } };
+    }
+    const [first, ...rest] = result.content;
+    return {
+      content: [
+        { ...first, text: `${first.text}${cacheNoteText(cached)}` },
+        ...rest
+      ],
+      structuredContent: { ...result.structuredContent, cache: { hit: true, age_seconds: cached.ageSeconds } }
+    };
+  }
+
+  async fetchCollections(network, access_token) {
+    return this.catalog.get(this.catalogEntry('collections', network, access_token), async () => {
+      const client = this.createHttpClient(network, access_token);
+      const response = await client.get('/api/collections');
+      const collections = response.data;
+
+      if (!Array.isArray(collections)) {
+        throw new Error("Expected list of collections but got something else");
+      }
+
+      return collections;
+    });
+  }
+
+  async fetchTables(network, collection_slug, access_token) {
+    return this.catalog.get(this.catalogEntry('tables', network, access_token, collection_slug), async () => {
+      const client = this.createHttpClient(network, access_token);
+      const response = await client.get(`/api/collections/${encodeURIComponent(collection_slug)}/tables`);
+      const tables = response.data;
+
+      if (!Array.isArray(tables)) {
+        throw new Error("Expected list of tables but got something else");
+      }
+
+      return tables;
+    });
+  }
+
+  async fetchTableInfo(network, collection_slug, table_name, access_token) {
+    return this.catalog.get(this.catalogEntry('schema', network, access_token, collection_slug, table_name), async () => {
+      const client = this.createHttpClient(network, access_token);
+      const response = await client.get(`/api/collection/${encodeURIComponent(collection_slug)}/data-connect/table/${encodeURIComponent(table_name)}/info`);
+      return response.data;
+    });
+  }
+
+  async refreshCatalog(args = {}) {
+    const { network, collection_slug, table_name } = args;
+
+    if ((collection_slug && !network) || (table_name && !collection_slug)) {
+      throw new Error("collection_slug requires network, and table_name requires collection_slug");
+    }
+
+    const scope = {
+      network: network ? this.getNetworkUrl(network) : null,
+      collection: collection_slug || null,
+      table: table_name || null
+    };
+    const removed = await this.catalog.invalidate({
+      network: scope.network,
+      collection: scope.collection,
+      table: scope.table
+    });
+    // The next search refetches what was just dropped
+    const staleIndexes = await this.catalogIndex.markStale(scope.network);
+
+    const target = [scope.network, scope.collection, scope.table].filter(Boolean).join(' / ') || 'all networks';
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Invalidated ${removed} cached catalog entries for ${target}` +
+            (staleIndexes ? `; ${staleIndexes} search indexes will be updated on the next search_catalog` : '')
+        }
+      ],
+      structuredContent: { removed, stale_indexes: staleIndexes, ...scope }
+    };
+  }
+
+  async searchCatalog(args, context = ToolContext.none) {
+    const { query, networks, kinds = INDEX_KINDS, limit = 20, rebuild = 'auto', access_token } = args;
+
+    if (typeof query !== 'string' || !query.trim()) {
+      throw new Error("query must be a non-empty string");
+    }
+    if (!REBUILD_MODES.includes(rebuild)) {
+      throw new Error(`rebuild must be one of: ${REBUILD_MODES.join(', ')}`);
+    }
+    const unknownKinds = kinds.filter(k => !INDEX_KINDS.includes(k));
+    if (unknownKinds.length > 0) {
+      throw new Error(`Unknown kinds: ${unknownKinds.join(', ')} (expected ${INDEX_KINDS.join(', ')})`);
+    }
+
+    const targets = networks?.length ? networks : this.networks.list().map(n => n.name);
+    const indexed = await Promise.all(targets.map(async network => {
+      try {
+        const { snapshot, error } = await this.indexNetwork(network, access_token, rebuild, context);
+        return {
+          snapshot,
+          status: { network: snapshot.name, url: snapshot.url, indexed: true, built_at: snapshot.built_at, ...snapshotStats(snapshot), error }
+        };
+      } catch (error) {
+        if (error instanceof RequestCancelledError) {
+          throw error;
+        }
+        return {
+          snapshot: null,
+          status: {
+            network,
+            url: null,
+            indexed: false,
+            built_at: null,
+            collections: 0,
+            tables: 0,
+            fields: 0,
+            error: this.credentials.redact(error.message, [access_token])
+          }
+        };
+      }
+    }));
+
+    const snapshots = indexed.map(i => i.snapshot).filter(Boolean);
+    const { total, hits } = searchSnapshots(snapshots, query, { kinds, limit: Math.min(Math.max(limit, 1), 200) });
+    const statuses = indexed.map(i => i.status);
+
+    const describe = hit => {
+      const where = [hit.network, hit.collection, hit.table].filter(Boolean).join(' / ');
+      if (hit.kind === 'field') {
+        return `• [field] ${where} → **${hit.field}**${hit.type ? ` (${hit.type})` : ''}`;
+      }
+      if (hit.kind === 'table') {
+        return `• [table] ${where}${hit.description ? ` - ${hit.description}` : ''}`;
+      }
+      return `• [collection] ${where} (${hit.collection_name})${hit.description ? ` - ${hit.description}` : ''}`;
+    };
+    const problems = statuses.filter(s => s.error).map(s => `\n⚠️ ${s.network}: ${s.error}`).join('');
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: (hits.length === 0
+            ? `No catalog entries match "${query}" in ${snapshots.length} indexed networks`
+            : `Found ${total} catalog entries matching "${query}"${total > hits.length ? ` (showing ${hits.length})` : ''}:\n\n` +
+              hits.map(describe).join('\n')) + problems
+        }
+      ],
+      structuredContent: { query, total_hits: total, hits, networks: statuses }
+    };
+  }
+
+  // Build or update one network's search index. 'auto' updates a stale index
+  // incrementally. Incremental rebuilds go through the catalog cache, so only
+  // listings and schemas that expired or were invalidated are refetched; the
+  // fields of tables already indexed are kept when their schema can't be.
+  // When the network can't be reached, an existing index is used as is.
+  async indexNetwork(network, access_token, rebuild, context) {
+    const { network: url, identity } = this.catalogEntry('index', network, access_token);
+    const previous = await this.catalogIndex.load(url, identity);
+    if (previous && (rebuild === 'none' || (rebuild === 'auto' && !this.catalogIndex.isStale(previous)))) {
+      return { snapshot: previous, error: null };
+    }
+    if (rebuild === 'none') {
+      throw new Error("Not indexed yet; search with rebuild 'auto' to build the index");
+    }
+    if (rebuild === 'full') {
+      await this.catalog.invalidate({ network: url });
+    }
+
+    let listed;
+    try {
+      listed = await this.fetchCollections(network, access_token);
+    } catch (error) {
+      if (previous) {
+        return { snapshot: previous, error: `Could not update the index, using the one built at ${previous.built_at}: ${this.credentials.redact(error.message, [access_token])}` };
+      }
+      throw error;
+    }
+
+    const previousCollections = new Map((rebuild === 'full' ? [] : previous?.collections || []).map(c => [c.slug, c]));
+    const collections = [];
+    for (const c of listed) {
+      context.throwIfCancelled();
+      const before = previousCollections.get(c.slugName);
+      const knownTables = new Map((before?.tables || []).map(t => [t.name, t]));
+      const entry = { slug: c.slugName, name: c.name, description: c.description || null, tables: [], error: null };
+
+      let tables;
+      try {
+        tables = await this.fetchTables(network, c.slugName, access_token);
+      } catch (error) {
+        entry.tables = before?.tables || [];
+        entry.error = this.credentials.redact(error.message, [access_token]);
+        collections.push(entry);
+        continue;
+      }
+
+      entry.tables = await Promise.all(tables.map(async t => {
+        const name = t.qualified_table_name || t.name;
+        const table = { name, display_name: t.display_name || null, fields: null, error: null };
+        try {
+          const info = await this.fetchTableInfo(network, c.slugName, name, access_token);
+          return { ...table, fields: describeFields(info?.data_model?.properties || {}) };
+        } catch (error) {
+          // The next rebuild retries it; until then the last known fields stay searchable
+          return { ...table, fields: knownTables.get(name)?.fields || null, error: this.credentials.redact(error.message, [access_token]) };
+        }
+      }));
+      collections.push(entry);
+    }
+
+    const snapshot = {
+      url,
+      name: this.networks.resolve(network).network?.name || url,
+      identity,
+      built_at: new Date().toISOString(),
+      collections
+    };
+    await this.catalogIndex.save(snapshot);
+    return { snapshot, error: null };
+  }
+
+  async listNetworks(args = {}) {
+    const { check_reachability = true, timeout = 5 } = args;
+
+    const probe = async (network) => {
+      const started = Date.now();
+      const client = createApiClient({
+        baseURL: network.url,
+        headers: {
+          'User-Agent': 'omics-ai-mcp-server/1.0.0',
+          'Accept': 'application/json'
+        },
+        auth: this.credentials.credentialFor(network.name),
+        options: { ...httpClientOptions(), timeoutMs: timeout * 1000, maxRetries: 0 }
+      });
+
+      try {
+        const response = await client.get('/api/collections');
+        return { reachable: true, status: response.status, latency_ms: Date.now() - started, error: null };
+      } catch (error) {
+        // Any HTTP answer below 500 means the API is up, even if it wants credentials
+        const reachable = Number.isInteger(error.status) && error.status < 500;
+        return {
+          reachable,
+          status: error.status ?? null,
+          latency_ms: Date.now() - started,
+          error: reachable ? null : this.credentials.redact(error.message)
+        };
+      }
+    };
+
+    const networks = await Promise.all(this.networks.list().map(async network => ({
+      name: network.name,
+      url: network.url,
+      aliases: network.aliases,
+      description: network.description,
+      source: network.source,
+      auth_type: this.credentials.describe(network.name).type,
+      token_configured: this.credentials.describe(network.name).configured,
+      ...(check_reachability
+        ? await probe(network)
+        : { reachable: null, status: null, latency_ms: null, error: null })
+    })));
+
+    const describe = n => {
+      const aliases = n.aliases.length ? ` (aliases: ${n.aliases.join(', ')})` : '';
+      const status = n.reachable === null ? '' :
+        n.reachable ? `\n  Reachable (HTTP ${n.status}, ${n.latency_ms} ms)` : `\n  Unreachable: ${n.error}`;
+      return `• **${n.name}**${aliases} - ${n.url}\n  ${n.description || 'No description'}${status}`;
+    };
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `${networks.length} networks configured:\n\n` + networks.map(describe).join('\n\n')
+        }
+      ],
+      structuredContent: { networks }
+    };
+  }
+
+  async listCollections(args) {
+    const { network, access_token } = args;
+
+    try {
+      const collections = await this.fetchCollections(network, access_token);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Found ${collections.length} collections in ${network}:\n\n` +
+                  collections.map(c => `• **${c.name}** (${c.slugName})\n  ${c.description || 'No description'}`).join('\n\n')
+          }
+        ],
+        structuredContent: {
+          network,
+          collections: collections.map(c => ({
+            name: c.name,
+            slug: c.slugName,
+            description: c.description || null
+          }))
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to list collections: ${error.message}`);
+    }
+  }
+
+  async listTables(args) {
+    const { network, collection_slug, access_token } = args;
+
+    try {
+      const tables = await this.fetchTables(network, collection_slug, access_token);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Found ${tables.length} tables in collection '${collection_slug}':\n\n` +
+                  tables.map(t => `• **${t.display_name}** (${t.qualified_table_name || t.name})\n  ${t.size ? `${t.size.toLocaleString()} rows` : 'Size unknown'}`).join('\n\n')
+          }
+        ],
+        structuredContent: {
+          network,
+          collection: collection_slug,
+          tables: tables.map(t => ({
+            name: t.qualified_table_name || t.name,
+            display_name: t.display_name || null,
+            size: Number.isInteger(t.size) ? t.size : null
+          }))
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to list tables: ${error.message}`);
+    }
+  }
+
+  async getSchemaFields(args) {
+    const { network, collection_slug, table_name, access_token } = args;
+
+    try {
+      const schema = await this.fetchTableInfo(network, collection_slug, table_name, access_token);
+      const dataModel = schema?.data_model?.properties || {};
+
+      if (!dataModel || Object.keys(dataModel).length === 0) {
+        throw new Error("No schema (data_model.properties) found in response");
+      }
+
+      const fields = describeFields(dataModel);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Schema for table '${table_name}' (${fields.length} fields):\n\n` +
+                  fields.map(f => `• **${f.name}**: ${f.type}${f.sql_type ? ` (SQL: ${f.sql_type})` : ''}`).join('\n')
+          }
+        ],
+        structuredContent: {
+          network,
+          collection: collection_slug,
+          table: table_name,
+          fields
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get schema: ${error.message}`);
+    }
+  }
+
+  async queryTable(args, context = ToolContext.none) {
+    const { 
+      network, 
+      collection_slug, 
+      table_name, 
+      filters = {}, 
+      limit = 100, 
+      offset = 0, 
+      order_by, 
+      access_token 
+    } = args;
+    
+    const client = this.createHttpClient(network, access_token, context);
+
+    try {
+      const format = formatOptions(args);
+      const cohort = await this.cohortFor(args, context);
+      const payload = {
+        tableName: table_name,
+        filters: await this.prepareFilters(network, collection_slug, table_name, this.withCohortFilters(cohort, filters), access_token),
+        pagination: { limit, offset }
+      };
+
+      if (order_by) {
+        payload.order = order_by;
+      }
+
+      const result = await this.filterTable(client, collection_slug, table_name, payload, context);
+      const columns = await this.queryColumns(result, network, collection_slug, table_name, access_token);
+
+      const summary = `Query returned ${result.data.length} rows from '${table_name}'${cohort ? ` in cohort '${cohort.name}'` : ''}`;
+      const pagination = result.pagination ? 
+        `\nPagination: showing ${result.pagination.offset || 0} to ${(result.pagination.offset || 0) + result.data.length} of ${result.pagination.total || 'unknown'} total rows` : '';
+      const structured = structuredRows(result.data, columns, format);
+      const preview = formatRows(result.data, columns.map(c => c.name), format, format.maxChars - summary.length - pagination.length, structured.rows.length);
+      
+      return {
+        content: [
+          {
+            type: "text",
+            text: `${summary}${pagination}${preview.text ? `\n\n${preview.text}` : ''}`
+          }
+        ],
+        structuredContent: {
+          network,
+          collection: collection_slug,
+          table: table_name,
+          columns: structured.columns,
+          rows: structured.rows,
+          ...(structured.omitted ? { rows_omitted: structured.omitted } : {}),
+          pagination: {
+            offset: result.pagination?.offset || offset,
+            limit,
+            returned: result.data.length,
+            total: Number.isInteger(result.pagination?.total) ? result.pagination.total : null
+          },
+          ...(cohort ? { cohort: cohortReference(cohort) } : {})
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to query table: ${error.message}`);
+    }
+  }
+
+  // Validate typed filters against the table schema and translate them into
+  // the /filter payload. An empty filter object is passed through unchanged.
+  async prepareFilters(network, collection_slug, table_name, filters, access_token) {
+    if (!filters || Object.keys(filters).length === 0) {
+      return {};
+    }
+
+    const tree = normalizeFilters(filters);
+    const info = await this.fetchTableInfo(network, collection_slug, table_name, access_token);
+    const fields = describeFields(info?.data_model?.properties || {});
+    if (fields.length === 0) {
+      throw new Error("Cannot validate filters: no schema (data_model.properties) found for the table");
+    }
+    validateFilters(tree, fields);
+
+    const payload = toFilterPayload(tree);
+    return payload.operator ? payload : { operator: 'AND', filters: [payload] };
+  }
+
+  // POST to the filter endpoint, polling with next_page_token until data arrives
+  async filterTable(client, collection_slug, table_name, payload, context = ToolContext.none) {
+    // Implement polling for async queries
+    const maxPolls = 10;
+    const pollInterval = 2000; // 2 seconds
+    payload = { ...payload };
+
+    for (let pollCount = 0; pollCount < maxPolls; pollCount++) {
+      queryPolls.inc({ host: hostOf(client.defaults.baseURL) });
+      const response = await client.post(
+        `/api/collections/${encodeURIComponent(collection_slug)}/tables/${encodeURIComponent(table_name)}/filter`,
+        payload,
+        {
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+
+      const result = this.parseJsonLinesResponse(response.data);
+
+      if ('data' in result && Array.isArray(result.data)) {
+        return result;
+      } else if ('next_page_token' in result) {
+        if (result.next_page_token !== 'empty_response_poll') {
+          payload.next_page_token = result.next_page_token;
+        }
+        if (pollCount < maxPolls - 1) {
+          await context.progress('Waiting for table query results', { polls: pollCount + 1 });
+          await context.sleep(pollInterval);
+        }
+      } else {
+        throw new Error(`Unexpected response format: ${Object.keys(result)}`);
+      }
+    }
+
+    throw new Error(`Query timed out after ${maxPolls} polls`);
+  }
+
+  // The filter endpoint does not always include a data model, so fall back to
+  // the table info to type the columns that came back.
+  async queryColumns(result, network, collection_slug, table_name, access_token) {
+    if (result.data_model?.properties) {
+      return resultColumns(result);
+    }
+
+    try {
+      const info = await this.fetchTableInfo(network, collection_slug, table_name, access_token);
+      const fields = describeFields(info?.data_model?.properties || {});
+      const returned = new Set(resultColumns(result).map(c => c.name));
+      const typed = fields.filter(f => returned.size === 0 || returned.has(f.name));
+      if (typed.length > 0) {
+        return typed;
+      }
+    } catch (e) {
+      // Untyped columns are better than failing a query that succeeded
+    }
+    return resultColumns(result);
+  }
+
+  async countRows(args, context = ToolContext.none) {
+    const { network, collection_slug, table_name, filters = {}, bypass_cache = false, access_token } = args;
+    const client = this.createHttpClient(network, access_token, context);
+
+    try {
+      const cohort = await this.cohortFor(args, context);
+      const payload = {
+        filters: await this.prepareFilters(network, collection_slug, table_name, this.withCohortFilters(cohort, filters), access_token)
+      };
+      const cacheEntry = this.resultCacheEntry('count', args, stableStringify({ table: table_name, ...payload }), context);
+      const cached = this.cachedResult('count_rows', cacheEntry, bypass_cache);
+      let count = cached?.value;
+
+      if (!cached) {
+        const response = await client.post(
+          `/api/collections/${encodeURIComponent(collection_slug)}/tables/${encodeURIComponent(table_name)}/filter/count`,
+          payload,
+          {
+            headers: { 'Content-Type': 'application/json' }
+          }
+        );
+
+        count = this.parseJsonLinesResponse(response.data).count || 0;
+        this.resultCache.set(cacheEntry, count);
+      }
+
+      return this.withCacheInfo({
+        content: [
+          {
+            type: "text",
+            text: `Count result: ${count.toLocaleString()} rows in '${table_name}'` +
+              (cohort ? ` in cohort '${cohort.name}'` : '') +
+              (Object.keys(filters).length ? ' matching the specified filters' : '')
+          }
+        ],
+        structuredContent: {
+          network,
+          collection: collection_slug,
+          table: table_name,
+          filters,
+          count,
+          ...(cohort ? { cohort: cohortReference(cohort) } : {})
+        }
+      }, cached);
+    } catch (error) {
+      throw new Error(`Failed to count rows: ${error.message}`);
+    }
+  }
+
+  // `footer` is text the caller appends to the result, kept within max_chars
+  async sqlSearch(args, context = ToolContext.none, { footer = '' } = {}) {
+    const { 
+      network, 
+      collection_slug, 
+      sql, 
+      max_polls = 10, 
+      poll_interval = 2.0, 
+      max_rows,
+      confirm_cost = false,
+      bypass_cache = false,
+      access_token 
+    } = args;
+    
+    const client = this.createHttpClient(network, access_token, context);
+    let guarded;
+
+    try {
+      const cohort = await this.cohortFor({ cohort: args.cohort, network, collection_slug }, context);
+      guarded = guardSql(this.withCohortSql(sql, cohort));
+      context.recordSql(guarded.sql);
+      const format = formatOptions(args);
+      const cacheEntry = this.resultCacheEntry('sql', args, stableStringify({ sql: normalizeSql(guarded.sql), max_rows }), context);
+      const cached = this.cachedResult('sql_search', cacheEntry, bypass_cache);
+      // null when the query returned nothing
+      let merged = cached?.value;
+
+      if (!cached) {
+        if (!confirm_cost) {
+          await this.checkScanCost(client, { network, collection_slug, sql: guarded, max_polls, poll_interval, access_token }, context);
+        }
+        const page = await this.firstSqlPage(client, collection_slug, guarded.sql, max_polls, poll_interval, context);
+        merged = page ? await this.collectSqlPages(client, page, max_rows, max_polls, poll_interval, context) : null;
+        this.resultCache.set(cacheEntry, merged);
+      }
+
+      const extra = `${sqlNoteText(guarded.note)}${cacheNoteText(cached)}${footer}`;
+      const result = merged
+        ? this.formatSqlResults(merged, guarded.sql, this.sqlCursor(network, collection_slug, guarded.sql, merged), reserveChars(format, extra))
+        : this.emptySqlResults(guarded.sql);
+      if (cohort) {
+        result.structuredContent.cohort = cohortReference(cohort);
+      }
+      return this.withCacheInfo(this.withSqlNote(result, guarded.note), cached);
+
+    } catch (error) {
+      // The backend is still working on it; let the caller pick it up again
+      if (error.nextPageUrl) {
+        const cursor = encodeCursor({ network, collection_slug, sql: guarded.sql, next_page_url: error.nextPageUrl });
+        throw new Error(`Failed to execute SQL query: ${error.message}. The query is still running: ` +
+          `call fetch_next_page with cursor \`${cursor}\` to keep waiting, or use start_query for long-running queries`);
+      }
+      throw new Error(`Failed to execute SQL query: ${error.message}`);
+    }
+  }
+
+  // With OMICS_SQL_MAX_SCAN_ROWS set, refuse SELECTs whose plan estimates a
+  // bigger scan. Queries that can't be explained are let through.
+  async checkScanCost(client, { network, collection_slug, sql, max_polls, poll_interval, access_token }, context) {
+    const maxScanRows = getMaxScanRows();
+    if (maxScanRows === 0 || !['SELECT', 'WITH'].includes(sql.statement)) {
+      return;
+    }
+
+    let plan;
+    try {
+      plan = await this.planQuery(client, { network, collection_slug, sql: sql.sql, max_polls, poll_interval, access_token }, context);
+    } catch (error) {
+      context.throwIfCancelled();
+      return;
+    }
+    if (plan.estimated_scan_rows !== null && plan.estimated_scan_rows > maxScanRows) {
+      throw new Error(`Query would read about ${plan.estimated_scan_rows.toLocaleString()} rows, more than this server allows ` +
+        `without confirmation (${maxScanRows.toLocaleString()}). Narrow it with filters (ideally on partition columns), ` +
+        `check the plan with explain_sql, or pass confirm_cost: true to run it anyway`);
+    }
+  }
+
+  // EXPLAIN a query as an IO plan and as a text plan; either one is enough to
+  // summarize. Table sizes come from the collection's table listing.
+  async planQuery(client, { network, collection_slug, sql, max_polls, poll_interval, access_token, large_table_rows }, context) {
+    const statements = explainStatements(sql);
+    const explain = async statement => {
+      context.recordSql(statement);
+      const page = await this.firstSqlPage(client, collection_slug, statement, max_polls, poll_interval, context);
+      if (!page) {
+        throw new Error("EXPLAIN returned no plan");
+      }
+      const all = await this.collectSqlPages(client, page, Number.MAX_SAFE_INTEGER, max_polls, poll_interval, context);
+      return planText(all.data);
+    };
+
+    const problems = [];
+    let io = null;
+    let text = null;
+    let plan = null;
+    try {
+      io = parseIoPlan(await explain(statements.io));
+    } catch (error) {
+      context.throwIfCancelled();
+      problems.push(`IO plan unavailable: ${error.message}`);
+    }
+    try {
+      plan = await explain(statements.text);
+      text = parseTextPlan(plan);
+    } catch (error) {
+      context.throwIfCancelled();
+      problems.push(`Text plan unavailable: ${error.message}`);
+    }
+    if (!io && !text) {
+      throw new Error(problems.join('; '));
+    }
+
+    const sizes = new Map();
+    try {
+      for (const table of await this.fetchTables(network, collection_slug, access_token)) {
+        if (Number.isInteger(table.size)) {
+          sizes.set(table.qualified_table_name || table.name, table.size);
+        }
+      }
+    } catch (error) {
+      problems.push(`Table sizes unavailable: ${error.message}`);
+    }
+
+    const summary = summarizePlan({ io, text }, sizes, { largeTableRows: large_table_rows });
+    return { ...summary, warnings: [...summary.warnings, ...problems], plan };
+  }
+
+  async explainSql(args, context = ToolContext.none) {
+    const {
+      network,
+      collection_slug,
+      sql,
+      large_table_rows = DEFAULT_LARGE_TABLE_ROWS,
+      max_polls = 10,
+      poll_interval = 2.0,
+      access_token
+    } = args;
+
+    const client = this.createHttpClient(network, access_token, context);
+
+    try {
+      const guarded = guardSql(sql);
+      if (guarded.statement === 'EXPLAIN') {
+        throw new Error("Pass the query itself; explain_sql adds EXPLAIN");
+      }
+
+      const result = await this.planQuery(client, {
+        network,
+        collection_slug,
+        sql: guarded.sql,
+        max_polls,
+        poll_interval,
+        access_token,
+        large_table_rows
+      }, context);
+
+      const maxScanRows = getMaxScanRows();
+      const needsConfirmation = maxScanRows > 0 && result.estimated_scan_rows !== null && result.estimated_scan_rows > maxScanRows;
+      const count = n => n === null ? 'unknown' : n.toLocaleString();
+
+      const describe = t => {
+        const details = [
+          t.size !== null ? `${t.size.toLocaleString()} rows` : 'size unknown',
+          t.estimated_rows !== null ? `~${t.estimated_rows.toLocaleString()} read` : null,
+          t.full_scan === true ? 'full scan' : null
+        ].filter(Boolean).join(', ');
+        const constraints = t.constraints.length
+          ? `\n  Constrained on: ${t.constraints.map(c => c.ranges !== null ? `${c.column} (${c.ranges} range${c.ranges === 1 ? '' : 's'})` : c.column).join(', ')}`
+          : '';
+        return `• ${t.large_full_scan ? '⚠️ ' : ''}**${t.table}**: ${details}${constraints}`;
+      };
+
+      const lines = [
+        `Plan for: ${guarded.sql}`,
+        '',
+        `Estimated rows read: ${count(result.estimated_scan_rows)}, returned: ${count(result.estimated_output_rows)}` +
+          (result.partitions !== null ? `, partitions: ${result.partitions.toLocaleString()}` : '')
+      ];
+      if (result.tables.length > 0) {
+        lines.push('', '**Tables:**', ...result.tables.map(describe));
+      }
+      if (result.warnings.length > 0) {
+        lines.push('', ...result.warnings.map(w => `⚠️ ${w}`));
+      }
+      if (needsConfirmation) {
+        lines.push('', `sql_search will refuse this query unless confirm_cost is true (server limit: ${maxScanRows.toLocaleString()} rows).`);
+      }
+
+      return {
+        content: [{ type: "text", text: lines.join('\n') }],
+        structuredContent: {
+          sql: guarded.sql,
+          ...result,
+          max_scan_rows: maxScanRows || null,
+          requires_confirmation: needsConfirmation
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to explain SQL query: ${error.message}`);
+    }
+  }
+
+  // Submit a SQL query and resolve to its first page with data, or null when
+  // the query completed without results
+  async firstSqlPage(client, collection_slug, sql, max_polls, poll_interval, context = ToolContext.none) {
+    // Initial SQL query request
+    const response = await client.post(
+      `/api/collection/${encodeURIComponent(collection_slug)}/data-connect/search`,
+      { query: sql },
+      {
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+
+    let result;
+    if (response.headers['content-type'] && response.headers['content-type'].startsWith('application/json')) {
+      result = response.data;
+    } else {
+      try {
+        result = JSON.parse(response.data);
+      } catch (e) {
+        throw new Error(`Invalid JSON response: ${response.data.substring(0, 200)}...`);
+      }
+    }
+
+    // Check for immediate errors
+    if (result.errors && result.errors.length > 0) {
+      const errorDetails = result.errors[0].details || 'Unknown error';
+      throw new Error(`SQL query error: ${errorDetails}`);
+    }
+
+    // Check if we have immediate data (unlikely but possible)
+    if (result.data && result.data.length > 0) {
+      return result;
+    }
+
+    // Check if we need to poll
+    const nextPageUrl = result.pagination?.next_page_url;
+    if (!nextPageUrl) {
+      // No pagination URL but empty data - query completed with no results
+      return null;
+    }
+
+    // Poll for results with improved logic
+    return await this.pollSqlResults(client, nextPageUrl, max_polls, poll_interval, true, context);
+  }
+
+  // Tell the caller when the SQL that ran differs from what they sent
+  withSqlNote(result, note) {
+    if (note) {
+      result.content[0].text += sqlNoteText(note);
+      result.structuredContent.note = note;
+    }
+    return result;
+  }
+
+  async fetchNextPage(args, context = ToolContext.none) {
+    const { cursor, max_rows, max_polls = 10, poll_interval = 2.0, access_token } = args;
+
+    try {
+      const format = formatOptions(args);
+      const { network, collection_slug, sql, next_page_url } = decodeCursor(cursor);
+      if (!sameOrigin(next_page_url, this.getNetworkUrl(network))) {
+        throw new Error(`Invalid cursor: its next page is not on ${network}`);
+      }
+      context.recordSql(sql);
+      const client = this.createHttpClient(network, access_token, context);
+
+      const page = await this.pollSqlResults(client, next_page_url, max_polls, poll_interval, false, context);
+      if (!page) {
+        return this.emptySqlResults(sql);
+      }
+
+      const merged = await this.collectSqlPages(client, page, max_rows, max_polls, poll_interval, context);
+      return this.formatSqlResults(merged, sql, this.sqlCursor(network, collection_slug, sql, merged), format);
+    } catch (error) {
+      throw new Error(`Failed to fetch next page: ${error.message}`);
+    }
+  }
+
+  // Follow next_page_url from a page that has data until max_rows is reached.
+  // Whole pages are kept so the cursor never skips rows.
+  async collectSqlPages(client, page, max_rows, max_polls, poll_interval, context = ToolContext.none) {
+    const rows = [...page.data];
+    let last = page;
+    context.addRows(page.data.length);
+
+    while (max_rows && rows.length < max_rows && last.pagination?.next_page_url) {
+      const next = await this.pollSqlResults(client, last.pagination.next_page_url, max_polls, poll_interval, false, context);
+      if (!next) {
+        last = { ...last, pagination: { ...last.pagination, next_page_url: null } };
+        break;
+      }
+      rows.push(...next.data);
+      last = next;
+      context.addRows(next.data.length);
+      await context.progress('Fetched a page of SQL results');
+    }
+
+    return { ...last, data: rows, data_model: page.data_model || last.data_model };
+  }
+
+  sqlCursor(network, collection_slug, sql, result) {
+    const next_page_url = result.pagination?.next_page_url;
+    return next_page_url ? encodeCursor({ network, collection_slug, sql, next_page_url }) : null;
+  }
+
+  // Poll next_page_url until a page with data arrives. Resolves to that page,
+  // or null when the query completed without (further) rows.
+  async pollSqlResults(client, nextPageUrl, max_polls, poll_interval, delayFirst = true, context = ToolContext.none) {
+    for (let pollCount = 0; pollCount < max_polls; pollCount++) {
+      if (delayFirst || pollCount > 0) {
+        await context.progress('Waiting for SQL results', { polls: pollCount + 1 });
+        await context.sleep(poll_interval * 1000);
+      }
+
+      try {
+        queryPolls.inc({ host: hostOf(client.defaults.baseURL) });
+        const pollResult = await this.fetchSqlPage(client, nextPageUrl);
+
+        // Check if we have data
+        if (pollResult.data && pollResult.data.length > 0) {
+          return pollResult;
+        }
+
+        // Check if we should continue polling
+        if (pollResult.data && pollResult.data.length === 0 && !pollResult.pagination?.next_page_url) {
+          // Empty results with no next page - query completed with no matches
+          return null;
+        }
+
+        // Continue polling if we have a next_page_url
+        if (pollResult.pagination?.next_page_url) {
+          nextPageUrl = pollResult.pagination.next_page_url;
+          continue;
+        }
+
+        // No next page URL and empty data - return what we have
+        return null;
+
+      } catch (pollError) {
+        // Transient HTTP failures were already retried by the client; keep
+        // polling through them, but auth, not-found and SQL errors are final
+        const transient = pollError instanceof OmicsApiError && pollError.retryable && !context.cancelled;
+        if (transient && pollCount < max_polls - 1) {
+          continue; // Try again
+        } else {
+          throw new Error(`Polling failed: ${pollError.message}`);
+        }
+      }
+    }
+
+    const timeout = new Error(`SQL query timed out after ${max_polls} polls (${max_polls * poll_interval}s)`);
+    timeout.nextPageUrl = nextPageUrl;
+    throw timeout;
+  }
+
+  // GET one page of SQL results, surfacing query errors the API reports in the body
+  async fetchSqlPage(client, nextPageUrl, signal) {
+    const pollResponse = await client.get(nextPageUrl, { signal });
+    let pollResult;
+
+    if (pollResponse.headers['content-type'] && pollResponse.headers['content-type'].startsWith('application/json')) {
+      pollResult = pollResponse.data;
+    } else {
+      try {
+        pollResult = JSON.parse(pollResponse.data);
+      } catch (e) {
+        throw new Error(`Invalid JSON response: ${pollResponse.data.substring(0, 200)}...`);
+      }
+    }
+
+    // Check for errors
+    if (pollResult.errors && pollResult.errors.length > 0) {
+      const errorDetails = pollResult.errors[0].details || 'Unknown error';
+      throw new Error(`SQL query error: ${errorDetails}`);
+    }
+
+    return pollResult;
+  }
+
+  // Client identity for job ownership; set by the HTTP wrapper's auth
+  jobOwner(context) {
+    return context.clientId;
+  }
+
+  async startQuery(args, context) {
+    const { network, collection_slug, sql, max_rows, poll_interval = 2.0, access_token } = args;
+
+    try {
+      const guarded = guardSql(sql);
+      context.recordSql(guarded.sql);
+      const job = this.jobs.create({
+        network,
+        collection_slug,
+        sql: guarded.sql,
+        note: guarded.note,
+        max_rows: max_rows || getLimitCap() || null,
+        owner: this.jobOwner(context)
+      });
+
+      const client = this.createHttpClient(network, access_token);
+      // Submit before returning so bad SQL and auth failures surface here
+      let submitted;
+      try {
+        const response = await client.post(
+          `/api/collection/${encodeURIComponent(collection_slug)}/data-connect/search`,
+          { query: guarded.sql },
+          { headers: { 'Content-Type': 'application/json' } }
+        );
+        submitted = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+        if (submitted.errors && submitted.errors.length > 0) {
+          throw new Error(`SQL query error: ${submitted.errors[0].details || 'Unknown error'}`);
+        }
+      } catch (error) {
+        job.finish('failed', error.message);
+        throw error;
+      }
+
+      this.jobs.run(job, async () => {
+        try {
+          await this.runQueryJob(job, client, submitted, poll_interval);
+        } catch (error) {
+          throw new Error(this.credentials.redact(error.message, [access_token]));
+        }
+      });
+
+      return this.formatJobStatus(job, `Started query job ${job.id}`);
+    } catch (error) {
+      throw new Error(`Failed to start query: ${error.message}`);
+    }
+  }
+
+  // Background loop: follow next_page_url until the query completes, the row
+  // limit is reached or the job is cancelled
+  async runQueryJob(job, client, page, poll_interval) {
+    const sleep = ms => new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new Error('Query job was cancelled'));
+      };
+      const timer = setTimeout(() => {
+        job.signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      job.signal.addEventListener('abort', onAbort, { once: true });
+    });
+    let transientFailures = 0;
+
+    while (true) {
+      if (page.data && page.data.length > 0) {
+        job.append(page.data, resultColumns(page));
+      }
+      job.nextPageUrl = page.pagination?.next_page_url || null;
+      if (!job.nextPageUrl || job.rowLimitReached) {
+        return;
+      }
+
+      if (!page.data || page.data.length === 0) {
+        await sleep(poll_interval * 1000);
+      }
+
+      try {
+        job.polls++;
+        queryPolls.inc({ host: hostOf(client.defaults.baseURL) });
+        page = await this.fetchSqlPage(client, job.nextPageUrl, job.signal);
+        transientFailures = 0;
+      } catch (error) {
+        if (job.signal.aborted) {
+          throw new Error('Query job was cancelled');
+        }
+        // Same tolerance as pollSqlResults: transient failures are retried
+        if (error instanceof OmicsApiError && error.retryable && ++transientFailures < 5) {
+          page = { data: [], pagination: { next_page_url: job.nextPageUrl } };
+          continue;
+        }
+        throw error;
       }
+    }
+  }
+
+  formatJobStatus(job, heading) {
+    const status = job.status(this.jobs.retentionMs);
+    const lines = [
+      `${heading}`,
+      ``,
+      `**State:** ${status.state}`,
+      `**Rows collected:** ${status.rows_collected.toLocaleString()}${status.has_more_pages ? ' (more pages available)' : ''}`,
+      `**Elapsed:** ${(status.elapsed_ms / 1000).toFixed(1)}s`,
+      `**Query:** \`${status.sql}\``
+    ];
+    if (status.error) {
+      lines.push(`**Error:** ${status.error}`);
+    }
+    if (status.note) {
+      lines.push(`**Note:** ${status.note}`);
+    }
+    if (status.state === 'running') {
+      lines.push('', `Check progress with get_query_status (job_id: ${status.job_id}).`);
+    } else if (status.expires_at) {
+      lines.push('', `Results are kept until ${status.expires_at}.`);
+    }
+
+    return {
+      content: [{ type: "text", text: lines.join('\n') }],
+      structuredContent: status
+    };
+  }
+
+  async getQueryStatus(args, context) {
+    const job = this.jobs.get(args.job_id, this.jobOwner(context));
+    return this.formatJobStatus(job, `Query job ${job.id}`);
+  }
+
+  async cancelQuery(args, context) {
+    const owner = this.jobOwner(context);
+    const wasRunning = !this.jobs.get(args.job_id, owner).finished;
+    const job = this.jobs.cancel(args.job_id, owner);
+    return this.formatJobStatus(job, wasRunning ? `Cancelled query job ${job.id}` : `Query job ${job.id} had already finished`);
+  }
+
+  async getQueryResults(args, context) {
+    const { job_id, offset = 0, limit = 100 } = args;
+    const format = formatOptions(args);
+    const job = this.jobs.get(job_id, this.jobOwner(context));
+    context.recordSql(job.sql);
+    const status = job.status(this.jobs.retentionMs);
+    const rows = job.rows.slice(offset, offset + limit);
+    const moreInJob = offset + rows.length < job.rows.length;
+
+    // Once the job stops, unread backend pages continue through fetch_next_page
+    const cursor = job.finished && job.nextPageUrl && job.state !== 'failed'
+      ? encodeCursor({ network: job.network, collection_slug: job.collection_slug, sql: job.sql, next_page_url: job.nextPageUrl })
+      : null;
+
+    const head = `Query job ${job.id} (${status.state}): rows ${rows.length ? `${offset + 1}-${offset + rows.length}` : 'none'} of ${job.rows.length.toLocaleString()} collected`;
+    let tail = '';
+    if (moreInJob) {
+      tail = `\n\nMore rows collected: call get_query_results with offset ${offset + rows.length}.`;
+    } else if (status.state === 'running') {
+      tail = `\n\nThe query is still running; more rows may arrive.`;
+    } else if (cursor) {
+      tail = `\n\nThe job stopped before the last page. Call \`fetch_next_page\` with cursor: \`${cursor}\``;
+    }
+    const structured = structuredRows(rows, job.columns, format);
+    const preview = formatRows(rows, job.columns.map(c => c.name), format, format.maxChars - head.length - tail.length, structured.rows.length);
+    const text = `${head}${preview.text ? `\n\n${preview.text}` : ''}${tail}`;
 
-      const fields = [];
-      for (const [fieldName, fieldSpec] of Object.entries(dataModel)) {
-        let fieldType = fieldSpec.type || '';
-        if (Array.isArray(fieldType)) {
-          fieldType = fieldType.join(', ');
-        }
+    return {
+      content: [{ type: "text", text }],
+      structuredContent: {
+        job: status,
+        columns: structured.columns,
+        rows: structured.rows,
+        ...(structured.omitted ? { rows_omitted: structured.omitted } : {}),
+        offset,
+        returned: rows.length,
+        has_more: moreInJob || status.state === 'running' || Boolean(cursor),
+        cursor
+      }
+    };
+  }
 
-        if (fieldType === 'array' && fieldSpec.items) {
-          let itemType = fieldSpec.items.type || '';
-          if (Array.isArray(itemType)) {
-            itemType = itemType.join(', ');
-          }
-          fieldType = `array<${itemType}>`;
-        }
+  async getQueryHistory(args = {}, context) {
+    const { all_sessions = false, tool, network, collection_slug, since, limit = 20 } = args;
 
-        fields.push({
-          field: fieldName,
-          type: fieldType,
-          sql_type: fieldSpec.sqlType || ''
-        });
+    try {
+      if (!this.auditLog.enabled) {
+        throw new Error("The audit log is disabled on this server (OMICS_AUDIT_LOG=off)");
+      }
+      if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+        throw new Error("limit must be an integer between 1 and 200");
       }
+      if (since !== undefined && Number.isNaN(Date.parse(since))) {
+        throw new Error(`since must be an ISO 8601 time, got '${since}'`);
+      }
+
+      // Callers only ever see their own entries
+      const entries = await this.auditLog.read({
+        sessionId: all_sessions ? undefined : this.auditSessionId(context),
+        client: context.clientId,
+        tool,
+        network,
+        collection: collection_slug,
+        since: since === undefined ? undefined : new Date(since).toISOString()
+      });
+      const newest = entries.reverse().slice(0, limit);
+
+      const lines = newest.map((entry, i) => {
+        const target = [entry.network, entry.collection, entry.table].filter(Boolean).join('/');
+        const size = entry.count !== null ? `count ${entry.count}` : entry.rows !== null ? `${entry.rows} rows` : entry.outcome;
+        const query = entry.executed_sql || entry.arguments.sql || JSON.stringify(entry.arguments.filters || {});
+        return `${i + 1}. ${entry.time} ${entry.tool} ${target} (${size}, ${entry.cached ? 'cached' : `${entry.duration_ms}ms`}): ${query}`;
+      });
+      const scope = all_sessions ? 'all your sessions' : 'this session';
+      const text = newest.length === 0
+        ? `No queries recorded in ${scope}`
+        : `${newest.length} of ${entries.length} recorded queries in ${scope}, newest first:\n\n${lines.join('\n')}`;
 
       return {
-        content: [
-          {
-            type: "text",
-            text: `Schema for table '${table_name}' (${fields.length} fields):\n\n` +
-                  fields.map(f => `• **${f.field}**: ${f.type}${f.sql_type ? ` (SQL: ${f.sql_type})` : ''}`).join('\n')
-          }
-        ]
+        content: [{ type: "text", text }],
+        structuredContent: {
+          session_id: this.auditSessionId(context),
+          total: entries.length,
+          returned: newest.length,
+          entries: newest
+        }
       };
     } catch (error) {
-      throw new Error(`Failed to get schema: ${error.message}`);
+      throw new Error(`Failed to read query history: ${error.message}`);
     }
   }
 
-  async queryTable(args) {
-    const { 
-      network, 
-      collection_slug, 
-      table_name, 
-      filters = {}, 
-      limit = 100, 
-      offset = 0, 
-      order_by, 
-      access_token 
-    } = args;
-    
-    const client = this.createHttpClient(network, access_token);
+  // Whether two network arguments (names or URLs) are the same network
+  sameNetwork(a, b) {
+    try {
+      return this.getNetworkUrl(a) === this.getNetworkUrl(b);
+    } catch (e) {
+      return a === b;
+    }
+  }
 
-    const payload = {
-      tableName: table_name,
-      filters,
-      pagination: { limit, offset }
-    };
+  // The caller's cohort named by `cohort`, checked against the collection and,
+  // when one is given, the table being queried
+  async cohortFor({ cohort, network, collection_slug, table_name }, context) {
+    if (cohort === undefined) {
+      return null;
+    }
+    const saved = await this.cohorts.get(cohortName(cohort), context.clientId);
+    if (!this.sameNetwork(saved.network, network) || saved.collection_slug !== collection_slug ||
+      (table_name !== undefined && saved.table_name !== table_name)) {
+      throw new Error(`Cohort '${saved.name}' is defined on ${saved.network} / ${saved.collection_slug} / ${saved.table_name}`);
+    }
+    return saved;
+  }
 
-    if (order_by) {
-      payload.order = order_by;
+  // The cohort's filters ANDed with the call's own
+  withCohortFilters(cohort, filters) {
+    if (!cohort) {
+      return filters;
+    }
+    if (cohort.where !== null) {
+      throw new Error(`Cohort '${cohort.name}' is defined by a SQL condition; use it with sql_search (FROM {cohort})`);
     }
+    return Object.keys(filters || {}).length ? { and: [cohort.filters, filters] } : cohort.filters;
+  }
 
-    try {
-      // Implement polling for async queries
-      const maxPolls = 10;
-      const pollInterval = 2000; // 2 seconds
+  // SQL with {cohort} replaced by a subquery selecting the cohort's rows
+  withCohortSql(sql, cohort) {
+    if (!cohort) {
+      return sql;
+    }
+    if (typeof sql !== 'string' || !sql.includes('{cohort}')) {
+      throw new Error(`Write {cohort} in the SQL where the rows of cohort '${cohort.name}' should come from, e.g. SELECT count(*) FROM {cohort}`);
+    }
+    return sql.split('{cohort}').join(`(SELECT * FROM ${quoteQualifiedName(cohort.table_name)} WHERE ${cohortCondition(cohort)})`);
+  }
 
-      for (let pollCount = 0; pollCount < maxPolls; pollCount++) {
-        const response = await client.post(
-          `/api/collections/${encodeURIComponent(collection_slug)}/tables/${encodeURIComponent(table_name)}/filter`,
-          payload,
-          {
-            headers: { 'Content-Type': 'application/json' }
-          }
-        );
+  formatCohort(cohort, heading) {
+    const { owner, ...definition } = cohort;
+    const structured = { ...definition, sql_condition: cohortCondition(cohort) };
+    const lines = [
+      heading,
+      '',
+      `Table: ${cohort.network} / ${cohort.collection_slug} / ${cohort.table_name}`,
+      ...(cohort.description ? [`Description: ${cohort.description}`] : []),
+      ...(cohort.filters ? [`Filters: ${JSON.stringify(cohort.filters)}`] : []),
+      `SQL condition: ${structured.sql_condition}`,
+      `Revision ${cohort.revision}, updated ${cohort.updated_at}`
+    ];
+    return {
+      content: [{ type: "text", text: lines.join('\n') }],
+      structuredContent: structured
+    };
+  }
 
-        const result = this.parseJsonLinesResponse(response.data);
-
-        if ('data' in result && Array.isArray(result.data)) {
-          const summary = `Query returned ${result.data.length} rows from '${table_name}'`;
-          const pagination = result.pagination ? 
-            `\nPagination: showing ${result.pagination.offset || 0} to ${(result.pagination.offset || 0) + result.data.length} of ${result.pagination.total || 'unknown'} total rows` : '';
-          
-          return {
-            content: [
-              {
-                type: "text",
-                text: `${summary}${pagination}\n\nFirst few rows:\n` +
-                      JSON.stringify(result.data.slice(0, 5), null, 2)
-              }
-            ]
-          };
-        } else if ('next_page_token' in result) {
-          if (result.next_page_token !== 'empty_response_poll') {
-            payload.next_page_token = result.next_page_token;
-          }
-          if (pollCount < maxPolls - 1) {
-            await new Promise(resolve => setTimeout(resolve, pollInterval));
-          }
-        } else {
-          throw new Error(`Unexpected response format: ${Object.keys(result)}`);
+  async saveCohort(args, context) {
+    const { name, description = null, network, collection_slug, table_name, filters, where, replace = false, access_token } = args;
+
+    try {
+      const cohort = { name: cohortName(name), description, network, collection_slug, table_name, filters: null, where: null, owner: context.clientId };
+      if ((filters === undefined) === (where === undefined)) {
+        throw new Error("Provide exactly one of filters or where");
+      }
+      if (filters !== undefined) {
+        if (!filters || Object.keys(filters).length === 0) {
+          throw new Error("filters must not be empty");
         }
+        // Checked against the schema now, so a typo can't break every later query
+        await this.prepareFilters(network, collection_slug, table_name, filters, access_token);
+        cohort.filters = filters;
+      } else {
+        cohort.where = whereCondition(where);
+        guardSql(`SELECT * FROM ${quoteQualifiedName(table_name)} WHERE ${cohort.where}`);
       }
 
-      throw new Error(`Query timed out after ${maxPolls} polls`);
+      const saved = await this.cohorts.save(cohort, { replace });
+      const usage = saved.where !== null
+        ? `Use it in sql_search with cohort: ${JSON.stringify(saved.name)} and FROM {cohort}.`
+        : `Use it with cohort: ${JSON.stringify(saved.name)} in query_table and count_rows, or in sql_search with FROM {cohort}.`;
+      const result = this.formatCohort(saved, `${saved.revision > 1 ? 'Replaced' : 'Saved'} cohort '${saved.name}'`);
+      result.content[0].text += `\n\n${usage}`;
+      return result;
     } catch (error) {
-      throw new Error(`Failed to query table: ${error.message}`);
+      throw new Error(`Failed to save cohort: ${error.message}`);
     }
   }
 
-  async countRows(args) {
-    const { network, collection_slug, table_name, filters = {}, access_token } = args;
-    const client = this.createHttpClient(network, access_token);
+  async listCohorts(args = {}, context) {
+    const { network, collection_slug } = args;
+    const cohorts = (await this.cohorts.list(context.clientId)).filter(c =>
+      (network === undefined || this.sameNetwork(c.network, network)) &&
+      (collection_slug === undefined || c.collection_slug === collection_slug));
 
-    const payload = { filters };
+    const text = cohorts.length === 0
+      ? 'No saved cohorts. Create one with save_cohort.'
+      : `${cohorts.length} saved cohort${cohorts.length === 1 ? '' : 's'}:\n\n` + cohorts.map(c =>
+        `• **${c.name}** (${c.network} / ${c.collection_slug} / ${c.table_name}, ${c.where !== null ? 'SQL condition' : 'filters'}, revision ${c.revision})` +
+        (c.description ? `: ${c.description}` : '')).join('\n');
 
+    return {
+      content: [{ type: "text", text }],
+      structuredContent: {
+        cohorts: cohorts.map(c => this.formatCohort(c, '').structuredContent)
+      }
+    };
+  }
+
+  async getCohort(args, context) {
     try {
-      const response = await client.post(
-        `/api/collections/${encodeURIComponent(collection_slug)}/tables/${encodeURIComponent(table_name)}/filter/count`,
-        payload,
-        {
-          headers: { 'Content-Type': 'application/json' }
+      const cohort = await this.cohorts.get(cohortName(args.name), context.clientId);
+      return this.formatCohort(cohort, `Cohort '${cohort.name}'`);
+    } catch (error) {
+      throw new Error(`Failed to get cohort: ${error.message}`);
+    }
+  }
+
+  async deleteCohort(args, context) {
+    try {
+      const cohort = await this.cohorts.delete(cohortName(args.name), context.clientId);
+      return this.formatCohort(cohort, `Deleted cohort '${cohort.name}'`);
+    } catch (error) {
+      throw new Error(`Failed to delete cohort: ${error.message}`);
+    }
+  }
+
+  async exportQueryResults(args, context = ToolContext.none) {
+    const {
+      network,
+      collection_slug,
+      sql,
+      table_name,
+      filters = {},
+      order_by,
+      format = 'csv',
+      path: requestedPath,
+      max_rows,
+      page_size = 1000,
+      max_polls = 10,
+      poll_interval = 2.0,
+      access_token
+    } = args;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Unsupported export format: ${format} (expected one of ${EXPORT_FORMATS.join(', ')})`);
+    }
+    if (!sql === !table_name) {
+      throw new Error("Provide exactly one of sql or table_name");
+    }
+
+    const client = this.createHttpClient(network, access_token, context);
+    const filePath = resolveExportPath(requestedPath, format);
+    // Outside the try below, which removes the file on failure
+    try {
+      await reserveExportFile(filePath);
+    } catch (error) {
+      throw new Error(`Failed to export query results: ${error.message}`);
+    }
+    let writer = null;
+    let columns = [];
+    let rowCount = 0;
+
+    // Rows go straight to disk page by page; resolves to false once max_rows is hit
+    const writePage = async (page, pageColumns) => {
+      if (!writer) {
+        columns = pageColumns;
+        writer = await createRowWriter(format, filePath, columns);
+      }
+      const before = rowCount;
+      for (const row of page.data) {
+        if (max_rows && rowCount >= max_rows) {
+          break;
         }
-      );
+        await writer.write(row);
+        rowCount++;
+      }
+      context.addRows(rowCount - before);
+      await context.progress(`Writing ${format.toUpperCase()} export`);
+      return !(max_rows && rowCount >= max_rows);
+    };
 
-      const result = this.parseJsonLinesResponse(response.data);
-      const count = result.count || 0;
+    try {
+      if (sql) {
+        // Exports stream to disk, so they aren't held to the row cap;
+        // max_rows stops them early instead
+        const guarded = guardSql(sql, { limitCap: 0 });
+        context.recordSql(guarded.sql);
+        let page = await this.firstSqlPage(client, collection_slug, guarded.sql, max_polls, poll_interval, context);
+        while (page && await writePage(page, resultColumns(page)) && page.pagination?.next_page_url) {
+          page = await this.pollSqlResults(client, page.pagination.next_page_url, max_polls, poll_interval, false, context);
+        }
+      } else {
+        const filterPayload = await this.prepareFilters(network, collection_slug, table_name, filters, access_token);
+        let offset = 0;
+        for (;;) {
+          const payload = {
+            tableName: table_name,
+            filters: filterPayload,
+            pagination: { limit: page_size, offset }
+          };
+          if (order_by) {
+            payload.order = order_by;
+          }
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Count result: ${count.toLocaleString()} rows in '${table_name}'${Object.keys(filters).length ? ' matching the specified filters' : ''}`
+          const page = await this.filterTable(client, collection_slug, table_name, payload, context);
+          if (page.data.length === 0) {
+            break;
           }
-        ]
-      };
+
+          const pageColumns = writer ? columns : await this.queryColumns(page, network, collection_slug, table_name, access_token);
+          const more = await writePage(page, pageColumns);
+          offset += page.data.length;
+
+          const total = page.pagination?.total;
+          if (!more || page.data.length < page_size || (Number.isInteger(total) && offset >= total)) {
+            break;
+          }
+        }
+      }
+
+      if (!writer) {
+        writer = await createRowWriter(format, filePath, columns);
+      }
+      await writer.close();
     } catch (error) {
-      throw new Error(`Failed to count rows: ${error.message}`);
+      // Never leave a truncated file behind that looks like a finished export
+      if (writer) {
+        await writer.close().catch(() => {});
+      }
+      await rm(filePath, { force: true });
+      throw new Error(`Failed to export query results: ${error.message}`);
     }
+
+    const { sha256, bytes } = await fileDigest(filePath);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Exported ${rowCount.toLocaleString()} rows to ${filePath}\n\n` +
+                `• Format: ${format}\n` +
+                `• Size: ${bytes.toLocaleString()} bytes\n` +
+                `• SHA-256: ${sha256}`
+        }
+      ],
+      structuredContent: {
+        path: filePath,
+        format,
+        rows: rowCount,
+        bytes,
+        sha256,
+        columns: columns.map(c => c.name)
+      }
+    };
   }
 
-  async sqlSearch(args) {
-    const { 
-      network, 
-      collection_slug, 
-      sql, 
-      max_polls = 10, 
-      poll_interval = 2.0, 
-      access_token 
+  async federatedQuery(args, context = ToolContext.none) {
+    const {
+      targets,
+      sql,
+      filters,
+      mode = 'union',
+      max_rows_per_target = 100,
+      max_polls = 10,
+      poll_interval = 2.0,
+      confirm_cost = false,
+      bypass_cache = false
     } = args;
-    
-    const client = this.createHttpClient(network, access_token);
-    const payload = { query: sql };
 
-    try {
-      // Initial SQL query request
-      const response = await client.post(
-        `/api/collection/${encodeURIComponent(collection_slug)}/data-connect/search`,
-        payload,
-        {
-          headers: { 'Content-Type': 'application/json' }
+    if ((sql === undefined) === (filters === undefined)) {
+      throw new Error("Provide exactly one of sql or filters");
+    }
+    if (!['union', 'aggregate'].includes(mode)) {
+      throw new Error(`Unknown mode '${mode}' (expected union or aggregate)`);
+    }
+    validateTargets(targets, { needsTable: filters !== undefined });
+    const format = formatOptions(args);
+
+    const options = { sql, filters, mode, max_rows_per_target, max_polls, poll_interval, confirm_cost, bypass_cache };
+    const results = await Promise.all(targets.map(target => this.runFederatedTarget(target, options, context)));
+
+    const sources = results.map(r => r.source);
+    const rows = results.flatMap(r => r.rows);
+    const failed = sources.filter(s => s.status === 'error');
+    const columns = mode === 'union' ? mergeColumns(results.map(r => r.columns)) : [];
+    const structured = structuredRows(rows, columns, format);
+
+    const cachedNote = s => s.cache.hit ? ` (cached ${s.cache.age_seconds}s ago)` : '';
+    const describe = s => s.status === 'error'
+      ? `• **${s.source}**: failed - ${s.error}`
+      : mode === 'aggregate' ? `• **${s.source}**: ${s.total.toLocaleString()} rows${cachedNote(s)}`
+      : `• **${s.source}**: ${s.row_count.toLocaleString()} rows` +
+        (s.total !== null ? ` (total: ${s.total.toLocaleString()})` : '') +
+        (s.has_more ? ', more available' : '') + cachedNote(s);
+
+    let text = `Federated ${sql !== undefined ? 'SQL' : 'filter'} query over ${targets.length} targets: ` +
+      `${targets.length - failed.length} succeeded, ${failed.length} failed\n\n` +
+      sources.map(describe).join('\n');
+    if (sources.some(s => s.cache.hit)) {
+      text += '\n\nSome targets were answered from the result cache; pass bypass_cache: true to re-run them.';
+    }
+    if (mode === 'union' && rows.length > 0) {
+      text += `\n\n${rows.length.toLocaleString()} rows in total.`;
+      const preview = formatRows(rows, columns.map(c => c.name), format, format.maxChars - text.length, structured.rows.length);
+      text += preview.text ? `\n\n${preview.text}` : '';
+    }
+
+    return {
+      content: [{ type: "text", text }],
+      structuredContent: {
+        mode,
+        targets: sources,
+        columns: structured.columns,
+        rows: structured.rows,
+        ...(structured.omitted ? { rows_omitted: structured.omitted } : {}),
+        summary: {
+          targets: targets.length,
+          succeeded: targets.length - failed.length,
+          failed: failed.length,
+          rows: sources.reduce((sum, s) => sum + s.row_count, 0)
         }
-      );
+      },
+      // Only a total failure is an error; partial results are still useful
+      ...(failed.length === targets.length ? { isError: true } : {})
+    };
+  }
 
+  // Run one federated target through the single-target tools, reporting
+  // failure in the returned status instead of throwing
+  async runFederatedTarget(target, { sql, filters, mode, max_rows_per_target, max_polls, poll_interval, confirm_cost, bypass_cache }, context) {
+    const { network, collection_slug, table_name, access_token } = target;
+    const label = targetLabel(target);
+    const started = Date.now();
+    const source = {
+      source: label,
+      network,
+      collection_slug,
+      table_name: table_name || null,
+      status: 'ok',
+      error: null,
+      sql: null,
+      row_count: 0,
+      total: null,
+      has_more: false,
+      cursor: null,
+      note: null,
+      // query_table results are never cached
+      cache: { hit: false, age_seconds: null },
+      duration_ms: 0
+    };
+
+    try {
       let result;
-      if (response.headers['content-type'] && response.headers['content-type'].startsWith('application/json')) {
-        result = response.data;
+      if (sql !== undefined && mode === 'aggregate') {
+        // Counted by the network, so the count isn't capped by max_rows_per_target
+        const counted = (await this.sqlSearch({
+          network,
+          collection_slug,
+          sql: countingSql(renderSqlTemplate(sql, target)),
+          max_polls,
+          poll_interval,
+          confirm_cost,
+          bypass_cache,
+          access_token
+        }, context)).structuredContent;
+        source.sql = counted.sql;
+        source.cache = counted.cache;
+        source.total = Number(counted.rows[0]?.row_count ?? 0);
+        return { source, columns: [], rows: [] };
+      } else if (sql !== undefined) {
+        result = (await this.sqlSearch({
+          network,
+          collection_slug,
+          sql: renderSqlTemplate(sql, target),
+          max_rows: max_rows_per_target,
+          max_polls,
+          poll_interval,
+          confirm_cost,
+          bypass_cache,
+          access_token
+        }, context)).structuredContent;
+        source.sql = result.sql;
+        source.cache = result.cache;
+        source.cursor = result.cursor;
+        source.note = result.note || null;
+        source.total = result.pagination.total;
+        source.has_more = result.pagination.has_more;
+      } else if (mode === 'aggregate') {
+        const { count, cache } = (await this.countRows({ network, collection_slug, table_name, filters, bypass_cache, access_token }, context)).structuredContent;
+        source.total = count;
+        source.cache = cache;
+        return { source, columns: [], rows: [] };
       } else {
-        try {
-          result = JSON.parse(response.data);
-        } catch (e) {
-          throw new Error(`Invalid JSON response: ${response.data.substring(0, 200)}...`);
-        }
+        result = (await this.queryTable({
+          network,
+          collection_slug,
+          table_name,
+          filters,
+          limit: max_rows_per_target,
+          access_token
+        }, context)).structuredContent;
+        source.total = result.pagination.total;
+        source.has_more = result.pagination.total !== null && result.pagination.total > result.rows.length;
       }
 
-      // Check for immediate errors
-      if (result.errors && result.errors.length > 0) {
-        const errorDetails = result.errors[0].details || 'Unknown error';
-        throw new Error(`SQL query error: ${errorDetails}`);
-      }
+      source.row_count = result.rows.length;
+      return {
+        source,
+        columns: result.columns,
+        rows: mode === 'union' ? result.rows.map(row => ({ ...row, [SOURCE_COLUMN]: label })) : []
+      };
+    } catch (error) {
+      source.status = 'error';
+      source.error = this.credentials.redact(error.message, [access_token]);
+      return { source, columns: [], rows: [] };
+    } finally {
+      source.duration_ms = Date.now() - started;
+    }
+  }
+
+  async lookupVariants(args, context = ToolContext.none) {
+    const {
+      network,
+      collection_slug,
+      table_name,
+      query,
+      chrom_column,
+      pos_column,
+      ref_column,
+      alt_column,
+      limit = 100,
+      max_polls = 10,
+      poll_interval = 2.0,
+      confirm_cost = false,
+      access_token
+    } = args;
 
-      // Check if we have immediate data (unlikely but possible)
-      if (result.data && result.data.length > 0) {
-        return this.formatSqlResults(result, sql);
+    let sql;
+    let columns;
+    try {
+      const queries = Array.isArray(query) ? query : [query];
+      if (queries.length === 0) {
+        throw new Error("query must contain at least one region or variant");
       }
+      const loci = queries.map(parseLocus);
 
-      // Check if we need to poll
-      let nextPageUrl = result.pagination?.next_page_url;
-      if (!nextPageUrl) {
-        // No pagination URL but empty data - query completed with no results
-        return {
-          content: [
-            {
-              type: "text",
-              text: `SQL query completed with no results\n\nQuery: ${sql}`
-            }
-          ]
-        };
+      const info = await this.fetchTableInfo(network, collection_slug, table_name, access_token);
+      const fields = describeFields(info?.data_model?.properties || {});
+      if (fields.length === 0) {
+        throw new Error("No schema (data_model.properties) found in response");
       }
 
-      // Poll for results with improved logic
-      return await this.pollSqlResults(client, nextPageUrl, sql, max_polls, poll_interval);
+      columns = detectVariantColumns(fields, {
+        chrom: chrom_column,
+        pos: pos_column,
+        ref: ref_column,
+        alt: alt_column
+      });
+      sql = buildVariantSql(table_name, columns, loci, limit);
+      formatOptions(args);
+    } catch (error) {
+      throw new Error(`Failed to look up variants: ${error.message}`);
+    }
+
+    const mapping = Object.fromEntries(
+      ['chrom', 'pos', 'ref', 'alt'].map(role => [role, columns[role]?.name || null])
+    );
+    const footer = `\n\n**Columns used:** ` +
+      Object.entries(mapping).map(([role, name]) => `${role} = ${name || '(not found)'}`).join(', ');
+
+    const result = await this.sqlSearch({
+      network, collection_slug, sql, max_polls, poll_interval, confirm_cost, access_token, ...formatArguments(args)
+    }, context, { footer });
+    result.content[0].text += footer;
+    result.structuredContent.column_mapping = mapping;
+    return result;
+  }
 
+  // Size from the table listing decides whether profiling uses approximate
+  // aggregates; unknown sizes are treated as large
+  async isLargeTable(network, collection_slug, table_name, access_token) {
+    try {
+      const tables = await this.fetchTables(network, collection_slug, access_token);
+      const table = tables.find(t => (t.qualified_table_name || t.name) === table_name || t.name === table_name);
+      return !Number.isInteger(table?.size) || table.size >= APPROXIMATE_ROW_THRESHOLD;
     } catch (error) {
-      throw new Error(`Failed to execute SQL query: ${error.message}`);
+      return true;
     }
   }
 
-  async pollSqlResults(client, nextPageUrl, sql, max_polls, poll_interval) {
-    for (let pollCount = 0; pollCount < max_polls; pollCount++) {
-      await new Promise(resolve => setTimeout(resolve, poll_interval * 1000));
+  // Profiling SQL goes through sql_search's polling and read-only checks. It
+  // scans whole columns by design, so the scan cost check is skipped.
+  async runProfileSql(sql, executed, { network, collection_slug, max_polls, poll_interval, access_token }, context) {
+    // Top values and histograms can span several result pages
+    const result = await this.sqlSearch({
+      network, collection_slug, sql, max_polls, poll_interval, max_rows: Number.MAX_SAFE_INTEGER, confirm_cost: true, access_token
+    }, context);
+    executed.push(result.structuredContent.sql);
+    return result.structuredContent.rows;
+  }
 
-      try {
-        const pollResponse = await client.get(nextPageUrl);
-        let pollResult;
-        
-        if (pollResponse.headers['content-type'] && pollResponse.headers['content-type'].startsWith('application/json')) {
-          pollResult = pollResponse.data;
-        } else {
-          try {
-            pollResult = JSON.parse(pollResponse.data);
-          } catch (e) {
-            throw new Error(`Invalid JSON response: ${pollResponse.data.substring(0, 200)}...`);
-          }
-        }
+  async profileColumn(args, context = ToolContext.none) {
+    const {
+      network,
+      collection_slug,
+      table_name,
+      column,
+      top_n = 10,
+      bins = 10,
+      approximate,
+      access_token
+    } = args;
 
-        // Check for errors
-        if (pollResult.errors && pollResult.errors.length > 0) {
-          const errorDetails = pollResult.errors[0].details || 'Unknown error';
-          throw new Error(`SQL query error: ${errorDetails}`);
+    let field;
+    let useApproximate;
+    try {
+      for (const [name, value] of [['top_n', top_n], ['bins', bins]]) {
+        if (!Number.isInteger(value) || value < 0 || value > 100) {
+          throw new Error(`${name} must be an integer between 0 and 100`);
         }
+      }
+      const info = await this.fetchTableInfo(network, collection_slug, table_name, access_token);
+      const fields = describeFields(info?.data_model?.properties || {});
+      if (fields.length === 0) {
+        throw new Error("No schema (data_model.properties) found in response");
+      }
+      field = findField(fields, column);
+      useApproximate = approximate ?? await this.isLargeTable(network, collection_slug, table_name, access_token);
+    } catch (error) {
+      throw new Error(`Failed to profile column: ${error.message}`);
+    }
 
-        // Check if we have data
-        if (pollResult.data && pollResult.data.length > 0) {
-          return this.formatSqlResults(pollResult, sql);
-        }
+    const executed = [];
+    const options = { approximate: useApproximate };
+    const [summaryRow] = await this.runProfileSql(buildSummarySql(table_name, [field], { ...options, mean: true }), executed, args, context);
+    const { total_rows, columns: [stats] } = parseSummaryRow(summaryRow, [field]);
 
-        // Check if we should continue polling
-        if (pollResult.data && pollResult.data.length === 0 && !pollResult.pagination?.next_page_url) {
-          // Empty results with no next page - query completed with no matches
-          return {
-            content: [
-              {
-                type: "text",
-                text: `SQL query completed with no results\n\nQuery: ${sql}`
-              }
-            ]
-          };
-        }
+    let top_values = [];
+    if (top_n > 0 && stats.category !== 'other' && total_rows > stats.null_count) {
+      const rows = await this.runProfileSql(buildTopValuesSql(table_name, field, { ...options, topN: top_n }), executed, args, context);
+      top_values = parseTopValues(rows, options);
+    }
 
-        // Continue polling if we have a next_page_url
-        if (pollResult.pagination?.next_page_url) {
-          nextPageUrl = pollResult.pagination.next_page_url;
-          continue;
-        }
+    let histogram = [];
+    if (bins > 0 && stats.category === 'numeric' && stats.min !== null) {
+      const histogramOptions = { ...options, bins, min: stats.min, max: stats.max };
+      const rows = await this.runProfileSql(buildHistogramSql(table_name, field, histogramOptions), executed, args, context);
+      histogram = parseHistogram(rows, histogramOptions);
+    }
 
-        // No next page URL and empty data - return what we have
-        return {
-          content: [
-            {
-              type: "text",
-              text: `SQL query completed with no results\n\nQuery: ${sql}`
-            }
-          ]
-        };
+    const percent = value => value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+    const lines = [
+      `Profile of '${field.name}' (${field.sql_type || field.type || 'unknown type'}) in '${table_name}'${useApproximate ? ' (approximate)' : ''}:`,
+      '',
+      `Rows: ${total_rows.toLocaleString()}, nulls: ${stats.null_count.toLocaleString()} (${percent(stats.null_fraction)})`
+    ];
+    if (stats.distinct_count !== null) {
+      lines.push(`Distinct values: ${stats.distinct_count.toLocaleString()}`);
+    }
+    if (stats.min !== null) {
+      lines.push(`Min: ${stats.min}, max: ${stats.max}${stats.mean !== null ? `, mean: ${Number(stats.mean.toPrecision(6))}` : ''}`);
+    }
+    if (top_values.length > 0) {
+      lines.push('', '**Top values:**', ...top_values.map(v => `• ${v.value}: ${v.count.toLocaleString()}`));
+    }
+    if (histogram.length > 0) {
+      lines.push('', '**Histogram:**', ...histogram.map(b => b.lower === null
+        ? `• ~${Number(b.center.toPrecision(6))}: ${b.count.toLocaleString()}`
+        : `• ${Number(b.lower.toPrecision(6))} – ${Number(b.upper.toPrecision(6))}: ${b.count.toLocaleString()}`));
+    }
 
-      } catch (pollError) {
-        if (pollCount < max_polls - 1) {
-          continue; // Try again
-        } else {
-          throw new Error(`Polling failed: ${pollError.message}`);
+    return {
+      content: [{ type: "text", text: lines.join('\n') }],
+      structuredContent: {
+        network,
+        collection: collection_slug,
+        table: table_name,
+        approximate: useApproximate,
+        total_rows,
+        column: stats,
+        top_values,
+        histogram,
+        sql: executed
+      }
+    };
+  }
+
+  async profileTable(args, context = ToolContext.none) {
+    const { network, collection_slug, table_name, columns, approximate, access_token } = args;
+
+    let fields;
+    let skipped = 0;
+    let useApproximate;
+    try {
+      const info = await this.fetchTableInfo(network, collection_slug, table_name, access_token);
+      const allFields = describeFields(info?.data_model?.properties || {});
+      if (allFields.length === 0) {
+        throw new Error("No schema (data_model.properties) found in response");
+      }
+      fields = columns?.length ? columns.map(name => findField(allFields, name)) : allFields;
+      if (fields.length > MAX_PROFILE_COLUMNS) {
+        if (columns?.length) {
+          throw new Error(`At most ${MAX_PROFILE_COLUMNS} columns can be profiled at once (got ${fields.length})`);
         }
+        skipped = fields.length - MAX_PROFILE_COLUMNS;
+        fields = fields.slice(0, MAX_PROFILE_COLUMNS);
       }
+      useApproximate = approximate ?? await this.isLargeTable(network, collection_slug, table_name, access_token);
+    } catch (error) {
+      throw new Error(`Failed to profile table: ${error.message}`);
     }
 
-    throw new Error(`SQL query timed out after ${max_polls} polls (${max_polls * poll_interval}s)`);
+    const executed = [];
+    const [row] = await this.runProfileSql(buildSummarySql(table_name, fields, { approximate: useApproximate }), executed, args, context);
+    const { total_rows, columns: stats } = parseSummaryRow(row, fields);
+
+    const describe = c => {
+      const parts = [`${c.null_fraction === null ? 'n/a' : `${(c.null_fraction * 100).toFixed(1)}%`} null`];
+      if (c.distinct_count !== null) {
+        parts.push(`${c.distinct_count.toLocaleString()} distinct`);
+      }
+      if (c.min !== null) {
+        parts.push(`${c.min} – ${c.max}`);
+      }
+      return `• **${c.name}** (${c.sql_type || c.type || 'unknown'}): ${parts.join(', ')}`;
+    };
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Profile of '${table_name}' (${total_rows.toLocaleString()} rows${useApproximate ? ', approximate' : ''}):\n\n` +
+                stats.map(describe).join('\n') +
+                (skipped ? `\n\n${skipped} more columns were not profiled; pass 'columns' to choose which ones.` : '')
+        }
+      ],
+      structuredContent: {
+        network,
+        collection: collection_slug,
+        table: table_name,
+        approximate: useApproximate,
+        total_rows,
+        columns: stats,
+        skipped_columns: skipped,
+        sql: executed
+      }
+    };
   }
 
-  formatSqlResults(result, sql) {
+  formatSqlResults(result, sql, cursor = null, format = formatOptions()) {
     const rowCount = result.data.length;
     const hasMore = result.pagination?.next_page_url ? true : false;
     const totalCount = result.pagination?.total || 'unknown';
+    const columns = resultColumns(result);
     
     let summary = `SQL query returned ${rowCount.toLocaleString()} rows`;
     if (hasMore) {
       summary += ` (showing first ${rowCount}, total: ${totalCount})`;
     }
 
-    // Format the preview data more nicely
-    const previewData = result.data.slice(0, 5);
-    let formattedData = '';
-    
-    if (previewData.length > 0) {
-      // Try to format as table if data is simple enough
-      const firstRow = previewData[0];
-      const keys = Object.keys(firstRow);
-      
-      if (keys.length <= 8 && keys.every(k => firstRow[k] !== null && typeof firstRow[k] !== 'object')) {
-        // Format as simple table
-        formattedData = '\n**Sample Results:**\n';
-        formattedData += keys.join(' | ') + '\n';
-        formattedData += keys.map(() => '---').join(' | ') + '\n';
-        
-        for (const row of previewData) {
-          formattedData += keys.map(k => String(row[k] || '')).join(' | ') + '\n';
+    const head = `${summary}\n\n**Query:** \`${sql}\``;
+    const tail = cursor ? `\n\nMore results available. Call \`fetch_next_page\` with cursor: \`${cursor}\`` : '';
+    const structured = structuredRows(result.data, columns, format);
+    const preview = formatRows(result.data, columns.map(c => c.name), format, format.maxChars - head.length - tail.length, structured.rows.length);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `${head}${preview.text ? `\n\n${preview.text}` : ''}${tail}`
+        }
+      ],
+      structuredContent: {
+        sql,
+        cursor,
+        columns: structured.columns,
+        rows: structured.rows,
+        ...(structured.omitted ? { rows_omitted: structured.omitted } : {}),
+        pagination: {
+          returned: rowCount,
+          total: Number.isInteger(result.pagination?.total) ? result.pagination.total : null,
+          has_more: hasMore,
+          next_page_url: result.pagination?.next_page_url || null
         }
-      } else {
-        // Format as JSON
-        formattedData = '\n**Sample Results (JSON):**\n```json\n' + 
-                      JSON.stringify(previewData, null, 2) + '\n```';
       }
-    }
+    };
+  }
 
+  emptySqlResults(sql) {
     return {
       content: [
         {
           type: "text",
-          text: `${summary}\n\n**Query:** \`${sql}\`${formattedData}`
+          text: `SQL query completed with no results\n\nQuery: ${sql}`
         }
-      ]
+      ],
+      structuredContent: {
+        sql,
+        cursor: null,
+        columns: [],
+        rows: [],
+        pagination: { returned: 0, total: 0, has_more: false, next_page_url: null }
+      }
     };
   }
 
+  async connect(transport) {
+    await this.server.connect(transport);
+  }
+
+  async close() {
+    await this.server.close();
+  }
+
   async run() {
     const transport = new StdioServerTransport();
-    await this.server.connect(transport);
-    console.error("Omics AI MCP server running on stdio");
+    await this.connect(transport);
+    process.on("SIGINT", async () => {
+      await this.close();
+      process.exit(0);
+    });
+    logger.info("Omics AI MCP server running on stdio");
   }
 }
 
-// Run the server
-const server = new OmicsAIMCPServer();
-server.run().catch(console.error);
\ No newline at end of file
+// Run the server when executed directly rather than imported
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const server = new OmicsAIMCPServer();
+  server.run().catch(error => logger.error("Failed to start the server", { error }));
+}
\ No newline at end of file
@@ -0,0 +1,81 @@
+// Structured logging: one JSON object per line on stderr (stdout carries the
+// stdio transport). Entries use the field names Cloud Logging understands
+// (severity, message, time) and carry the correlation ID of the request being
+// served, which the HTTP wrapper takes from X-Request-Id or assigns itself.
+// OMICS_LOG_LEVEL (debug, info, warn or error; default info) sets the
+// threshold.
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const SEVERITY = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+
+export function logLevel() {
+  const value = (process.env.OMICS_LOG_LEVEL || 'info').toLowerCase();
+  if (!(value in LEVELS)) {
+    throw new Error(`OMICS_LOG_LEVEL must be one of ${Object.keys(LEVELS).join(', ')}, got '${process.env.OMICS_LOG_LEVEL}'`);
+  }
+  return value;
+}
+
+const threshold = LEVELS[logLevel()];
+
+// { requestId, tool, client } of the request being served, if any
+const requestContext = new AsyncLocalStorage();
+
+export function currentRequest() {
+  return requestContext.getStore() || {};
+}
+
+// Run `fn` with `fields` added to the current request context
+export function withRequestContext(fields, fn) {
+  return requestContext.run({ ...currentRequest(), ...fields }, fn);
+}
+
+// A caller-supplied X-Request-Id is kept if it is reasonable; otherwise the
+// Cloud Run trace ID, otherwise a new UUID
+export function requestIdFrom(headers = {}) {
+  const given = headers['x-request-id'];
+  if (typeof given === 'string' && /^[\w.:-]{1,128}$/.test(given)) {
+    return given;
+  }
+  const trace = /^([0-9a-f]{32})\//i.exec(headers['x-cloud-trace-context'] || '');
+  return trace ? trace[1] : randomUUID();
+}
+
+function errorFields(error) {
+  return error instanceof Error
+    ? { error: error.message, ...(error.stack ? { stack: error.stack } : {}) }
+    : { error: String(error) };
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < threshold) {
+    return;
+  }
+  const { requestId, tool, client } = currentRequest();
+  const { error, ...rest } = fields;
+  const entry = {
+    time: new Date().toISOString(),
+    severity: SEVERITY[level],
+    message,
+    ...(requestId ? { request_id: requestId } : {}),
+    ...(tool ? { tool } : {}),
+    ...(client ? { client } : {}),
+    ...rest,
+    ...(error !== undefined ? errorFields(error) : {})
+  };
+  try {
+    process.stderr.write(JSON.stringify(entry) + '\n');
+  } catch (e) {
+    // Logging must never take the server down
+  }
+}
+
+export const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
@@ -0,0 +1,128 @@
+// In-process metrics in the Prometheus text exposition format, served by the
+// HTTP wrapper at /metrics. Every server in the process records into the one
+// registry below.
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+class Metric {
+  constructor(type, name, help, labelNames) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // label key -> { labels, value }
+    this.series = new Map();
+  }
+
+  // Missing labels are recorded as empty strings so every series has the same set
+  seriesFor(labels, initial) {
+    const normalized = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+    const key = JSON.stringify(normalized);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: normalized, value: initial() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, value } of this.series.values()) {
+      lines.push(...this.renderSeries(labels, value));
+    }
+    return lines.join('\n');
+  }
+
+  renderSeries(labels, value) {
+    return [`${this.name}${formatLabels(labels)} ${value}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames = []) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels, () => 0).value += amount;
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name, help, labelNames = []) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels, () => 0).value = value;
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.value.counts[i]++;
+      }
+    });
+    series.value.sum += value;
+    series.value.count++;
+  }
+
+  renderSeries(labels, { counts, sum, count }) {
+    return [
+      ...this.buckets.map((bound, i) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`
+    ];
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    return this.metrics.map(m => m.render()).join('\n') + '\n';
+  }
+}
+
+export const metrics = new MetricsRegistry();
+
+// `network` is the registered network name (or the host for ad-hoc URLs);
+// `host` is the upstream host a request went to
+export const toolCalls = metrics.register(new Counter(
+  'omics_mcp_tool_calls_total', 'Tool calls by tool, network and outcome (ok, error or cancelled)', ['tool', 'network', 'outcome']));
+export const toolCallDuration = metrics.register(new Histogram(
+  'omics_mcp_tool_call_duration_seconds', 'Tool call latency', ['tool', 'network']));
+export const upstreamRequests = metrics.register(new Counter(
+  'omics_mcp_upstream_requests_total', 'Requests to Explorer networks and identity providers by HTTP status, or error kind when there was no response', ['host', 'method', 'status']));
+export const upstreamRequestDuration = metrics.register(new Histogram(
+  'omics_mcp_upstream_request_duration_seconds', 'Latency of requests to Explorer networks and identity providers', ['host']));
+export const queryPolls = metrics.register(new Counter(
+  'omics_mcp_query_polls_total', 'Polls for results of running SQL and table queries', ['host']));
+export const activeSessions = metrics.register(new Gauge(
+  'omics_mcp_active_sessions', 'Open MCP sessions on the HTTP wrapper', ['transport']));
+export const resultCacheLookups = metrics.register(new Counter(
+  'omics_mcp_result_cache_lookups_total', 'sql_search and count_rows result cache lookups by outcome (hit, miss or bypass)', ['tool', 'outcome']));
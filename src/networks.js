@@ -0,0 +1,172 @@
+// Registry of Explorer networks addressable by name.
+//
+// Built-in networks are merged with entries from the JSON file named by
+// OMICS_NETWORKS_FILE and then with inline JSON in OMICS_NETWORKS, later
+// sources overriding earlier ones by name. Both use the same shape:
+//
+//   {
+//     "networks": {
+//       "staging": {
+//         "url": "https://staging.explorer.example.org",
+//         "aliases": ["stg"],
+//         "description": "Internal staging deployment",
+//         "token_env": "STAGING_EXPLORER_TOKEN"
+//       }
+//     }
+//   }
+//
+// An entry for an existing name is merged over it, so a built-in network can
+// be given credentials without repeating its URL. See credentials.js for the
+// "auth" field.
+
+import { readFileSync } from 'fs';
+
+export const BUILT_IN_NETWORKS = {
+  hifisolves: {
+    url: "https://hifisolves.org",
+    description: "Long-read sequencing data"
+  },
+  neuroscience: {
+    url: "https://neuroscience.ai",
+    description: "Neuroscience genomics"
+  },
+  asap: {
+    url: "https://cloud.parkinsonsroadmap.org",
+    aliases: ["parkinsons"],
+    description: "Aligning Science Across Parkinson's"
+  },
+  biomedical: {
+    url: "https://biomedical.ai",
+    description: "Biomedical data"
+  },
+  viral: {
+    url: "https://viral.ai",
+    description: "Viral genomics and surveillance"
+  },
+  targetals: {
+    url: "https://dataportal.targetals.org",
+    description: "ALS research"
+  }
+};
+
+export function normalizeUrl(url) {
+  let normalized = String(url).trim();
+  if (!normalized.startsWith('http://') && !normalized.startsWith('https://')) {
+    normalized = `https://${normalized}`;
+  }
+  return normalized.replace(/\/+$/, '');
+}
+
+function validateEntry(name, entry, source) {
+  const where = `network '${name}' in ${source}`;
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`Invalid ${where}: expected an object`);
+  }
+  if (typeof entry.url !== 'string' || !entry.url) {
+    throw new Error(`Invalid ${where}: 'url' is required`);
+  }
+  if (entry.aliases !== undefined && (!Array.isArray(entry.aliases) || entry.aliases.some(a => typeof a !== 'string'))) {
+    throw new Error(`Invalid ${where}: 'aliases' must be an array of strings`);
+  }
+  for (const key of ['description', 'token_env']) {
+    if (entry[key] !== undefined && typeof entry[key] !== 'string') {
+      throw new Error(`Invalid ${where}: '${key}' must be a string`);
+    }
+  }
+  if (entry.auth !== undefined && (!entry.auth || typeof entry.auth !== 'object' || Array.isArray(entry.auth))) {
+    throw new Error(`Invalid ${where}: 'auth' must be an object`);
+  }
+
+  return {
+    name,
+    url: normalizeUrl(entry.url),
+    aliases: entry.aliases || [],
+    description: entry.description || '',
+    token_env: entry.token_env || null,
+    auth: entry.auth || null,
+    source
+  };
+}
+
+function parseConfig(text, source) {
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Could not parse network config from ${source}: ${e.message}`);
+  }
+  if (!config || typeof config.networks !== 'object' || Array.isArray(config.networks)) {
+    throw new Error(`Network config from ${source} must have a "networks" object`);
+  }
+  return config.networks;
+}
+
+export class NetworkRegistry {
+  constructor(networks) {
+    this.networks = new Map();
+    this.lookup = new Map();
+
+    for (const network of networks) {
+      this.networks.set(network.name, network);
+    }
+    for (const network of this.networks.values()) {
+      for (const key of [network.name, ...network.aliases]) {
+        this.lookup.set(key.toLowerCase(), network);
+      }
+    }
+  }
+
+  static load(env = process.env) {
+    const raw = new Map();
+    const sources = new Map();
+    const merge = (networks, source) => {
+      for (const [name, entry] of Object.entries(networks)) {
+        if (!entry || typeof entry !== 'object') {
+          throw new Error(`Invalid network '${name}' in ${source}: expected an object`);
+        }
+        raw.set(name, { ...raw.get(name), ...entry });
+        sources.set(name, source);
+      }
+    };
+
+    merge(BUILT_IN_NETWORKS, 'built-in defaults');
+
+    if (env.OMICS_NETWORKS_FILE) {
+      let text;
+      try {
+        text = readFileSync(env.OMICS_NETWORKS_FILE, 'utf8');
+      } catch (e) {
+        throw new Error(`Could not read OMICS_NETWORKS_FILE (${env.OMICS_NETWORKS_FILE}): ${e.message}`);
+      }
+      merge(parseConfig(text, env.OMICS_NETWORKS_FILE), env.OMICS_NETWORKS_FILE);
+    }
+
+    if (env.OMICS_NETWORKS) {
+      merge(parseConfig(env.OMICS_NETWORKS, 'OMICS_NETWORKS'), 'OMICS_NETWORKS');
+    }
+
+    return new NetworkRegistry([...raw].map(([name, entry]) => validateEntry(name, entry, sources.get(name))));
+  }
+
+  list() {
+    return [...this.networks.values()];
+  }
+
+  // The registered network for a name or alias, or null
+  find(nameOrUrl) {
+    return this.lookup.get(String(nameOrUrl).trim().toLowerCase()) || null;
+  }
+
+  // Base URL for a registered name/alias, or the argument itself as a URL.
+  // URLs that belong to a registered network resolve to that network too.
+  resolve(nameOrUrl) {
+    const network = this.find(nameOrUrl);
+    if (network) {
+      return { network, url: network.url };
+    }
+
+    const url = normalizeUrl(nameOrUrl);
+    const byUrl = this.list().find(n => n.url === url) || null;
+    return { network: byUrl, url };
+  }
+}
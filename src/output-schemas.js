@@ -0,0 +1,536 @@
+// JSON Schemas for the structuredContent returned by each tool
+
+const column = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    type: { type: "string" },
+    sql_type: { type: "string" }
+  },
+  required: ["name", "type", "sql_type"]
+};
+
+const row = {
+  type: "object",
+  additionalProperties: true
+};
+
+// Rows left out of structuredContent to fit the caller's max_chars
+const rowsOmitted = {
+  type: "integer",
+  description: "Present when rows were left out of the structured result to fit max_chars or max_tokens"
+};
+
+const sqlResultProperties = {
+  sql: { type: "string" },
+  cursor: {
+    type: ["string", "null"],
+    description: "Pass to fetch_next_page to continue; null when all rows have been returned"
+  },
+  columns: { type: "array", items: column },
+  rows: { type: "array", items: row },
+  rows_omitted: rowsOmitted,
+  note: {
+    type: "string",
+    description: "Present when the executed SQL differs from the submitted SQL (e.g. a LIMIT was added)"
+  },
+  pagination: {
+    type: "object",
+    properties: {
+      returned: { type: "integer" },
+      total: { type: ["integer", "null"] },
+      has_more: { type: "boolean" },
+      next_page_url: { type: ["string", "null"] }
+    },
+    required: ["returned", "total", "has_more", "next_page_url"]
+  }
+};
+
+const cacheInfo = {
+  type: "object",
+  description: "Whether the result came from the server's result cache, and how old it is",
+  properties: {
+    hit: { type: "boolean" },
+    age_seconds: { type: ["integer", "null"] }
+  },
+  required: ["hit", "age_seconds"]
+};
+
+const cohortReference = {
+  type: "object",
+  description: "The saved cohort the query was restricted to",
+  properties: {
+    name: { type: "string" },
+    revision: { type: "integer" },
+    filters: { type: ["object", "null"], additionalProperties: true },
+    where: { type: ["string", "null"] }
+  },
+  required: ["name", "revision", "filters", "where"]
+};
+
+const cohort = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    description: { type: ["string", "null"] },
+    network: { type: "string" },
+    collection_slug: { type: "string" },
+    table_name: { type: "string" },
+    filters: { type: ["object", "null"], additionalProperties: true },
+    where: { type: ["string", "null"] },
+    sql_condition: { type: "string" },
+    revision: { type: "integer" },
+    created_at: { type: "string" },
+    updated_at: { type: "string" }
+  },
+  required: ["name", "description", "network", "collection_slug", "table_name", "filters", "where", "sql_condition", "revision", "created_at", "updated_at"]
+};
+
+const columnProfile = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    type: { type: "string" },
+    sql_type: { type: "string" },
+    category: { type: "string", enum: ["numeric", "temporal", "boolean", "string", "other"] },
+    null_count: { type: "integer" },
+    null_fraction: { type: ["number", "null"] },
+    distinct_count: { type: ["integer", "null"] },
+    min: {},
+    max: {},
+    mean: { type: ["number", "null"] }
+  },
+  required: ["name", "type", "sql_type", "category", "null_count", "null_fraction", "distinct_count", "min", "max", "mean"]
+};
+
+const queryJob = {
+  type: "object",
+  properties: {
+    job_id: { type: "string" },
+    state: { type: "string", enum: ["running", "succeeded", "failed", "cancelled"] },
+    network: { type: "string" },
+    collection_slug: { type: "string" },
+    sql: { type: "string" },
+    note: { type: ["string", "null"] },
+    rows_collected: { type: "integer" },
+    has_more_pages: { type: "boolean" },
+    polls: { type: "integer" },
+    created_at: { type: "string" },
+    finished_at: { type: ["string", "null"] },
+    expires_at: { type: ["string", "null"] },
+    elapsed_ms: { type: "integer" },
+    error: { type: ["string", "null"] }
+  },
+  required: ["job_id", "state", "network", "collection_slug", "sql", "rows_collected", "has_more_pages", "created_at", "finished_at", "elapsed_ms", "error"]
+};
+
+const auditEntry = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    time: { type: "string" },
+    session_id: { type: "string" },
+    client: { type: ["string", "null"] },
+    request_id: { type: ["string", "null"] },
+    tool: { type: "string" },
+    network: { type: ["string", "null"] },
+    collection: { type: ["string", "null"] },
+    table: { type: ["string", "null"] },
+    arguments: { type: "object" },
+    executed_sql: { type: ["string", "null"] },
+    outcome: { type: "string", enum: ["ok", "error", "cancelled"] },
+    cached: { type: ["boolean", "null"] },
+    cohort: { type: ["object", "null"] },
+    rows: { type: ["integer", "null"] },
+    count: { type: ["integer", "null"] },
+    duration_ms: { type: "integer" },
+    error: { type: ["string", "null"] }
+  },
+  required: ["id", "time", "session_id", "tool", "arguments", "outcome", "duration_ms"]
+};
+
+export const OUTPUT_SCHEMAS = {
+  list_networks: {
+    type: "object",
+    properties: {
+      networks: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            name: { type: "string" },
+            url: { type: "string" },
+            aliases: { type: "array", items: { type: "string" } },
+            description: { type: "string" },
+            source: { type: "string" },
+            auth_type: { type: ["string", "null"] },
+            token_configured: { type: "boolean" },
+            reachable: { type: ["boolean", "null"] },
+            status: { type: ["integer", "null"] },
+            latency_ms: { type: ["integer", "null"] },
+            error: { type: ["string", "null"] }
+          },
+          required: ["name", "url", "aliases", "description", "source", "auth_type", "token_configured", "reachable", "status", "latency_ms", "error"]
+        }
+      }
+    },
+    required: ["networks"]
+  },
+
+  list_collections: {
+    type: "object",
+    properties: {
+      network: { type: "string" },
+      collections: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            name: { type: "string" },
+            slug: { type: "string" },
+            description: { type: ["string", "null"] }
+          },
+          required: ["name", "slug"]
+        }
+      }
+    },
+    required: ["network", "collections"]
+  },
+
+  list_tables: {
+    type: "object",
+    properties: {
+      network: { type: "string" },
+      collection: { type: "string" },
+      tables: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            name: { type: "string" },
+            display_name: { type: ["string", "null"] },
+            size: { type: ["integer", "null"] }
+          },
+          required: ["name"]
+        }
+      }
+    },
+    required: ["network", "collection", "tables"]
+  },
+
+  get_schema_fields: {
+    type: "object",
+    properties: {
+      network: { type: "string" },
+      collection: { type: "string" },
+      table: { type: "string" },
+      fields: { type: "array", items: column }
+    },
+    required: ["network", "collection", "table", "fields"]
+  },
+
+  query_table: {
+    type: "object",
+    properties: {
+      network: { type: "string" },
+      collection: { type: "string" },
+      table: { type: "string" },
+      columns: { type: "array", items: column },
+      rows: { type: "array", items: row },
+      rows_omitted: rowsOmitted,
+      pagination: {
+        type: "object",
+        properties: {
+          offset: { type: "integer" },
+          limit: { type: "integer" },
+          returned: { type: "integer" },
+          total: { type: ["integer", "null"] }
+        },
+        required: ["offset", "limit", "returned", "total"]
+      },
+      cohort: cohortReference
+    },
+    required: ["network", "collection", "table", "columns", "rows", "pagination"]
+  },
+
+  count_rows: {
+    type: "object",
+    properties: {
+      network: { type: "string" },
+      collection: { type: "string" },
+      table: { type: "string" },
+      filters: { type: "object", additionalProperties: true },
+      count: { type: "integer" },
+      cache: cacheInfo,
+      cohort: cohortReference
+    },
+    required: ["network", "collection", "table", "filters", "count"]
+  },
+
+  sql_search: {
+    type: "object",
+    properties: { ...sqlResultProperties, cache: cacheInfo, cohort: cohortReference },
+    required: ["sql", "cursor", "columns", "rows", "pagination"]
+  },
+
+  federated_query: {
+    type: "object",
+    properties: {
+      mode: { type: "string", enum: ["union", "aggregate"] },
+      targets: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            source: { type: "string" },
+            network: { type: "string" },
+            collection_slug: { type: "string" },
+            table_name: { type: ["string", "null"] },
+            status: { type: "string", enum: ["ok", "error"] },
+            error: { type: ["string", "null"] },
+            sql: { type: ["string", "null"] },
+            row_count: { type: "integer" },
+            total: { type: ["integer", "null"] },
+            has_more: { type: "boolean" },
+            cursor: { type: ["string", "null"] },
+            note: { type: ["string", "null"] },
+            cache: cacheInfo,
+            duration_ms: { type: "integer" }
+          },
+          required: ["source", "network", "collection_slug", "status", "error", "row_count", "total", "has_more", "cursor", "cache", "duration_ms"]
+        }
+      },
+      columns: { type: "array", items: column },
+      rows: { type: "array", items: row },
+      rows_omitted: rowsOmitted,
+      summary: {
+        type: "object",
+        properties: {
+          targets: { type: "integer" },
+          succeeded: { type: "integer" },
+          failed: { type: "integer" },
+          rows: { type: "integer" }
+        },
+        required: ["targets", "succeeded", "failed", "rows"]
+      }
+    },
+    required: ["mode", "targets", "columns", "rows", "summary"]
+  },
+
+  query_job: queryJob,
+
+  get_query_results: {
+    type: "object",
+    properties: {
+      job: queryJob,
+      columns: { type: "array", items: column },
+      rows: { type: "array", items: row },
+      rows_omitted: rowsOmitted,
+      offset: { type: "integer" },
+      returned: { type: "integer" },
+      has_more: { type: "boolean" },
+      cursor: { type: ["string", "null"] }
+    },
+    required: ["job", "columns", "rows", "offset", "returned", "has_more", "cursor"]
+  },
+
+  lookup_variants: {
+    type: "object",
+    properties: {
+      ...sqlResultProperties,
+      column_mapping: {
+        type: "object",
+        properties: {
+          chrom: { type: ["string", "null"] },
+          pos: { type: "string" },
+          ref: { type: ["string", "null"] },
+          alt: { type: ["string", "null"] }
+        },
+        required: ["chrom", "pos", "ref", "alt"]
+      }
+    },
+    required: ["sql", "cursor", "columns", "rows", "pagination", "column_mapping"]
+  },
+
+  profile_column: {
+    type: "object",
+    properties: {
+      network: { type: "string" },
+      collection: { type: "string" },
+      table: { type: "string" },
+      approximate: { type: "boolean" },
+      total_rows: { type: "integer" },
+      column: columnProfile,
+      top_values: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: { value: {}, count: { type: "integer" } },
+          required: ["value", "count"]
+        }
+      },
+      histogram: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            center: { type: "number" },
+            lower: { type: ["number", "null"] },
+            upper: { type: ["number", "null"] },
+            count: { type: "integer" }
+          },
+          required: ["center", "lower", "upper", "count"]
+        }
+      },
+      sql: { type: "array", items: { type: "string" } }
+    },
+    required: ["network", "collection", "table", "approximate", "total_rows", "column", "top_values", "histogram", "sql"]
+  },
+
+  profile_table: {
+    type: "object",
+    properties: {
+      network: { type: "string" },
+      collection: { type: "string" },
+      table: { type: "string" },
+      approximate: { type: "boolean" },
+      total_rows: { type: "integer" },
+      columns: { type: "array", items: columnProfile },
+      skipped_columns: { type: "integer" },
+      sql: { type: "array", items: { type: "string" } }
+    },
+    required: ["network", "collection", "table", "approximate", "total_rows", "columns", "skipped_columns", "sql"]
+  },
+
+  explain_sql: {
+    type: "object",
+    properties: {
+      sql: { type: "string" },
+      tables: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            table: { type: "string" },
+            size: { type: ["integer", "null"] },
+            estimated_rows: { type: ["number", "null"] },
+            constraints: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  column: { type: "string" },
+                  type: { type: ["string", "null"] },
+                  ranges: { type: ["integer", "null"] }
+                },
+                required: ["column", "type", "ranges"]
+              }
+            },
+            full_scan: { type: ["boolean", "null"] },
+            large_full_scan: { type: "boolean" }
+          },
+          required: ["table", "size", "estimated_rows", "constraints", "full_scan", "large_full_scan"]
+        }
+      },
+      estimated_scan_rows: { type: ["number", "null"] },
+      estimated_output_rows: { type: ["number", "null"] },
+      partitions: { type: ["integer", "null"] },
+      warnings: { type: "array", items: { type: "string" } },
+      plan: { type: ["string", "null"], description: "Trino's text plan, when available" },
+      max_scan_rows: { type: ["integer", "null"] },
+      requires_confirmation: { type: "boolean" }
+    },
+    required: ["sql", "tables", "estimated_scan_rows", "estimated_output_rows", "partitions", "warnings", "plan", "max_scan_rows", "requires_confirmation"]
+  },
+
+  refresh_catalog: {
+    type: "object",
+    properties: {
+      removed: { type: "integer" },
+      stale_indexes: { type: "integer" },
+      network: { type: ["string", "null"] },
+      collection: { type: ["string", "null"] },
+      table: { type: ["string", "null"] }
+    },
+    required: ["removed", "stale_indexes", "network", "collection", "table"]
+  },
+
+  search_catalog: {
+    type: "object",
+    properties: {
+      query: { type: "string" },
+      total_hits: { type: "integer" },
+      hits: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            kind: { type: "string", enum: ["collection", "table", "field"] },
+            network: { type: "string" },
+            collection: { type: "string" },
+            collection_name: { type: ["string", "null"] },
+            table: { type: ["string", "null"] },
+            field: { type: ["string", "null"] },
+            type: { type: ["string", "null"] },
+            description: { type: ["string", "null"] },
+            score: { type: "number" },
+            matched_terms: { type: "array", items: { type: "string" } }
+          },
+          required: ["kind", "network", "collection", "table", "field", "score", "matched_terms"]
+        }
+      },
+      networks: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            network: { type: "string" },
+            url: { type: ["string", "null"] },
+            indexed: { type: "boolean" },
+            built_at: { type: ["string", "null"] },
+            collections: { type: "integer" },
+            tables: { type: "integer" },
+            fields: { type: "integer" },
+            error: { type: ["string", "null"] }
+          },
+          required: ["network", "indexed", "built_at", "error"]
+        }
+      }
+    },
+    required: ["query", "total_hits", "hits", "networks"]
+  },
+
+  export_query_results: {
+    type: "object",
+    properties: {
+      path: { type: "string" },
+      format: { type: "string", enum: ["csv", "tsv", "ndjson", "parquet"] },
+      rows: { type: "integer" },
+      bytes: { type: "integer" },
+      sha256: { type: "string" },
+      columns: { type: "array", items: { type: "string" } }
+    },
+    required: ["path", "format", "rows", "bytes", "sha256", "columns"]
+  },
+
+  get_query_history: {
+    type: "object",
+    properties: {
+      session_id: { type: "string" },
+      total: { type: "integer" },
+      returned: { type: "integer" },
+      entries: { type: "array", items: auditEntry }
+    },
+    required: ["session_id", "total", "returned", "entries"]
+  },
+
+  cohort,
+
+  list_cohorts: {
+    type: "object",
+    properties: {
+      cohorts: { type: "array", items: cohort }
+    },
+    required: ["cohorts"]
+  }
+};
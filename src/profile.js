@@ -0,0 +1,172 @@
+// SQL generation and result parsing for profile_column and profile_table.
+// Which statistics are computed depends on the field's SQL type; on large
+// tables the approximate Trino aggregates keep profiling to one cheap scan.
+
+import { closeMatches } from "./fuzzy.js";
+import { quoteIdentifier, quoteQualifiedName } from "./sql.js";
+
+// Tables with at least this many rows (or of unknown size) are profiled
+// with approximate functions unless the caller asks otherwise
+export const APPROXIMATE_ROW_THRESHOLD = 1000000;
+export const MAX_PROFILE_COLUMNS = 50;
+
+// 'numeric', 'temporal', 'boolean', 'string' or 'other' (arrays, maps, rows,
+// json, binary), from sqlType when the schema has it
+export function fieldCategory(field) {
+  const sqlType = (field.sql_type || '').toLowerCase();
+  if (sqlType) {
+    if (/^(tinyint|smallint|integer|int|bigint|real|double|decimal)\b/.test(sqlType)) {
+      return 'numeric';
+    }
+    if (/^(date|time|timestamp)\b/.test(sqlType)) {
+      return 'temporal';
+    }
+    if (sqlType === 'boolean') {
+      return 'boolean';
+    }
+    if (/^(varchar|char|uuid)\b/.test(sqlType)) {
+      return 'string';
+    }
+    return 'other';
+  }
+
+  const types = (field.type || '').split(', ').filter(t => t && t !== 'null');
+  if (types.length === 0 || field.type.startsWith('array')) {
+    return 'other';
+  }
+  if (types.every(t => t === 'integer' || t === 'number')) {
+    return 'numeric';
+  }
+  if (types.every(t => t === 'boolean')) {
+    return 'boolean';
+  }
+  if (types.every(t => t === 'string')) {
+    return 'string';
+  }
+  return 'other';
+}
+
+export function findField(fields, name) {
+  const field = fields.find(f => f.name === name) ||
+    fields.find(f => f.name.toLowerCase() === String(name).toLowerCase());
+  if (!field) {
+    const suggestions = closeMatches(String(name), fields.map(f => f.name));
+    throw new Error(`Unknown column '${name}'` +
+      (suggestions.length ? `. Did you mean: ${suggestions.join(', ')}?` : '. Use get_schema_fields to list the available columns.'));
+  }
+  return field;
+}
+
+function hasRange(category) {
+  return category === 'numeric' || category === 'temporal' || category === 'string';
+}
+
+// One row with total_rows plus, for column i, c{i}_non_null, c{i}_distinct,
+// c{i}_min, c{i}_max and (numeric, single column) c{i}_mean
+export function buildSummarySql(tableName, fields, { approximate, mean = false }) {
+  const selects = ['count(*) AS total_rows'];
+  fields.forEach((field, i) => {
+    const column = quoteIdentifier(field.name);
+    const category = fieldCategory(field);
+    selects.push(`count(${column}) AS c${i}_non_null`);
+    if (category !== 'other') {
+      selects.push(approximate
+        ? `approx_distinct(${column}) AS c${i}_distinct`
+        : `count(DISTINCT ${column}) AS c${i}_distinct`);
+    }
+    if (hasRange(category)) {
+      selects.push(`min(${column}) AS c${i}_min`, `max(${column}) AS c${i}_max`);
+    }
+    if (mean && category === 'numeric') {
+      selects.push(`avg(CAST(${column} AS DOUBLE)) AS c${i}_mean`);
+    }
+  });
+  return `SELECT ${selects.join(', ')} FROM ${quoteQualifiedName(tableName)}`;
+}
+
+export function parseSummaryRow(row, fields) {
+  const total = Number(row?.total_rows ?? 0);
+  const columns = fields.map((field, i) => {
+    const nonNull = Number(row?.[`c${i}_non_null`] ?? 0);
+    const value = key => row?.[`c${i}_${key}`] ?? null;
+    return {
+      name: field.name,
+      type: field.type,
+      sql_type: field.sql_type,
+      category: fieldCategory(field),
+      null_count: total - nonNull,
+      null_fraction: total > 0 ? (total - nonNull) / total : null,
+      distinct_count: value('distinct') === null ? null : Number(value('distinct')),
+      min: value('min'),
+      max: value('max'),
+      mean: value('mean') === null ? null : Number(value('mean'))
+    };
+  });
+  return { total_rows: total, columns };
+}
+
+export function buildTopValuesSql(tableName, field, { approximate, topN }) {
+  const column = quoteIdentifier(field.name);
+  const table = quoteQualifiedName(tableName);
+  if (approximate) {
+    // approx_most_frequent only takes varchar or bigint values
+    return `SELECT approx_most_frequent(${topN}, CAST(${column} AS VARCHAR), ${Math.max(1000, topN * 100)}) AS top_values FROM ${table}`;
+  }
+  return `SELECT ${column} AS value, count(*) AS count FROM ${table} WHERE ${column} IS NOT NULL ` +
+    `GROUP BY ${column} ORDER BY count(*) DESC LIMIT ${topN}`;
+}
+
+// Trino maps may arrive as objects or as JSON text
+function mapEntries(value) {
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      return [];
+    }
+  }
+  return value && typeof value === 'object' ? Object.entries(value) : [];
+}
+
+export function parseTopValues(rows, { approximate }) {
+  if (approximate) {
+    return mapEntries(rows[0]?.top_values)
+      .map(([value, count]) => ({ value, count: Number(count) }))
+      .sort((a, b) => b.count - a.count);
+  }
+  return rows.map(row => ({ value: row.value, count: Number(row.count) }));
+}
+
+// Approximate: numeric_histogram's weighted bucket centres. Exact: equal-width
+// buckets between min and max.
+export function buildHistogramSql(tableName, field, { approximate, bins, min, max }) {
+  const value = `CAST(${quoteIdentifier(field.name)} AS DOUBLE)`;
+  const table = quoteQualifiedName(tableName);
+  if (approximate) {
+    return `SELECT numeric_histogram(${bins}, ${value}) AS histogram FROM ${table}`;
+  }
+  if (Number(min) === Number(max)) {
+    return `SELECT 1 AS bucket, count(*) AS count FROM ${table} WHERE ${value} IS NOT NULL`;
+  }
+  // width_bucket puts the maximum in bucket bins + 1
+  return `SELECT least(width_bucket(${value}, ${Number(min)}, ${Number(max)}, ${bins}), ${bins}) AS bucket, count(*) AS count ` +
+    `FROM ${table} WHERE ${value} IS NOT NULL GROUP BY 1 ORDER BY 1`;
+}
+
+export function parseHistogram(rows, { approximate, bins, min, max }) {
+  if (approximate) {
+    return mapEntries(rows[0]?.histogram)
+      .map(([center, count]) => ({ center: Number(center), lower: null, upper: null, count: Math.round(Number(count)) }))
+      .sort((a, b) => a.center - b.center);
+  }
+
+  const low = Number(min);
+  const width = Number(min) === Number(max) ? 0 : (Number(max) - low) / bins;
+  const counts = new Map(rows.map(row => [Number(row.bucket), Number(row.count)]));
+  const buckets = width === 0 ? 1 : bins;
+  return Array.from({ length: buckets }, (_, i) => {
+    const lower = low + i * width;
+    const upper = width === 0 ? low : low + (i + 1) * width;
+    return { center: (lower + upper) / 2, lower, upper, count: counts.get(i + 1) || 0 };
+  });
+}
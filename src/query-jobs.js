@@ -0,0 +1,155 @@
+// Registry of background SQL query jobs (start_query and friends). Jobs keep
+// polling after the tool call returns, and finished jobs are kept for a
+// retention period so their results can be read later.
+
+import { randomUUID } from 'crypto';
+
+export const JOB_STATES = ['running', 'succeeded', 'failed', 'cancelled'];
+
+function numberFromEnv(name, fallback) {
+  const value = process.env[name];
+  const number = value === undefined || value === '' ? fallback : Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative number, got '${value}'`);
+  }
+  return number;
+}
+
+export function queryJobOptions() {
+  return {
+    retentionMs: numberFromEnv('OMICS_QUERY_JOB_RETENTION', 3600) * 1000,
+    timeoutMs: numberFromEnv('OMICS_QUERY_JOB_TIMEOUT', 3600) * 1000,
+    maxActive: numberFromEnv('OMICS_QUERY_JOB_MAX_ACTIVE', 10)
+  };
+}
+
+export class QueryJob {
+  constructor({ network, collection_slug, sql, note = null, max_rows, owner = null }) {
+    this.id = randomUUID();
+    this.network = network;
+    this.collection_slug = collection_slug;
+    this.sql = sql;
+    this.note = note;
+    this.maxRows = max_rows;
+    this.owner = owner;
+    this.state = 'running';
+    this.createdAt = Date.now();
+    this.finishedAt = null;
+    this.polls = 0;
+    this.rows = [];
+    this.columns = [];
+    this.error = null;
+    this.nextPageUrl = null;
+    this.controller = new AbortController();
+  }
+
+  get signal() {
+    return this.controller.signal;
+  }
+
+  get finished() {
+    return this.state !== 'running';
+  }
+
+  get rowLimitReached() {
+    return Boolean(this.maxRows) && this.rows.length >= this.maxRows;
+  }
+
+  append(rows, columns) {
+    this.rows.push(...rows);
+    if (this.columns.length === 0 && columns.length > 0) {
+      this.columns = columns;
+    }
+  }
+
+  finish(state, error = null) {
+    if (this.finished) {
+      return;
+    }
+    this.state = state;
+    this.error = error;
+    this.finishedAt = Date.now();
+  }
+
+  status(retentionMs) {
+    return {
+      job_id: this.id,
+      state: this.state,
+      network: this.network,
+      collection_slug: this.collection_slug,
+      sql: this.sql,
+      note: this.note,
+      rows_collected: this.rows.length,
+      // The job stopped before the backend ran out of pages (row limit or cancellation)
+      has_more_pages: this.finished && Boolean(this.nextPageUrl),
+      polls: this.polls,
+      created_at: new Date(this.createdAt).toISOString(),
+      finished_at: this.finishedAt ? new Date(this.finishedAt).toISOString() : null,
+      expires_at: this.finishedAt ? new Date(this.finishedAt + retentionMs).toISOString() : null,
+      elapsed_ms: (this.finishedAt || Date.now()) - this.createdAt,
+      error: this.error
+    };
+  }
+}
+
+export class QueryJobRegistry {
+  constructor({ retentionMs = 3600000, timeoutMs = 3600000, maxActive = 10 } = {}) {
+    this.retentionMs = retentionMs;
+    this.timeoutMs = timeoutMs;
+    this.maxActive = maxActive;
+    this.jobs = new Map();
+  }
+
+  // Drop finished jobs whose retention period is over
+  sweep(now = Date.now()) {
+    for (const [id, job] of this.jobs) {
+      if (job.finished && now - job.finishedAt > this.retentionMs) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  create(fields) {
+    this.sweep();
+    const active = [...this.jobs.values()].filter(j => !j.finished && j.owner === (fields.owner ?? null));
+    if (this.maxActive && active.length >= this.maxActive) {
+      throw new Error(`Too many running query jobs (${active.length}); wait for one to finish or cancel one with cancel_query`);
+    }
+    const job = new QueryJob(fields);
+    this.jobs.set(job.id, job);
+    return job;
+  }
+
+  // Run `work` in the background, settling the job when it ends
+  run(job, work) {
+    const timer = this.timeoutMs > 0 ? setTimeout(() => {
+      job.finish('failed', `Query job timed out after ${Math.round(this.timeoutMs / 1000)}s`);
+      job.controller.abort();
+    }, this.timeoutMs) : null;
+    timer?.unref?.();
+
+    work(job)
+      .then(() => job.finish('succeeded'))
+      .catch(error => job.finish(job.signal.aborted ? 'cancelled' : 'failed', error.message))
+      .finally(() => clearTimeout(timer));
+  }
+
+  // Jobs are only visible to the client that started them
+  get(id, owner = null) {
+    this.sweep();
+    const job = this.jobs.get(id);
+    if (!job || job.owner !== owner) {
+      throw new Error(`Unknown query job '${id}'; it may have expired (finished jobs are kept for ${Math.round(this.retentionMs / 1000)}s)`);
+    }
+    return job;
+  }
+
+  cancel(id, owner = null) {
+    const job = this.get(id, owner);
+    if (!job.finished) {
+      job.finish('cancelled');
+      job.controller.abort();
+    }
+    return job;
+  }
+}
@@ -0,0 +1,103 @@
+// Query plan parsing for explain_sql and the sql_search cost check. Trino's
+// EXPLAIN (TYPE IO, FORMAT JSON) lists every table a query reads with the
+// constraints pushed down to it and a row estimate; the text plan adds the
+// overall estimate and, on some connectors, partition counts.
+
+export const DEFAULT_LARGE_TABLE_ROWS = 10000000;
+
+export function explainStatements(sql) {
+  return {
+    io: `EXPLAIN (TYPE IO, FORMAT JSON) ${sql}`,
+    text: `EXPLAIN ${sql}`
+  };
+}
+
+// EXPLAIN returns the plan as a single "Query Plan" value, sometimes split over rows
+export function planText(rows) {
+  return rows.map(row => Object.values(row)[0]).filter(v => v !== null && v !== undefined).join('\n');
+}
+
+function finiteOrNull(value) {
+  const number = Number(value);
+  return value !== null && value !== undefined && value !== '' && Number.isFinite(number) ? number : null;
+}
+
+export function parseIoPlan(text) {
+  let plan;
+  try {
+    // Unknown estimates are serialized as bare NaN, which JSON.parse rejects
+    plan = JSON.parse(text.replace(/\b(NaN|-?Infinity)\b/g, 'null'));
+  } catch (e) {
+    throw new Error(`Could not parse the IO plan: ${e.message}`);
+  }
+
+  const tables = (plan.inputTableColumnInfos || []).map(info => {
+    const name = [info.table?.catalog, info.table?.schemaTable?.schema, info.table?.schemaTable?.table].filter(Boolean).join('.');
+    const constraints = info.constraint?.columnConstraints || info.columnConstraints || [];
+    return {
+      table: name,
+      constraints: constraints.map(c => ({
+        column: c.columnName,
+        type: c.type || null,
+        ranges: Array.isArray(c.domain?.ranges) ? c.domain.ranges.length : null
+      })),
+      estimated_rows: finiteOrNull(info.estimate?.outputRowCount)
+    };
+  });
+
+  return { tables, estimated_output_rows: finiteOrNull(plan.estimate?.outputRowCount) };
+}
+
+export function parseTextPlan(text) {
+  const tables = new Set();
+  for (const match of text.matchAll(/table\s*=\s*([\w$-]+):([\w$-]+)[:.]([\w$-]+)/g)) {
+    tables.add(`${match[1]}.${match[2]}.${match[3]}`);
+  }
+
+  // The first estimate belongs to the plan's root, i.e. the query's output
+  const estimate = /Estimates:\s*\{rows:\s*([\d,]+)/.exec(text);
+  const partitions = [...text.matchAll(/partitions\s*[=:]\s*(\d+)/gi)].map(m => Number(m[1]));
+
+  return {
+    tables: [...tables],
+    estimated_output_rows: estimate ? Number(estimate[1].replace(/,/g, '')) : null,
+    partitions: partitions.length ? partitions.reduce((a, b) => a + b, 0) : null
+  };
+}
+
+// Combine the parsed plans with table sizes from list_tables. A table read
+// without any pushed-down constraint is a full scan.
+export function summarizePlan({ io, text }, sizes, { largeTableRows = DEFAULT_LARGE_TABLE_ROWS } = {}) {
+  const names = io ? io.tables.map(t => t.table) : text?.tables || [];
+  const tables = names.map(name => {
+    const fromIo = io?.tables.find(t => t.table === name);
+    const size = sizes.get(name) ?? null;
+    const fullScan = fromIo ? fromIo.constraints.length === 0 : null;
+    return {
+      table: name,
+      size,
+      estimated_rows: fromIo?.estimated_rows ?? null,
+      constraints: fromIo?.constraints || [],
+      full_scan: fullScan,
+      large_full_scan: fullScan === true && size !== null && size >= largeTableRows
+    };
+  });
+
+  // Rows read per table: the planner's estimate, else the whole table for full scans
+  const perTable = tables.map(t => t.estimated_rows ?? (t.full_scan ? t.size : null));
+  const known = perTable.filter(n => n !== null);
+
+  const warnings = tables.filter(t => t.large_full_scan).map(t =>
+    `Full scan of ${t.table} (${t.size.toLocaleString()} rows); add a filter on one of its columns, ideally a partition column`);
+  if (perTable.some(n => n === null)) {
+    warnings.push('Row estimates are missing for some tables (the connector may lack statistics)');
+  }
+
+  return {
+    tables,
+    estimated_scan_rows: known.length ? known.reduce((a, b) => a + b, 0) : null,
+    estimated_output_rows: io?.estimated_output_rows ?? text?.estimated_output_rows ?? null,
+    partitions: text?.partitions ?? null,
+    warnings
+  };
+}
@@ -0,0 +1,61 @@
+// URI helpers for the omics:// resource scheme
+//
+//   omics://{network}/collections
+//   omics://{network}/{collection}/tables
+//   omics://{network}/{collection}/{table}/schema
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "omics://{network}/collections",
+    name: "Network collections",
+    description: "All collections available in an Omics AI Explorer network",
+    mimeType: "application/json"
+  },
+  {
+    uriTemplate: "omics://{network}/{collection}/tables",
+    name: "Collection tables",
+    description: "All tables in a collection, including qualified names and row counts",
+    mimeType: "application/json"
+  },
+  {
+    uriTemplate: "omics://{network}/{collection}/{table}/schema",
+    name: "Table schema",
+    description: "Schema fields (data_model.properties) for a table",
+    mimeType: "application/json"
+  }
+];
+
+export function collectionsUri(network) {
+  return `omics://${encodeURIComponent(network)}/collections`;
+}
+
+export function tablesUri(network, collection) {
+  return `omics://${encodeURIComponent(network)}/${encodeURIComponent(collection)}/tables`;
+}
+
+export function schemaUri(network, collection, table) {
+  return `omics://${encodeURIComponent(network)}/${encodeURIComponent(collection)}/${encodeURIComponent(table)}/schema`;
+}
+
+// Parse an omics:// URI into { kind, network, collection, table }
+export function parseResourceUri(uri) {
+  const match = /^omics:\/\/([^/]+)\/(.+)$/.exec(uri);
+  if (!match) {
+    throw new Error(`Unsupported resource URI: ${uri}`);
+  }
+
+  const network = decodeURIComponent(match[1]);
+  const segments = match[2].replace(/\/$/, '').split('/').map(decodeURIComponent);
+
+  if (segments.length === 1 && segments[0] === 'collections') {
+    return { kind: 'collections', network };
+  }
+  if (segments.length === 2 && segments[1] === 'tables') {
+    return { kind: 'tables', network, collection: segments[0] };
+  }
+  if (segments.length === 3 && segments[2] === 'schema') {
+    return { kind: 'schema', network, collection: segments[0], table: segments[1] };
+  }
+
+  throw new Error(`Unsupported resource URI: ${uri}`);
+}
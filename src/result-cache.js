@@ -0,0 +1,104 @@
+// In-memory cache of sql_search and count_rows results, so an agent repeating
+// a query within a conversation doesn't pay for the polling again. Entries are
+// keyed by network, collection, the normalized SQL or filter payload and the
+// caller's identity, so results never cross access tokens or wrapper clients.
+// Bounded by OMICS_RESULT_CACHE_TTL (seconds, default 300; 0 disables) and
+// OMICS_RESULT_CACHE_MAX_MB (default 64); least recently used entries go first.
+
+function numberFromEnv(name, fallback) {
+  const value = process.env[name];
+  const number = value === undefined || value === '' ? fallback : Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative number, got '${value}'`);
+  }
+  return number;
+}
+
+export function resultCacheOptions() {
+  return {
+    ttlMs: numberFromEnv('OMICS_RESULT_CACHE_TTL', 300) * 1000,
+    maxBytes: numberFromEnv('OMICS_RESULT_CACHE_MAX_MB', 64) * 1024 * 1024
+  };
+}
+
+// JSON with object keys sorted, so equivalent filter payloads share a key
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export class ResultCache {
+  constructor({ ttlMs = 300 * 1000, maxBytes = 64 * 1024 * 1024 } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxBytes = maxBytes;
+    // key -> { value, bytes, storedAt }, in least to most recently used order
+    this.entries = new Map();
+    this.bytes = 0;
+  }
+
+  get enabled() {
+    return this.ttlMs > 0 && this.maxBytes > 0;
+  }
+
+  static keyOf({ kind, network, collection, identity, client, query }) {
+    return [kind, network, collection, identity, client ?? '', query].join('\u0000');
+  }
+
+  // The cached value and when it was stored, or null
+  get(parts) {
+    if (!this.enabled) {
+      return null;
+    }
+    const key = ResultCache.keyOf(parts);
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    this.delete(key);
+    if (Date.now() - entry.storedAt >= this.ttlMs) {
+      return null;
+    }
+    this.entries.set(key, entry);
+    this.bytes += entry.bytes;
+    return { value: entry.value, storedAt: entry.storedAt };
+  }
+
+  // Values larger than the whole cache are not stored
+  set(parts, value) {
+    if (!this.enabled) {
+      return;
+    }
+    const key = ResultCache.keyOf(parts);
+    const bytes = Buffer.byteLength(JSON.stringify(value));
+    this.delete(key);
+    if (bytes > this.maxBytes) {
+      return;
+    }
+    this.entries.set(key, { value, bytes, storedAt: Date.now() });
+    this.bytes += bytes;
+    for (const oldest of this.entries.keys()) {
+      if (this.bytes <= this.maxBytes) {
+        break;
+      }
+      this.delete(oldest);
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.bytes -= entry.bytes;
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+}
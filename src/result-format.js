@@ -0,0 +1,249 @@
+// Text previews of result rows that fit a context budget. Long strings and
+// arrays are cut with markers, nested values are rendered compactly, wide rows
+// are transposed, and the preview always says what it left out. Selected
+// columns also apply to structuredContent, and so does an explicit max_chars or
+// max_tokens, since a client may give the model either one.
+
+import { closeMatches } from './fuzzy.js';
+
+export const DEFAULT_PREVIEW_ROWS = 5;
+export const MAX_PREVIEW_ROWS = 100;
+export const DEFAULT_MAX_CHARS = 6000;
+// Rough size of a token, for budgets given in tokens
+export const CHARS_PER_TOKEN = 4;
+
+// Rows with more columns than this are shown one column per line
+const WIDE_COLUMNS = 8;
+// Cell widths tried in turn until the preview fits the budget
+const CELL_WIDTHS = [120, 60, 30, 16];
+const MAX_ITEMS = 5;
+const MAX_DEPTH = 2;
+// The smallest budget a caller may ask for; a preview with less room left
+// after the surrounding text shows no rows
+const MIN_PREVIEW_CHARS = 400;
+
+export const FORMAT_INPUT_PROPERTIES = {
+  columns: {
+    type: "array",
+    items: { type: "string" },
+    description: "Only return these columns, in the text preview and the structured result (default: all)"
+  },
+  preview_rows: {
+    type: "integer",
+    description: `Rows to show in the text preview (default: ${DEFAULT_PREVIEW_ROWS}, max: ${MAX_PREVIEW_ROWS}; 0 for none)`,
+    default: DEFAULT_PREVIEW_ROWS
+  },
+  max_chars: {
+    type: "integer",
+    description: `Approximate size limit in characters, at least ${MIN_PREVIEW_CHARS} (default: ${DEFAULT_MAX_CHARS} for the text). ` +
+      "Values are shortened and rows dropped to fit the text; when given, rows that don't fit are also left out of the structured result."
+  },
+  max_tokens: {
+    type: "integer",
+    description: `Size limit in approximate tokens (${CHARS_PER_TOKEN} characters each, at least ${MIN_PREVIEW_CHARS / CHARS_PER_TOKEN}), instead of max_chars`
+  }
+};
+
+// The formatting arguments of a tool call, to pass on to another tool
+export function formatArguments({ columns, preview_rows, max_chars, max_tokens }) {
+  return { columns, preview_rows, max_chars, max_tokens };
+}
+
+// Validated formatting options from tool arguments
+export function formatOptions({ columns, preview_rows = DEFAULT_PREVIEW_ROWS, max_chars, max_tokens } = {}) {
+  if (columns !== undefined && (!Array.isArray(columns) || columns.length === 0 || !columns.every(c => typeof c === 'string' && c))) {
+    throw new Error("columns must be a non-empty array of column names");
+  }
+  if (!Number.isInteger(preview_rows) || preview_rows < 0 || preview_rows > MAX_PREVIEW_ROWS) {
+    throw new Error(`preview_rows must be an integer between 0 and ${MAX_PREVIEW_ROWS}`);
+  }
+  for (const [name, value] of [['max_chars', max_chars], ['max_tokens', max_tokens]]) {
+    if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+      throw new Error(`${name} must be a positive integer`);
+    }
+  }
+
+  const limits = [max_chars, max_tokens && max_tokens * CHARS_PER_TOKEN].filter(Boolean);
+  const limit = limits.length ? Math.min(...limits) : null;
+  if (limit !== null && limit < MIN_PREVIEW_CHARS) {
+    throw new Error(`max_chars must be at least ${MIN_PREVIEW_CHARS} (max_tokens at least ${MIN_PREVIEW_CHARS / CHARS_PER_TOKEN})`);
+  }
+  return {
+    columns: columns ?? null,
+    previewRows: preview_rows,
+    maxChars: limit ?? DEFAULT_MAX_CHARS,
+    // Only a budget the caller asked for limits the structured result
+    structuredChars: limit
+  };
+}
+
+// The options with `text` set aside from the budget, for text a tool adds
+// around the preview
+export function reserveChars(options, text) {
+  return { ...options, maxChars: options.maxChars - text.length };
+}
+
+function plural(count, noun) {
+  return `${count.toLocaleString()} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function truncate(text, width, stats) {
+  if (text.length <= width) {
+    return text;
+  }
+  stats.truncated++;
+  return `${text.slice(0, width)}…[+${(text.length - width).toLocaleString()} chars]`;
+}
+
+// Nested values on one line: at most MAX_ITEMS items or keys per level and
+// MAX_DEPTH levels, with what was skipped counted in place
+function compact(value, depth, stats) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    if (depth >= MAX_DEPTH) {
+      stats.truncated++;
+      return `[…${plural(value.length, 'item')}]`;
+    }
+    const items = value.slice(0, MAX_ITEMS).map(v => compact(v, depth + 1, stats));
+    if (value.length > MAX_ITEMS) {
+      stats.truncated++;
+      items.push(`…+${value.length - MAX_ITEMS} more`);
+    }
+    return `[${items.join(', ')}]`;
+  }
+  if (typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (depth >= MAX_DEPTH) {
+      stats.truncated++;
+      return `{…${plural(keys.length, 'key')}}`;
+    }
+    const items = keys.slice(0, MAX_ITEMS).map(k => `${k}: ${compact(value[k], depth + 1, stats)}`);
+    if (keys.length > MAX_ITEMS) {
+      stats.truncated++;
+      items.push(`…+${plural(keys.length - MAX_ITEMS, 'key')}`);
+    }
+    return `{${items.join(', ')}}`;
+  }
+  return depth > 0 && typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+function cell(value, width, stats) {
+  const text = truncate(compact(value, 0, stats), width, stats);
+  return text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function table(header, body) {
+  return [header, header.map(() => '---'), ...body].map(cells => `| ${cells.join(' | ')} |`).join('\n');
+}
+
+function render(names, rows, width) {
+  const stats = { truncated: 0 };
+  const text = names.length <= WIDE_COLUMNS
+    ? table(names.map(n => cell(n, width, stats)), rows.map(row => names.map(n => cell(row[n], width, stats))))
+    : table(['column', ...rows.map((_, i) => `row ${i + 1}`)], names.map(n => [cell(n, width, stats), ...rows.map(row => cell(row[n], width, stats))]));
+  return { text, truncated: stats.truncated };
+}
+
+// Every column in the result, in order: `names`, then any others the rows
+// carry. Throws for unknown names in options.columns.
+function availableColumns(rows, names, options) {
+  const available = [...names];
+  for (const row of rows.slice(0, MAX_PREVIEW_ROWS)) {
+    for (const key of Object.keys(row || {})) {
+      if (!available.includes(key)) {
+        available.push(key);
+      }
+    }
+  }
+
+  const unknown = (options.columns || []).filter(c => !available.includes(c));
+  if (unknown.length > 0) {
+    const hints = unknown.map(c => {
+      const close = closeMatches(c, available);
+      return close.length ? `'${c}' (did you mean ${close.map(m => `'${m}'`).join(', ')}?)` : `'${c}'`;
+    });
+    throw new Error(`Unknown column${unknown.length > 1 ? 's' : ''} ${hints.join(', ')}; the result has ${available.join(', ')}`);
+  }
+  return available;
+}
+
+// The columns and rows for structuredContent: only the selected columns and,
+// with a structuredChars budget, only the rows whose JSON fits in it
+export function structuredRows(rows, columns, options) {
+  availableColumns(rows, columns.map(c => c.name), options);
+  const selected = options.columns;
+  const shapedColumns = selected ? columns.filter(c => selected.includes(c.name)) : columns;
+  const pick = selected
+    ? row => Object.fromEntries(selected.filter(name => Object.hasOwn(row || {}, name)).map(name => [name, row[name]]))
+    : row => row;
+
+  const kept = [];
+  let size = JSON.stringify(shapedColumns).length;
+  for (const row of rows) {
+    const shaped = pick(row);
+    if (options.structuredChars !== null) {
+      size += JSON.stringify(shaped).length + 1;
+      if (size > options.structuredChars) {
+        break;
+      }
+    }
+    kept.push(shaped);
+  }
+  return { columns: shapedColumns, rows: kept, omitted: rows.length - kept.length };
+}
+
+// A markdown preview of `rows` within `budget` characters, followed by a note
+// of anything omitted. `names` are the result's columns in order; rows may
+// carry others, which are appended. `structuredCount` is how many of the rows
+// the structured result carries.
+export function formatRows(rows, names, options, budget = options.maxChars, structuredCount = rows.length) {
+  const available = availableColumns(rows, names, options);
+  const shownNames = options.columns || available;
+  // The surrounding text already used up the budget
+  const squeezed = budget < MIN_PREVIEW_CHARS;
+  let shown = squeezed ? [] : rows.slice(0, options.previewRows);
+
+  let preview = { text: '', truncated: 0 };
+  if (shown.length > 0) {
+    for (const width of CELL_WIDTHS) {
+      preview = render(shownNames, shown, width);
+      if (preview.text.length <= budget) {
+        break;
+      }
+    }
+    while (preview.text.length > budget && shown.length > 1) {
+      shown = shown.slice(0, -1);
+      preview = render(shownNames, shown, CELL_WIDTHS[CELL_WIDTHS.length - 1]);
+    }
+  }
+
+  const omitted = [];
+  if (squeezed && rows.length > 0) {
+    omitted.push(`all ${plural(rows.length, 'row')} (the rest of the result uses up max_chars)`);
+  } else if (rows.length > shown.length) {
+    omitted.push(`${(rows.length - shown.length).toLocaleString()} of ${rows.length.toLocaleString()} rows (raise preview_rows or max_chars to see more)`);
+  }
+  if (shownNames.length < available.length) {
+    omitted.push(`${available.length - shownNames.length} of ${available.length} columns`);
+  }
+  if (preview.truncated > 0) {
+    omitted.push(`parts of ${preview.truncated} long or nested values (marked …)`);
+  }
+
+  let text = preview.text;
+  if (text.length > budget) {
+    // Even one row is too wide; cut the preview itself
+    text = `${text.slice(0, budget)}\n…[preview cut at ${budget.toLocaleString()} chars]`;
+    omitted.push('the end of the preview');
+  }
+  const structured = structuredCount < rows.length
+    ? `Only the first ${plural(structuredCount, 'row')} fit in the structured result; fetch fewer rows per call to get the rest.`
+    : 'Every row is in the structured result.';
+  if (omitted.length > 0 || structuredCount < rows.length) {
+    text += `${text ? '\n\n' : ''}_${omitted.length ? `Not shown: ${omitted.join('; ')}. ` : ''}${structured}_`;
+  }
+
+  return { text, shownRows: shown.length };
+}
@@ -0,0 +1,223 @@
+// Read-only statement checks and LIMIT enforcement for SQL sent to
+// /data-connect/search. Only the statement structure is inspected, so string
+// literals, quoted identifiers and comments never trigger false positives.
+
+const READ_ONLY_STATEMENTS = ['SELECT', 'WITH', 'SHOW', 'DESCRIBE', 'EXPLAIN'];
+const LIMITED_STATEMENTS = ['SELECT', 'WITH'];
+
+// Default row cap, overridable per deployment with OMICS_SQL_LIMIT_CAP (0 disables)
+export const DEFAULT_LIMIT_CAP = 10000;
+
+export function getLimitCap() {
+  const configured = process.env.OMICS_SQL_LIMIT_CAP;
+  if (configured === undefined || configured === '') {
+    return DEFAULT_LIMIT_CAP;
+  }
+  const cap = Number(configured);
+  if (!Number.isSafeInteger(cap) || cap < 0) {
+    throw new Error(`OMICS_SQL_LIMIT_CAP must be a non-negative integer, got '${configured}'`);
+  }
+  return cap;
+}
+
+// Estimated rows a sql_search query may read before it has to be confirmed,
+// from OMICS_SQL_MAX_SCAN_ROWS (unset or 0 disables the check)
+export function getMaxScanRows() {
+  const configured = process.env.OMICS_SQL_MAX_SCAN_ROWS;
+  if (configured === undefined || configured === '') {
+    return 0;
+  }
+  const rows = Number(configured);
+  if (!Number.isSafeInteger(rows) || rows < 0) {
+    throw new Error(`OMICS_SQL_MAX_SCAN_ROWS must be a non-negative integer, got '${configured}'`);
+  }
+  return rows;
+}
+
+// Split SQL into word, number, string, identifier and punctuation tokens,
+// dropping comments and whitespace
+export function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const start = i;
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '-' && sql[i + 1] === '-') {
+      while (i < sql.length && sql[i] !== '\n') {
+        i++;
+      }
+    } else if (ch === '/' && sql[i + 1] === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      if (end === -1) {
+        throw new Error("Unterminated block comment in SQL");
+      }
+      i = end + 2;
+    } else if (ch === "'" || ch === '"') {
+      i++;
+      for (;;) {
+        if (i >= sql.length) {
+          throw new Error(ch === "'" ? "Unterminated string literal in SQL" : "Unterminated quoted identifier in SQL");
+        }
+        if (sql[i] === ch) {
+          if (sql[i + 1] === ch) {
+            i += 2;
+            continue;
+          }
+          i++;
+          break;
+        }
+        i++;
+      }
+      tokens.push({ type: ch === "'" ? 'string' : 'identifier', value: sql.slice(start, i), start, end: i });
+    } else if (/[A-Za-z_]/.test(ch)) {
+      while (i < sql.length && /[A-Za-z0-9_$@]/.test(sql[i])) {
+        i++;
+      }
+      tokens.push({ type: 'word', value: sql.slice(start, i).toUpperCase(), start, end: i });
+    } else if (/[0-9]/.test(ch)) {
+      while (i < sql.length && /[0-9.eE]/.test(sql[i])) {
+        i++;
+      }
+      tokens.push({ type: 'number', value: sql.slice(start, i), start, end: i });
+    } else {
+      i++;
+      tokens.push({ type: 'punct', value: ch, start, end: i });
+    }
+  }
+
+  return tokens;
+}
+
+// SQL reduced to its tokens, so queries differing only in whitespace, comments
+// or keyword case compare equal
+export function normalizeSql(sql) {
+  return tokenize(sql).map(token => token.value).join(' ');
+}
+
+// The statement kind that will actually run, looking through EXPLAIN options
+function statementKeyword(tokens, index = 0) {
+  const first = tokens[index];
+  if (!first || first.type !== 'word') {
+    return { keyword: first ? first.value : '', index };
+  }
+  if (first.value !== 'EXPLAIN') {
+    return { keyword: first.value, index };
+  }
+
+  let next = index + 1;
+  let analyze = false;
+  if (tokens[next]?.value === 'ANALYZE') {
+    analyze = true;
+    next++;
+    if (tokens[next]?.value === 'VERBOSE') {
+      next++;
+    }
+  }
+  if (tokens[next]?.value === '(') {
+    let depth = 0;
+    for (; next < tokens.length; next++) {
+      if (tokens[next].value === '(') depth++;
+      if (tokens[next].value === ')' && --depth === 0) {
+        next++;
+        break;
+      }
+    }
+  }
+
+  const inner = statementKeyword(tokens, next);
+  return { keyword: 'EXPLAIN', inner: inner.keyword, analyze };
+}
+
+function topLevelTokens(tokens) {
+  const result = [];
+  let depth = 0;
+  tokens.forEach((token, index) => {
+    if (token.value === '(') depth++;
+    if (token.value === ')') depth--;
+    if (depth === 0) {
+      result.push(index);
+    }
+  });
+  return result;
+}
+
+// Find the outermost LIMIT n / LIMIT ALL / FETCH FIRST n ROWS clause
+function findRowLimit(tokens) {
+  const topLevel = topLevelTokens(tokens);
+
+  for (let k = topLevel.length - 1; k >= 0; k--) {
+    const index = topLevel[k];
+    const token = tokens[index];
+    if (token.type !== 'word') {
+      continue;
+    }
+
+    if (token.value === 'LIMIT') {
+      const value = tokens[index + 1];
+      if (value?.value === 'ALL') {
+        return { token: value, count: Infinity };
+      }
+      if (value?.type === 'number') {
+        return { token: value, count: Number(value.value) };
+      }
+    }
+
+    if (token.value === 'FETCH' && ['FIRST', 'NEXT'].includes(tokens[index + 1]?.value)) {
+      const value = tokens[index + 2];
+      if (value?.type === 'number') {
+        return { token: value, count: Number(value.value) };
+      }
+      // FETCH FIRST ROW ONLY
+      return { token: null, count: 1 };
+    }
+  }
+
+  return null;
+}
+
+// Validate that sql is a single read-only statement and enforce the row cap.
+// Returns the SQL to execute plus a human-readable note when it was changed.
+export function guardSql(sql, { limitCap = getLimitCap() } = {}) {
+  const tokens = tokenize(sql);
+
+  while (tokens.length > 0 && tokens[tokens.length - 1].value === ';') {
+    tokens.pop();
+  }
+  if (tokens.length === 0) {
+    throw new Error("SQL query is empty");
+  }
+  if (tokens.some(token => token.value === ';')) {
+    throw new Error("Only a single SQL statement is allowed");
+  }
+
+  const { keyword, inner, analyze } = statementKeyword(tokens);
+  if (!READ_ONLY_STATEMENTS.includes(keyword) || (inner !== undefined && !READ_ONLY_STATEMENTS.includes(inner))) {
+    throw new Error(`Only read-only queries are allowed (${READ_ONLY_STATEMENTS.join(', ')}); got ${inner || keyword || 'an unrecognized statement'}`);
+  }
+  // Trino runs the whole query to analyze it, beyond the reach of the row cap
+  if (analyze) {
+    throw new Error("EXPLAIN ANALYZE is not allowed because it runs the query; use EXPLAIN or explain_sql to see the plan");
+  }
+
+  // Drop trailing semicolons and comments so an appended LIMIT is not commented out
+  let text = sql.slice(0, tokens[tokens.length - 1].end);
+  let note = null;
+
+  if (limitCap > 0 && LIMITED_STATEMENTS.includes(keyword)) {
+    const limit = findRowLimit(tokens);
+    if (!limit) {
+      text = `${text} LIMIT ${limitCap}`;
+      note = `LIMIT ${limitCap} was added because the query had none`;
+    } else if (limit.count > limitCap) {
+      const { start, end } = limit.token;
+      text = text.slice(0, start) + limitCap + text.slice(end);
+      note = `Row limit ${limit.token.value} was lowered to the server cap of ${limitCap}`;
+    }
+  }
+
+  return { sql: text.trim(), statement: keyword, note };
+}
@@ -0,0 +1,26 @@
+// Helpers for building Trino SQL safely
+
+export function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// 'collections.gnomad.variants' -> "collections"."gnomad"."variants"
+export function quoteQualifiedName(name) {
+  return String(name).split('.').map(quoteIdentifier).join('.');
+}
+
+export function sqlLiteral(value) {
+  if (value === null || value === undefined) {
+    return 'NULL';
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Cannot use ${value} in SQL`);
+    }
+    return String(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
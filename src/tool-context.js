@@ -0,0 +1,89 @@
+// Per-call state for tool handlers: the client's cancellation signal, MCP
+// progress notifications (sent only when the request has a progress token),
+// the caller's identity and session, and the SQL the call ran, for the audit
+// log.
+
+export class RequestCancelledError extends Error {
+  constructor(message = 'Request was cancelled by the client') {
+    super(message);
+    this.name = 'RequestCancelledError';
+  }
+}
+
+export class ToolContext {
+  // For calls made outside an MCP request
+  static get none() {
+    return new ToolContext();
+  }
+
+  constructor(extra = {}) {
+    this.signal = extra.signal || null;
+    this.progressToken = extra._meta?.progressToken;
+    this.sendNotification = extra.sendNotification || null;
+    this.clientId = extra.authInfo?.clientId ?? null;
+    this.sessionId = extra.sessionId ?? null;
+    this.startedAt = Date.now();
+    this.progressCount = 0;
+    this.rows = 0;
+    this.sql = [];
+  }
+
+  get cancelled() {
+    return Boolean(this.signal?.aborted);
+  }
+
+  throwIfCancelled() {
+    if (this.cancelled) {
+      throw new RequestCancelledError();
+    }
+  }
+
+  // setTimeout that ends early, rejecting, when the client cancels
+  sleep(ms) {
+    this.throwIfCancelled();
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new RequestCancelledError());
+      };
+      const timer = setTimeout(() => {
+        this.signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      this.signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  addRows(count) {
+    this.rows += count;
+  }
+
+  recordSql(sql) {
+    this.sql.push(sql);
+  }
+
+  // e.g. "Waiting for SQL results: poll 3, 6.1s elapsed, 2,000 rows so far"
+  async progress(message, { polls } = {}) {
+    if (this.progressToken === undefined || !this.sendNotification) {
+      return;
+    }
+    const details = [
+      polls !== undefined ? `poll ${polls}` : null,
+      `${((Date.now() - this.startedAt) / 1000).toFixed(1)}s elapsed`,
+      `${this.rows.toLocaleString()} rows so far`
+    ].filter(Boolean);
+
+    try {
+      await this.sendNotification({
+        method: 'notifications/progress',
+        params: {
+          progressToken: this.progressToken,
+          progress: ++this.progressCount,
+          message: `${message}: ${details.join(', ')}`
+        }
+      });
+    } catch (e) {
+      // A lost progress update must not fail the query
+    }
+  }
+}
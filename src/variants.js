@@ -0,0 +1,148 @@
+// Region and variant parsing plus SQL generation for lookup_variants
+
+import { quoteIdentifier, quoteQualifiedName, sqlLiteral } from "./sql.js";
+
+// Candidate column names, most specific first
+const COLUMN_CANDIDATES = {
+  chrom: ['chrom', 'chromosome', 'chr', 'contig', 'seqname', 'seq_name', 'reference_name', 'locus_contig', 'chrom_name'],
+  pos: ['pos', 'position', 'start', 'start_position', 'locus_position', 'bp', 'genomic_position'],
+  ref: ['ref', 'reference', 'ref_allele', 'reference_allele', 'reference_bases', 'ref_nt'],
+  alt: ['alt', 'alternate', 'alt_allele', 'alternate_allele', 'alternate_bases', 'alt_nt', 'alts']
+};
+
+const VARIANT_PATTERN = /^([^\s:_>-]+)[-:_](\d+)[-:_]([ACGTN*]+)[-:_>]([ACGTN*]+)$/i;
+const REGION_PATTERN = /^([^\s:]+):([\d,]+)(?:-([\d,]+))?$/;
+
+function parsePosition(text) {
+  const value = Number(text.replace(/,/g, ''));
+  if (!Number.isSafeInteger(value) || value < 0) {
+    throw new Error(`Invalid position: ${text}`);
+  }
+  return value;
+}
+
+// Parse "chr1:1,000,000-2,000,000", "chr1:12345", "17-7674220-C-T" or a bare "chrX"
+export function parseLocus(text) {
+  const trimmed = String(text).trim();
+
+  const variant = VARIANT_PATTERN.exec(trimmed);
+  if (variant) {
+    return {
+      kind: 'variant',
+      chrom: variant[1],
+      pos: parsePosition(variant[2]),
+      ref: variant[3].toUpperCase(),
+      alt: variant[4].toUpperCase()
+    };
+  }
+
+  const region = REGION_PATTERN.exec(trimmed);
+  if (region) {
+    const start = parsePosition(region[2]);
+    const end = region[3] ? parsePosition(region[3]) : start;
+    if (end < start) {
+      throw new Error(`Region end is before start: ${text}`);
+    }
+    return { kind: 'region', chrom: region[1], start, end };
+  }
+
+  if (/^(chr)?(\d{1,2}|X|Y|M|MT)$/i.test(trimmed)) {
+    return { kind: 'region', chrom: trimmed, start: null, end: null };
+  }
+
+  throw new Error(`Could not parse '${text}' as a region (chr1:100-200) or variant (1-100-A-G)`);
+}
+
+// Match schema fields to chrom/pos/ref/alt, honouring explicit overrides
+export function detectVariantColumns(fields, overrides = {}) {
+  const byName = new Map(fields.map(f => [f.name.toLowerCase(), f]));
+  const columns = {};
+
+  for (const [role, candidates] of Object.entries(COLUMN_CANDIDATES)) {
+    const override = overrides[role];
+    if (override) {
+      const field = byName.get(override.toLowerCase());
+      if (!field) {
+        throw new Error(`Column '${override}' given for ${role} is not in the table schema`);
+      }
+      columns[role] = field;
+      continue;
+    }
+
+    const match = candidates.map(name => byName.get(name)).find(Boolean);
+    if (match) {
+      columns[role] = match;
+    }
+  }
+
+  if (!columns.pos) {
+    throw new Error(`Could not find a position column (tried ${COLUMN_CANDIDATES.pos.join(', ')}); pass pos_column`);
+  }
+
+  return columns;
+}
+
+function isArrayField(field) {
+  return field.type.startsWith('array');
+}
+
+function isNumericField(field) {
+  return ['integer', 'number'].some(t => field.type.includes(t)) ||
+         /int|double|decimal|real/i.test(field.sql_type);
+}
+
+// "1", "chr1", "M", "MT" and "chrM" all refer to the same contig
+function chromosomeAliases(chrom) {
+  const bare = chrom.replace(/^chr/i, '');
+  const names = /^(M|MT)$/i.test(bare) ? ['M', 'MT'] : [bare];
+  return [...new Set(names.flatMap(name => [name, `chr${name}`]))];
+}
+
+function chromCondition(columns, chrom) {
+  if (!columns.chrom) {
+    return null;
+  }
+  const aliases = chromosomeAliases(chrom).map(sqlLiteral).join(', ');
+  return `${quoteIdentifier(columns.chrom.name)} IN (${aliases})`;
+}
+
+function posExpression(columns) {
+  const column = quoteIdentifier(columns.pos.name);
+  return isNumericField(columns.pos) ? column : `CAST(${column} AS BIGINT)`;
+}
+
+function alleleCondition(field, allele) {
+  const column = quoteIdentifier(field.name);
+  return isArrayField(field)
+    ? `contains(${column}, ${sqlLiteral(allele)})`
+    : `upper(${column}) = ${sqlLiteral(allele)}`;
+}
+
+function locusCondition(columns, locus) {
+  const conditions = [chromCondition(columns, locus.chrom)];
+
+  if (locus.kind === 'variant') {
+    conditions.push(`${posExpression(columns)} = ${locus.pos}`);
+    if (columns.ref) {
+      conditions.push(alleleCondition(columns.ref, locus.ref));
+    }
+    if (columns.alt) {
+      conditions.push(alleleCondition(columns.alt, locus.alt));
+    }
+  } else if (locus.start !== null) {
+    conditions.push(`${posExpression(columns)} BETWEEN ${locus.start} AND ${locus.end}`);
+  }
+
+  const parts = conditions.filter(Boolean);
+  if (parts.length === 0) {
+    throw new Error(`Table has no chromosome column, so '${locus.chrom}' cannot be looked up without positions`);
+  }
+  return parts.join(' AND ');
+}
+
+export function buildVariantSql(tableName, columns, loci, limit) {
+  const where = loci.map(locus => `(${locusCondition(columns, locus)})`).join(' OR ');
+  const order = [columns.chrom, columns.pos].filter(Boolean).map(f => quoteIdentifier(f.name)).join(', ');
+
+  return `SELECT * FROM ${quoteQualifiedName(tableName)} WHERE ${where} ORDER BY ${order} LIMIT ${limit}`;
+}
@@ -0,0 +1,304 @@
+// Client authentication, rate limiting and CORS for the HTTP wrapper.
+//
+// Clients authenticate with an API key or a bearer JWT, sent as
+// "Authorization: Bearer <key or jwt>" (or "X-API-Key: <key>"). API keys come
+// from the JSON file named by OMICS_API_KEYS_FILE and/or inline JSON in
+// OMICS_API_KEYS:
+//
+//   {
+//     "keys": {
+//       "partner-a": { "key_env": "PARTNER_A_KEY", "rate_limit": 60, "max_sessions": 2 },
+//       "partner-b": { "key_sha256": "9f86d08..." }
+//     }
+//   }
+//
+// Each key is given as "key", "key_env" or "key_sha256". JWTs are accepted
+// when OMICS_JWT_SECRET (HS256/384/512) or OMICS_JWT_PUBLIC_KEY (PEM, RS* or
+// ES*) is set, optionally checked against OMICS_JWT_ISSUER and
+// OMICS_JWT_AUDIENCE; the client is the token's "sub". When neither keys nor
+// JWTs are configured every request is refused, unless OMICS_AUTH=off turns
+// authentication off explicitly.
+
+import { constants, createHash, createHmac, createPublicKey, timingSafeEqual, verify } from 'crypto';
+import { readFileSync } from 'fs';
+
+export const DEFAULT_RATE_LIMIT = 120; // requests per minute per client
+export const DEFAULT_MAX_SESSIONS = 10; // concurrent sessions per client
+
+const CLOCK_SKEW_SECONDS = 30;
+
+export class WrapperAuthError extends Error {
+  constructor(message, { status = 401, retryAfterSeconds = null } = {}) {
+    super(message);
+    this.name = 'WrapperAuthError';
+    this.status = status;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+function sha256(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+function limitFromEnv(env, name, fallback) {
+  const value = env[name];
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative integer, got '${value}'`);
+  }
+  return number;
+}
+
+function parseKeys(text, source) {
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Could not parse API keys from ${source}: ${e.message}`);
+  }
+  if (!config || typeof config.keys !== 'object' || Array.isArray(config.keys)) {
+    throw new Error(`API key config from ${source} must have a "keys" object`);
+  }
+
+  return Object.entries(config.keys).map(([name, entry]) => {
+    const where = `API key '${name}' in ${source}`;
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`Invalid ${where}: expected an object`);
+    }
+    let hash = entry.key_sha256 ? String(entry.key_sha256).toLowerCase() : null;
+    if (!hash) {
+      const key = entry.key || (entry.key_env ? process.env[entry.key_env] : null);
+      if (!key) {
+        throw new Error(`Invalid ${where}: set 'key', 'key_sha256' or 'key_env' (environment variable ${entry.key_env || '?'} is not set)`);
+      }
+      hash = sha256(key);
+    }
+    for (const limit of ['rate_limit', 'max_sessions']) {
+      if (entry[limit] !== undefined && (!Number.isInteger(entry[limit]) || entry[limit] < 0)) {
+        throw new Error(`Invalid ${where}: '${limit}' must be a non-negative integer`);
+      }
+    }
+    return { name, hash, rateLimit: entry.rate_limit, maxSessions: entry.max_sessions };
+  });
+}
+
+export function wrapperAuthOptions(env = process.env) {
+  if (env.OMICS_AUTH !== undefined && env.OMICS_AUTH !== '' && env.OMICS_AUTH !== 'off') {
+    throw new Error(`OMICS_AUTH must be 'off' or unset, got '${env.OMICS_AUTH}'`);
+  }
+  const keys = [];
+  if (env.OMICS_API_KEYS_FILE) {
+    let text;
+    try {
+      text = readFileSync(env.OMICS_API_KEYS_FILE, 'utf8');
+    } catch (e) {
+      throw new Error(`Could not read OMICS_API_KEYS_FILE (${env.OMICS_API_KEYS_FILE}): ${e.message}`);
+    }
+    keys.push(...parseKeys(text, env.OMICS_API_KEYS_FILE));
+  }
+  if (env.OMICS_API_KEYS) {
+    keys.push(...parseKeys(env.OMICS_API_KEYS, 'OMICS_API_KEYS'));
+  }
+
+  return {
+    keys,
+    anonymous: env.OMICS_AUTH === 'off',
+    jwt: env.OMICS_JWT_SECRET || env.OMICS_JWT_PUBLIC_KEY ? {
+      secret: env.OMICS_JWT_SECRET || null,
+      publicKey: env.OMICS_JWT_PUBLIC_KEY ? createPublicKey(env.OMICS_JWT_PUBLIC_KEY.replace(/\\n/g, '\n')) : null,
+      issuer: env.OMICS_JWT_ISSUER || null,
+      audience: env.OMICS_JWT_AUDIENCE || null
+    } : null,
+    rateLimit: limitFromEnv(env, 'OMICS_RATE_LIMIT', DEFAULT_RATE_LIMIT),
+    maxSessions: limitFromEnv(env, 'OMICS_MAX_SESSIONS', DEFAULT_MAX_SESSIONS),
+    corsOrigins: (env.OMICS_CORS_ORIGINS || '').split(',').map(o => o.trim().replace(/\/$/, '')).filter(Boolean)
+  };
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Verify a compact JWS and its registered claims; returns the payload
+export function verifyJwt(token, { secret, publicKey, issuer, audience }, now = Date.now() / 1000) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new WrapperAuthError('Malformed bearer token');
+  }
+
+  let header, payload;
+  try {
+    header = decodeSegment(parts[0]);
+    payload = decodeSegment(parts[1]);
+  } catch (e) {
+    throw new WrapperAuthError('Malformed bearer token');
+  }
+
+  const data = Buffer.from(`${parts[0]}.${parts[1]}`);
+  const signature = Buffer.from(parts[2], 'base64url');
+  const match = /^(HS|RS|PS|ES)(256|384|512)$/.exec(header.alg || '');
+  if (!match) {
+    throw new WrapperAuthError(`Unsupported token algorithm '${header.alg}'`);
+  }
+  const [, family, bits] = match;
+  const digest = `sha${bits}`;
+
+  let valid = false;
+  if (family === 'HS') {
+    if (!secret) {
+      throw new WrapperAuthError(`Token algorithm ${header.alg} is not accepted`);
+    }
+    const expected = createHmac(digest, secret).update(data).digest();
+    valid = expected.length === signature.length && timingSafeEqual(expected, signature);
+  } else {
+    if (!publicKey) {
+      throw new WrapperAuthError(`Token algorithm ${header.alg} is not accepted`);
+    }
+    const key = family === 'ES' ? { key: publicKey, dsaEncoding: 'ieee-p1363' }
+      : family === 'PS' ? { key: publicKey, padding: constants.RSA_PKCS1_PSS_PADDING, saltLength: Number(bits) / 8 }
+      : publicKey;
+    try {
+      valid = verify(digest, data, key, signature);
+    } catch (e) {
+      valid = false;
+    }
+  }
+  if (!valid) {
+    throw new WrapperAuthError('Invalid token signature');
+  }
+
+  if (typeof payload.exp === 'number' && now > payload.exp + CLOCK_SKEW_SECONDS) {
+    throw new WrapperAuthError('Token has expired');
+  }
+  if (typeof payload.nbf === 'number' && now < payload.nbf - CLOCK_SKEW_SECONDS) {
+    throw new WrapperAuthError('Token is not valid yet');
+  }
+  if (issuer && payload.iss !== issuer) {
+    throw new WrapperAuthError('Token issuer is not accepted');
+  }
+  if (audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience)) {
+      throw new WrapperAuthError('Token audience is not accepted');
+    }
+  }
+  if (typeof payload.sub !== 'string' || !payload.sub) {
+    throw new WrapperAuthError("Token has no 'sub' claim");
+  }
+  return payload;
+}
+
+export class Authenticator {
+  constructor(options) {
+    this.options = options;
+    this.keysByHash = new Map(options.keys.map(k => [k.hash, k]));
+  }
+
+  get enabled() {
+    return this.keysByHash.size > 0 || Boolean(this.options.jwt);
+  }
+
+  // Without credentials configured, requests are only let in when
+  // authentication was turned off on purpose
+  get open() {
+    return !this.enabled && Boolean(this.options.anonymous);
+  }
+
+  credentialOf(req) {
+    const header = req.headers['authorization'];
+    if (header) {
+      const match = /^Bearer\s+(.+)$/i.exec(header);
+      if (!match) {
+        throw new WrapperAuthError('Authorization header must use the Bearer scheme');
+      }
+      return match[1].trim();
+    }
+    return req.headers['x-api-key'] || null;
+  }
+
+  // The calling client as { id, rateLimit, maxSessions }; throws WrapperAuthError
+  authenticate(req) {
+    const { rateLimit, maxSessions, jwt } = this.options;
+    if (this.open) {
+      return { id: 'anonymous', rateLimit, maxSessions };
+    }
+    if (!this.enabled) {
+      throw new WrapperAuthError('Authentication is not configured on this server');
+    }
+
+    const credential = this.credentialOf(req);
+    if (!credential) {
+      throw new WrapperAuthError('Authentication required: send an API key or token as "Authorization: Bearer <credential>"');
+    }
+
+    const key = this.keysByHash.get(sha256(credential));
+    if (key) {
+      return {
+        id: `key:${key.name}`,
+        rateLimit: key.rateLimit ?? rateLimit,
+        maxSessions: key.maxSessions ?? maxSessions
+      };
+    }
+
+    if (jwt && credential.split('.').length === 3) {
+      const payload = verifyJwt(credential, jwt);
+      return { id: `jwt:${payload.sub}`, rateLimit, maxSessions };
+    }
+
+    throw new WrapperAuthError('Invalid API key or token');
+  }
+}
+
+// Token bucket per client: `limit` requests per minute, bursting up to `limit`
+export class RateLimiter {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  // Seconds to wait before the next request is allowed, or 0 when it may proceed now
+  take(clientId, limit, now = Date.now()) {
+    if (!limit) {
+      return 0;
+    }
+    const perMs = limit / 60000;
+    const bucket = this.buckets.get(clientId) || { tokens: limit, updatedAt: now };
+    bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * perMs);
+    bucket.updatedAt = now;
+    this.buckets.set(clientId, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - bucket.tokens) / perMs / 1000);
+  }
+}
+
+// Allowlisted origins get CORS headers; "*" allows any origin. Preflights
+// from other origins are refused.
+export function corsMiddleware(origins) {
+  const allowAll = origins.includes('*');
+
+  return (req, res, next) => {
+    const origin = req.headers.origin;
+    const allowed = origin && (allowAll || origins.includes(origin));
+
+    if (allowed) {
+      res.setHeader('Access-Control-Allow-Origin', allowAll ? '*' : origin);
+      if (!allowAll) {
+        res.setHeader('Vary', 'Origin');
+      }
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID');
+      res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id, Retry-After');
+    }
+
+    if (req.method === 'OPTIONS') {
+      return res.status(allowed ? 204 : 403).end();
+    }
+    next();
+  };
+}
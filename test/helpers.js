@@ -0,0 +1,69 @@
+// Shared setup for the end-to-end tests: a mock Explorer on a free port and
+// MCP clients talking to the server over stdio or through the HTTP wrapper.
+
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { MOCK_TOKEN, startMockExplorer } from './mock-explorer.js';
+
+export const SERVER_PATH = fileURLToPath(new URL('../src/index.js', import.meta.url));
+
+// Poll quickly; every SQL tool takes poll_interval
+export const FAST = { poll_interval: 0.02, max_polls: 20 };
+
+// Mock Explorer plus scratch directories for exports, the catalog cache and
+// the audit log
+export async function startEnvironment(mockOptions = {}) {
+  const mock = await startMockExplorer(mockOptions);
+  const dir = await mkdtemp(path.join(tmpdir(), 'omics-ai-mcp-test-'));
+  const env = {
+    OMICS_NETWORKS: JSON.stringify({
+      networks: {
+        mock: { url: mock.url, description: 'Mock Explorer' },
+        'mock-auth': { url: mock.url, auth: { type: 'static', token: MOCK_TOKEN } }
+      }
+    }),
+    OMICS_EXPORT_DIR: path.join(dir, 'exports'),
+    OMICS_CATALOG_CACHE_DIR: path.join(dir, 'cache'),
+    OMICS_AUDIT_LOG: path.join(dir, 'audit', 'queries.jsonl'),
+    OMICS_COHORTS_FILE: path.join(dir, 'cohorts', 'cohorts.json'),
+    OMICS_CURSOR_SECRET: 'test-cursor-secret',
+    OMICS_HTTP_MAX_RETRIES: '2'
+  };
+  return {
+    mock,
+    dir,
+    env,
+    close: async () => {
+      await mock.close();
+      await rm(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+export async function connectStdio(env) {
+  const client = new Client({ name: 'omics-ai-mcp-tests', version: '1.0.0' });
+  await client.connect(new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: { PATH: process.env.PATH, ...env },
+    stderr: 'ignore'
+  }));
+  return client;
+}
+
+// Call a tool and return its result, failing on tool errors unless allowed
+export async function callTool(client, name, args = {}, { allowError = false, ...options } = {}) {
+  const result = await client.callTool({ name, arguments: args }, undefined, { timeout: 30000, ...options });
+  if (result.isError && !allowError) {
+    throw new Error(`${name} failed: ${result.content.map(c => c.text).join('\n')}`);
+  }
+  return result;
+}
+
+export function errorText(result) {
+  return result.content.map(c => c.text).join('\n');
+}
@@ -0,0 +1,77 @@
+// Where the request layer sends credentials, and what its retries leave behind
+
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'events';
+import { createServer } from 'http';
+import { createApiClient, httpClientOptions } from '../src/http-client.js';
+
+// A server that records the Authorization header of each request
+async function recordingServer() {
+  const seen = [];
+  const server = createServer((req, res) => {
+    seen.push(req.headers.authorization ?? null);
+    res.end('{}');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { seen, server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+let network;
+let elsewhere;
+
+before(async () => {
+  network = await recordingServer();
+  elsewhere = await recordingServer();
+});
+
+after(() => {
+  network.server.close();
+  elsewhere.server.close();
+});
+
+const options = { ...httpClientOptions(), maxRetries: 0 };
+
+test('the server credential is only sent to the network origin', async () => {
+  const auth = { token: async () => 'server-secret', invalidate() {}, refreshable: false };
+  const client = createApiClient({ baseURL: network.url, headers: {}, auth, options });
+
+  await client.get('/api/collections');
+  await client.get(`${network.url}/api/next`);
+  await client.get(`${elsewhere.url}/api/next`);
+
+  assert.deepEqual(network.seen, ['Bearer server-secret', 'Bearer server-secret']);
+  assert.deepEqual(elsewhere.seen, [null]);
+});
+
+test('a per-call token is not sent to another origin either', async () => {
+  elsewhere.seen.length = 0;
+  const client = createApiClient({ baseURL: network.url, headers: { Authorization: 'Bearer caller-token' }, options });
+
+  await client.get(`${elsewhere.url}/api/next`);
+  assert.deepEqual(elsewhere.seen, [null]);
+});
+
+test('retry waits remove their listener from the cancellation signal', async () => {
+  let failures = 3;
+  const flaky = createServer((req, res) => {
+    res.statusCode = failures-- > 0 ? 503 : 200;
+    res.end('{}');
+  });
+  await new Promise(resolve => flaky.listen(0, '127.0.0.1', resolve));
+  try {
+    const controller = new AbortController();
+    const client = createApiClient({
+      baseURL: `http://127.0.0.1:${flaky.address().port}`,
+      headers: {},
+      signal: controller.signal,
+      options: { ...options, maxRetries: 3, baseDelayMs: 1, maxDelayMs: 5 }
+    });
+
+    const response = await client.get('/api/collections');
+    assert.equal(response.status, 200);
+    assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+  } finally {
+    flaky.close();
+  }
+});
@@ -0,0 +1,257 @@
+// The tools through the HTTP wrapper, over Streamable HTTP and legacy SSE
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { wrapperAuthOptions } from '../src/wrapper-auth.js';
+import { FAST, callTool, startEnvironment } from './helpers.js';
+
+// Only warnings and errors from the in-process wrapper
+process.env.OMICS_LOG_LEVEL = 'warn';
+const { createHttpApp } = await import('../src/http-wrapper.js');
+
+const HEADERS = { Authorization: 'Bearer test-key' };
+const OTHER_HEADERS = { Authorization: 'Bearer other-key' };
+
+let environment;
+let app;
+let httpServer;
+let baseUrl;
+
+before(async () => {
+  environment = await startEnvironment();
+  // The wrapper reads its configuration from the environment
+  Object.assign(process.env, environment.env);
+  app = createHttpApp({
+    idleTimeoutMs: 0,
+    metricsToken: 'metrics-token',
+    auth: wrapperAuthOptions({
+      OMICS_API_KEYS: JSON.stringify({ keys: { tests: { key: 'test-key' }, other: { key: 'other-key' } } })
+    })
+  });
+  await new Promise(resolve => {
+    httpServer = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+});
+
+after(async () => {
+  await app?.locals.closeAllSessions();
+  httpServer?.closeAllConnections();
+  await new Promise(resolve => httpServer ? httpServer.close(resolve) : resolve());
+  await environment?.close();
+});
+
+async function connect(kind, headers = HEADERS) {
+  const client = new Client({ name: 'omics-ai-mcp-tests', version: '1.0.0' });
+  const options = { requestInit: { headers } };
+  const transport = kind === 'sse'
+    ? new SSEClientTransport(new URL('/sse', baseUrl), options)
+    : new StreamableHTTPClientTransport(new URL('/mcp', baseUrl), options);
+  await client.connect(transport);
+  return { client, transport };
+}
+
+// The same calls over either transport
+function describeTransport(kind) {
+  describe(kind, () => {
+    let client;
+    let transport;
+
+    before(async () => {
+      ({ client, transport } = await connect(kind));
+    });
+
+    after(async () => {
+      if (kind === 'streamable-http') {
+        await transport.terminateSession();
+      }
+      await client.close();
+    });
+
+    test('lists the tools', async () => {
+      const { tools } = await client.listTools();
+      assert.ok(tools.length >= 20);
+    });
+
+    test('discovery tools', async () => {
+      const collections = await callTool(client, 'list_collections', { network: 'mock' });
+      assert.equal(collections.structuredContent.collections.length, 4);
+
+      const tables = await callTool(client, 'list_tables', { network: 'mock', collection_slug: 'demo' });
+      assert.equal(tables.structuredContent.tables.length, 2);
+
+      const fields = await callTool(client, 'get_schema_fields', {
+        network: 'mock', collection_slug: 'demo', table_name: 'collections.demo.samples'
+      });
+      assert.deepEqual(fields.structuredContent.fields.map(f => f.name), ['sample_id', 'lineage', 'age', 'affected']);
+    });
+
+    test('filter and SQL queries', async () => {
+      const count = await callTool(client, 'count_rows', {
+        network: 'mock', collection_slug: 'demo', table_name: 'collections.demo.variants', filters: { chrom: 'chr1' }
+      });
+      assert.equal(count.structuredContent.count, 3);
+
+      const sql = await callTool(client, 'sql_search', {
+        network: 'mock', collection_slug: 'slow', sql: 'SELECT * FROM collections.slow.variants', max_rows: 100, ...FAST
+      });
+      assert.equal(sql.structuredContent.rows.length, 6);
+    });
+
+    test('query jobs belong to the client that started them', async () => {
+      const started = await callTool(client, 'start_query', {
+        network: 'mock', collection_slug: 'demo', sql: 'SELECT * FROM collections.demo.samples', poll_interval: 0.02
+      });
+      const { job_id } = started.structuredContent;
+      const status = await callTool(client, 'get_query_status', { job_id });
+      assert.equal(status.structuredContent.job_id, job_id);
+
+      // Another session with the same key sees the job, another key does not
+      const same = await connect(kind);
+      const other = await connect(kind, OTHER_HEADERS);
+      try {
+        assert.equal((await callTool(same.client, 'get_query_status', { job_id })).structuredContent.job_id, job_id);
+        const hidden = await callTool(other.client, 'get_query_status', { job_id }, { allowError: true });
+        assert.equal(hidden.isError, true);
+      } finally {
+        await same.client.close();
+        await other.client.close();
+      }
+    });
+  });
+}
+
+describeTransport('streamable-http');
+describeTransport('sse');
+
+describe('wrapper', () => {
+  test('health check', async () => {
+    const response = await fetch(new URL('/', baseUrl));
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).status, 'ok');
+  });
+
+  test('requests without an API key are rejected', async () => {
+    const response = await fetch(new URL('/mcp', baseUrl), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} })
+    });
+    assert.equal(response.status, 401);
+  });
+
+  test('request bodies are only parsed for authenticated clients, up to 1 MB', async () => {
+    const post = (headers, body) => fetch(new URL('/mcp', baseUrl), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+      body
+    });
+    const large = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { padding: 'x'.repeat(1024 * 1024) } });
+
+    assert.equal((await post({}, '{not json')).status, 401);
+    assert.equal((await post({}, large)).status, 401);
+    assert.equal((await post(HEADERS, '{not json')).status, 400);
+    const tooLarge = await post(HEADERS, large);
+    assert.equal(tooLarge.status, 413);
+    assert.match((await tooLarge.json()).error.message, /larger than 1mb/);
+  });
+
+  test('the wrapper refuses to start without authentication unless it is turned off', async () => {
+    assert.throws(() => createHttpApp({ idleTimeoutMs: 0, auth: wrapperAuthOptions({}) }), /OMICS_AUTH=off/);
+    assert.throws(() => wrapperAuthOptions({ OMICS_AUTH: 'no' }), /OMICS_AUTH must be 'off'/);
+
+    const open = createHttpApp({ idleTimeoutMs: 0, auth: wrapperAuthOptions({ OMICS_AUTH: 'off' }) });
+    const server = await new Promise(resolve => {
+      const listening = open.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/mcp`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list', params: {} })
+      });
+      // Past authentication: rejected only for lacking a session
+      assert.equal(response.status, 400);
+    } finally {
+      await open.locals.closeAllSessions();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('an unknown API key is rejected', async () => {
+    await assert.rejects(connect('streamable-http', { Authorization: 'Bearer wrong-key' }));
+  });
+
+  test('the request ID reaches the Explorer', async () => {
+    const { client } = await connect('streamable-http', { ...HEADERS, 'X-Request-Id': 'trace-1234' });
+    try {
+      await callTool(client, 'list_tables', { network: 'mock', collection_slug: 'samples-trace' }, { allowError: true });
+      const upstream = environment.mock.requests.filter(r => r.path === '/api/collections/samples-trace/tables');
+      assert.deepEqual(upstream.map(r => r.requestId), ['trace-1234']);
+    } finally {
+      await client.close();
+    }
+  });
+
+  test('responses carry a request ID', async () => {
+    const response = await fetch(new URL('/', baseUrl));
+    assert.match(response.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  test('a session\'s audit log can be exported by its client only', async () => {
+    const { client, transport } = await connect('streamable-http');
+    try {
+      await callTool(client, 'count_rows', { network: 'mock', collection_slug: 'demo', table_name: 'collections.demo.samples' });
+      const url = new URL(`/sessions/${transport.sessionId}/audit`, baseUrl);
+
+      const response = await fetch(url, { headers: HEADERS });
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /application\/x-ndjson/);
+      const entries = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+      assert.deepEqual(entries.map(e => [e.tool, e.client, e.count]), [['count_rows', 'key:tests', 4]]);
+
+      const other = await fetch(url, { headers: OTHER_HEADERS });
+      assert.equal(await other.text(), '');
+      assert.equal((await fetch(url)).status, 401);
+    } finally {
+      await transport.terminateSession();
+      await client.close();
+    }
+  });
+
+  test('cached results are not shared between clients', async () => {
+    const args = { network: 'mock', collection_slug: 'demo', table_name: 'collections.demo.variants', filters: { gene: 'TP53' } };
+    const first = await connect('streamable-http');
+    const other = await connect('streamable-http', OTHER_HEADERS);
+    try {
+      await callTool(first.client, 'count_rows', args);
+      assert.equal((await callTool(first.client, 'count_rows', args)).structuredContent.cache.hit, true);
+      assert.equal((await callTool(other.client, 'count_rows', args)).structuredContent.cache.hit, false);
+    } finally {
+      await first.client.close();
+      await other.client.close();
+    }
+  });
+
+  test('metrics need the metrics token', async () => {
+    const response = await fetch(new URL('/metrics', baseUrl));
+    assert.equal(response.status, 401);
+  });
+
+  test('metrics cover tools, upstream requests, polls and sessions', async () => {
+    const response = await fetch(new URL('/metrics', baseUrl), { headers: { Authorization: 'Bearer metrics-token' } });
+    assert.equal(response.status, 200);
+    const text = await response.text();
+    const host = new URL(environment.mock.url).host;
+
+    assert.match(text, /omics_mcp_tool_calls_total\{tool="list_collections",network="mock",outcome="ok"\} \d+/);
+    assert.match(text, /omics_mcp_tool_call_duration_seconds_bucket\{tool="sql_search",network="mock",le="\+Inf"\} \d+/);
+    assert.ok(text.includes(`omics_mcp_upstream_requests_total{host="${host}",method="GET",status="200"}`));
+    assert.ok(text.includes(`omics_mcp_query_polls_total{host="${host}"}`));
+    assert.match(text, /omics_mcp_active_sessions\{transport="streamable"\} \d+/);
+    assert.match(text, /omics_mcp_result_cache_lookups_total\{tool="count_rows",outcome="hit"\} \d+/);
+  });
+});
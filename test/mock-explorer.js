@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+
+// A small stand-in for an Omics AI Explorer network, for running the server
+// and its tests offline. It implements the endpoints the server uses:
+//
+//   GET  /api/collections
+//   GET  /api/collections/:collection/tables
+//   GET  /api/collection/:collection/data-connect/table/:table/info
+//   POST /api/collections/:collection/tables/:table/filter         (JSON lines)
+//   POST /api/collections/:collection/tables/:table/filter/count   (JSON lines)
+//   POST /api/collection/:collection/data-connect/search           (polled via next_page_url)
+//
+// Collections script the awkward cases: "demo" answers promptly, "slow" makes
+// clients poll (empty SQL pages, and a next_page_token to resubmit filters
+// with), "flaky" fails its first table listing with a 503 and "locked" wants
+// "Authorization: Bearer mock-token". SQL is not really executed: the table
+// after FROM is returned (WHERE is ignored, LIMIT is honoured), apart from
+// the statement shapes the server generates for EXPLAIN and profiling. SQL
+// mentioning "fail_me" fails with a query error.
+//
+// Run it on its own with `npm run mock` (port MOCK_EXPLORER_PORT, default 9900).
+
+import express from 'express';
+import { realpathSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+export const MOCK_TOKEN = 'mock-token';
+
+const VARIANT_PROPERTIES = {
+  chrom: { type: 'string', sqlType: 'varchar' },
+  pos: { type: 'integer', sqlType: 'bigint' },
+  ref: { type: 'string', sqlType: 'varchar' },
+  alt: { type: 'string', sqlType: 'varchar' },
+  gene: { type: ['string', 'null'], sqlType: 'varchar' },
+  af: { type: ['number', 'null'], sqlType: 'double' }
+};
+
+const VARIANTS = [
+  { chrom: 'chr1', pos: 100, ref: 'A', alt: 'G', gene: 'SOD1', af: 0.01 },
+  { chrom: 'chr1', pos: 250, ref: 'C', alt: 'T', gene: 'SOD1', af: 0.2 },
+  { chrom: 'chr1', pos: 300, ref: 'A', alt: 'AT', gene: 'SOD1', af: null },
+  { chrom: 'chr2', pos: 500, ref: 'G', alt: 'A', gene: 'MAPT', af: 0.05 },
+  { chrom: 'chr17', pos: 7674220, ref: 'C', alt: 'T', gene: 'TP53', af: 0.001 },
+  { chrom: 'chrX', pos: 1000, ref: 'T', alt: 'C', gene: null, af: 0.5 }
+];
+
+const SAMPLE_PROPERTIES = {
+  sample_id: { type: 'string', sqlType: 'varchar' },
+  lineage: { type: 'string', sqlType: 'varchar' },
+  age: { type: 'integer', sqlType: 'integer' },
+  affected: { type: 'boolean', sqlType: 'boolean' }
+};
+
+const SAMPLES = [
+  { sample_id: 'S1', lineage: 'B.1.1.7', age: 34, affected: true },
+  { sample_id: 'S2', lineage: 'B.1.351', age: 61, affected: false },
+  { sample_id: 'S3', lineage: 'B.1.1.7', age: 47, affected: true },
+  { sample_id: 'S4', lineage: 'P.1', age: 29, affected: false }
+];
+
+const COLLECTIONS = [
+  { name: 'Demo Genomes', slugName: 'demo', description: 'Synthetic variants and samples' },
+  { name: 'Slow Cohort', slugName: 'slow', description: 'Answers only after several polls' },
+  { name: 'Flaky Cohort', slugName: 'flaky', description: 'The first table listing fails with a 503' },
+  { name: 'Locked Cohort', slugName: 'locked', description: 'Requires a bearer token' }
+];
+
+// collection -> qualified table name -> table
+function buildTables() {
+  const tables = {};
+  for (const { slugName } of COLLECTIONS) {
+    tables[slugName] = {
+      [`collections.${slugName}.variants`]: { display_name: 'Variants', properties: VARIANT_PROPERTIES, rows: VARIANTS },
+      [`collections.${slugName}.samples`]: { display_name: 'Samples', properties: SAMPLE_PROPERTIES, rows: SAMPLES }
+    };
+  }
+  return tables;
+}
+
+// Filter payloads as built by toFilterPayload in src/filters.js
+function matchesFilter(row, filter) {
+  if (!filter || Object.keys(filter).length === 0) {
+    return true;
+  }
+  if (filter.operator) {
+    const results = filter.filters.map(f => matchesFilter(row, f));
+    return filter.operator === 'AND' ? results.every(Boolean) : results.some(Boolean);
+  }
+
+  const value = row[filter.field];
+  switch (filter.operation) {
+    case 'EQ': return value === filter.value;
+    case 'NEQ': return value !== filter.value;
+    case 'GT': return value !== null && value > filter.value;
+    case 'GTE': return value !== null && value >= filter.value;
+    case 'LT': return value !== null && value < filter.value;
+    case 'LTE': return value !== null && value <= filter.value;
+    case 'IN': return filter.value.includes(value);
+    case 'BETWEEN': return value !== null && value >= filter.value[0] && value <= filter.value[1];
+    case 'LIKE': {
+      const pattern = filter.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+      return typeof value === 'string' && new RegExp(`^${pattern}$`).test(value);
+    }
+    case 'IS_NULL': return (value === null || value === undefined) === filter.value;
+    default: throw new Error(`Unsupported filter operation ${filter.operation}`);
+  }
+}
+
+function jsonLines(res, ...objects) {
+  res.type('text/plain').send(objects.map(o => JSON.stringify(o)).join('\n') + '\n');
+}
+
+const unquote = name => name.replace(/"/g, '');
+
+function fromTable(sql) {
+  const match = /\bFROM\s+((?:"[^"]+"|\w+)(?:\.(?:"[^"]+"|\w+))*)/i.exec(sql);
+  return match ? unquote(match[1]) : null;
+}
+
+function column(sql, pattern) {
+  const match = pattern.exec(sql);
+  return match ? unquote(match[1]) : null;
+}
+
+// Answer the SQL statement shapes the server sends; see the header comment
+function runSql(sql, table) {
+  const rows = table.rows;
+
+  if (sql.startsWith('EXPLAIN (TYPE IO')) {
+    const where = /\bWHERE\b(.*)$/is.exec(sql)?.[1] || '';
+    const constrained = Object.keys(table.properties).filter(name => new RegExp(`"?\\b${name}\\b"?`).test(where));
+    return [{
+      'Query Plan': JSON.stringify({
+        inputTableColumnInfos: [{
+          table: { catalog: table.catalog, schemaTable: { schema: table.schema, table: table.name } },
+          constraint: {
+            none: false,
+            columnConstraints: constrained.map(name => ({
+              columnName: name,
+              type: table.properties[name].sqlType,
+              domain: { nullsAllowed: false, ranges: [{}] }
+            }))
+          },
+          estimate: { outputRowCount: rows.length }
+        }],
+        estimate: { outputRowCount: rows.length }
+      })
+    }];
+  }
+  if (sql.startsWith('EXPLAIN')) {
+    return [{
+      'Query Plan': `Fragment 0 [SINGLE]\n    Output[columnNames = [*]]\n    │   Estimates: {rows: ${rows.length} (1kB), cpu: ?, memory: 0B, network: 0B}\n` +
+        `    └─ TableScan[table = ${table.catalog}:${table.schema}:${table.name}]`
+    }];
+  }
+
+  // profile_column / profile_table summary
+  if (/\bAS total_rows\b/.test(sql)) {
+    const result = { total_rows: rows.length };
+    for (const match of sql.matchAll(/count\(("[^"]+")\) AS c(\d+)_non_null/g)) {
+      const [name, i] = [unquote(match[1]), match[2]];
+      const values = rows.map(r => r[name]).filter(v => v !== null && v !== undefined);
+      result[`c${i}_non_null`] = values.length;
+      result[`c${i}_distinct`] = new Set(values).size;
+      if (sql.includes(`AS c${i}_min`)) {
+        const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+        result[`c${i}_min`] = sorted[0] ?? null;
+        result[`c${i}_max`] = sorted[sorted.length - 1] ?? null;
+      }
+      if (sql.includes(`AS c${i}_mean`)) {
+        result[`c${i}_mean`] = values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+      }
+    }
+    return [result];
+  }
+
+  const counts = name => {
+    const map = new Map();
+    for (const row of rows) {
+      if (row[name] !== null && row[name] !== undefined) {
+        map.set(row[name], (map.get(row[name]) || 0) + 1);
+      }
+    }
+    return [...map].sort((a, b) => b[1] - a[1]);
+  };
+
+  const frequent = column(sql, /approx_most_frequent\(\d+, CAST\(("[^"]+")/);
+  if (frequent) {
+    return [{ top_values: Object.fromEntries(counts(frequent).map(([v, n]) => [String(v), n])) }];
+  }
+  const grouped = column(sql, /^SELECT ("[^"]+") AS value, count\(\*\) AS count/);
+  if (grouped) {
+    const limit = Number(/LIMIT (\d+)/.exec(sql)?.[1] || Infinity);
+    return counts(grouped).slice(0, limit).map(([value, count]) => ({ value, count }));
+  }
+  const histogram = column(sql, /numeric_histogram\(\d+, CAST\(("[^"]+")/);
+  if (histogram) {
+    return [{ histogram: Object.fromEntries(counts(histogram).map(([v, n]) => [String(Number(v)), n])) }];
+  }
+  const bucketed = /width_bucket\(CAST\(("[^"]+") AS DOUBLE\), ([-\d.e]+), ([-\d.e]+), (\d+)\)/.exec(sql);
+  if (bucketed) {
+    const [name, low, high, bins] = [unquote(bucketed[1]), Number(bucketed[2]), Number(bucketed[3]), Number(bucketed[4])];
+    const map = new Map();
+    for (const row of rows) {
+      if (row[name] !== null && row[name] !== undefined) {
+        const bucket = Math.min(bins, Math.floor((row[name] - low) / ((high - low) / bins)) + 1);
+        map.set(bucket, (map.get(bucket) || 0) + 1);
+      }
+    }
+    return [...map].sort((a, b) => a[0] - b[0]).map(([bucket, count]) => ({ bucket, count }));
+  }
+
+  if (/^SELECT count\(\*\)(?: AS (\w+))? FROM/i.test(sql)) {
+    return [{ [/AS (\w+)/i.exec(sql)?.[1] || '_col0']: rows.length }];
+  }
+
+  const limit = /\bLIMIT (\d+)\s*$/i.exec(sql);
+  return limit ? rows.slice(0, Number(limit[1])) : rows;
+}
+
+export function createMockExplorer({ pageSize = 2, slowPolls = 3, latencyMs = 0 } = {}) {
+  const app = express();
+  app.use(express.json());
+
+  const tables = buildTables();
+  const queries = new Map();
+  let nextQueryId = 1;
+  let flakyFailures = 1;
+
+  // Every request, for tests to inspect
+  const requests = [];
+  app.use((req, res, next) => {
+    requests.push({
+      method: req.method,
+      path: req.path,
+      body: req.body,
+      authorization: req.headers.authorization || null,
+      requestId: req.headers['x-request-id'] || null
+    });
+    setTimeout(next, latencyMs);
+  });
+
+  app.use(['/api/collections/locked', '/api/collection/locked'], (req, res, next) => {
+    if (req.headers.authorization !== `Bearer ${MOCK_TOKEN}`) {
+      return res.status(401).json({ errors: [{ title: 'Unauthorized', details: 'A valid bearer token is required' }] });
+    }
+    next();
+  });
+
+  const findTable = (req, res) => {
+    const table = tables[req.params.collection]?.[req.params.table];
+    if (!table) {
+      res.status(404).json({ errors: [{ title: 'Not Found', details: `Table '${req.params.table}' does not exist` }] });
+    }
+    return table;
+  };
+
+  app.get('/api/collections', (req, res) => res.json(COLLECTIONS));
+
+  app.get('/api/collections/:collection/tables', (req, res) => {
+    const collection = tables[req.params.collection];
+    if (!collection) {
+      return res.status(404).json({ errors: [{ title: 'Not Found', details: `Collection '${req.params.collection}' does not exist` }] });
+    }
+    if (req.params.collection === 'flaky' && flakyFailures > 0) {
+      flakyFailures--;
+      return res.status(503).set('Retry-After', '0').json({ errors: [{ title: 'Service Unavailable' }] });
+    }
+    res.json(Object.entries(collection).map(([name, table]) => ({
+      name: name.split('.').pop(),
+      qualified_table_name: name,
+      display_name: table.display_name,
+      size: table.rows.length
+    })));
+  });
+
+  app.get('/api/collection/:collection/data-connect/table/:table/info', (req, res) => {
+    const table = findTable(req, res);
+    if (table) {
+      res.json({ name: req.params.table, data_model: { properties: table.properties } });
+    }
+  });
+
+  app.post('/api/collections/:collection/tables/:table/filter', (req, res) => {
+    const table = findTable(req, res);
+    if (!table) {
+      return;
+    }
+    // The slow collection hands out a token to poll with first
+    if (req.params.collection === 'slow' && !req.body.next_page_token) {
+      return jsonLines(res, {}, { next_page_token: `mock-filter-${nextQueryId++}` });
+    }
+    const { limit = 100, offset = 0 } = req.body.pagination || {};
+    const matching = table.rows.filter(row => matchesFilter(row, req.body.filters));
+    jsonLines(res, {}, {
+      data: matching.slice(offset, offset + limit),
+      data_model: { properties: table.properties },
+      pagination: { offset, limit, total: matching.length }
+    });
+  });
+
+  app.post('/api/collections/:collection/tables/:table/filter/count', (req, res) => {
+    const table = findTable(req, res);
+    if (table) {
+      jsonLines(res, {}, { count: table.rows.filter(row => matchesFilter(row, req.body.filters)).length });
+    }
+  });
+
+  app.post('/api/collection/:collection/data-connect/search', (req, res) => {
+    const sql = String(req.body?.query || '');
+    const qualified = fromTable(sql);
+    const table = qualified && tables[req.params.collection]?.[qualified];
+
+    let result;
+    if (sql.includes('fail_me')) {
+      result = { error: "line 1:8: Column 'fail_me' cannot be resolved" };
+    } else if (!table) {
+      result = { error: `line 1:15: Table '${qualified}' does not exist` };
+    } else {
+      const [catalog, schema, name] = qualified.split('.');
+      result = { rows: runSql(sql, { ...table, catalog, schema, name }), properties: table.properties };
+    }
+
+    const id = String(nextQueryId++);
+    queries.set(id, { ...result, emptyPolls: req.params.collection === 'slow' ? slowPolls : 0 });
+    res.json({ data: [], pagination: { next_page_url: `/api/mock/queries/${id}/0` } });
+  });
+
+  app.get('/api/mock/queries/:id/:page', (req, res) => {
+    const query = queries.get(req.params.id);
+    const page = Number(req.params.page);
+    if (!query) {
+      return res.status(404).json({ errors: [{ title: 'Not Found', details: 'Unknown query' }] });
+    }
+    if (query.error) {
+      return res.json({ data: [], errors: [{ title: 'Query failed', details: query.error }] });
+    }
+    if (page < query.emptyPolls) {
+      return res.json({ data: [], pagination: { next_page_url: `/api/mock/queries/${req.params.id}/${page + 1}` } });
+    }
+
+    const start = (page - query.emptyPolls) * pageSize;
+    const data = query.rows.slice(start, start + pageSize);
+    const more = start + pageSize < query.rows.length;
+    res.json({
+      data,
+      data_model: data.length && Object.keys(data[0]).every(k => k in query.properties) ? { properties: query.properties } : undefined,
+      pagination: more ? { next_page_url: `/api/mock/queries/${req.params.id}/${page + 1}` } : {}
+    });
+  });
+
+  app.locals.requests = requests;
+  // Tests may change a table's properties to simulate a schema change
+  app.locals.tables = tables;
+  return app;
+}
+
+// Listen on `port` (0 for any free port); resolves to { url, requests, tables, close }
+export function startMockExplorer(options = {}, port = 0) {
+  const app = createMockExplorer(options);
+  return new Promise(resolve => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests: app.locals.requests,
+        tables: app.locals.tables,
+        close: () => new Promise(done => {
+          server.closeAllConnections?.();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const { url } = await startMockExplorer({}, Number(process.env.MOCK_EXPLORER_PORT || 9900));
+  console.log(`Mock Omics AI Explorer listening on ${url}`);
+}
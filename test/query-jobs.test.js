@@ -0,0 +1,29 @@
+// The background polling loop behind start_query
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'events';
+import { OmicsAIMCPServer } from '../src/index.js';
+import { QueryJob } from '../src/query-jobs.js';
+
+// Answers each poll with the next page, like a query still running
+function pagedClient(pages) {
+  return {
+    defaults: { baseURL: 'http://127.0.0.1' },
+    get: async () => ({ headers: { 'content-type': 'application/json' }, data: pages.shift() })
+  };
+}
+
+test('waits between polls remove their listener from the job signal', async () => {
+  const next = { next_page_url: 'http://127.0.0.1/api/next' };
+  const client = pagedClient([
+    { data: [], pagination: next },
+    { data: [], pagination: next },
+    { data: [{ n: 1 }], pagination: {} }
+  ]);
+  const job = new QueryJob({ network: 'mock', collection_slug: 'demo', sql: 'SELECT 1' });
+
+  await new OmicsAIMCPServer().runQueryJob(job, client, { data: [], pagination: next }, 0.001);
+  assert.deepEqual(job.rows, [{ n: 1 }]);
+  assert.equal(getEventListeners(job.signal, 'abort').length, 0);
+});
@@ -0,0 +1,77 @@
+// Text previews of result rows
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatOptions, formatRows, reserveChars, structuredRows } from '../src/result-format.js';
+
+const rows = Array.from({ length: 12 }, (_, i) => ({
+  id: i,
+  note: `a|b\nline ${i}`,
+  tags: ['x', 'y', 'z', 'w', 'v', 'u', 't'],
+  info: { depth: { deeper: { deepest: 1 } }, n: i }
+}));
+const names = ['id', 'note', 'tags', 'info'];
+
+test('rows become a markdown table with escaped cells and compact nested values', () => {
+  const { text, shownRows } = formatRows(rows, names, formatOptions({ preview_rows: 2 }));
+  const lines = text.split('\n');
+  assert.equal(shownRows, 2);
+  assert.equal(lines[0], '| id | note | tags | info |');
+  assert.equal(lines[2], '| 0 | a\\|b line 0 | ["x", "y", "z", "w", "v", …+2 more] | {depth: {deeper: {…1 key}}, n: 0} |');
+  assert.match(text, /Not shown: 10 of 12 rows .*; parts of 4 long or nested values/);
+});
+
+test('long values are cut and rows dropped to fit the budget', () => {
+  const long = rows.map(r => ({ ...r, note: 'n'.repeat(5000) }));
+  const { text, shownRows } = formatRows(long, names, formatOptions({ preview_rows: 10, max_tokens: 250 }));
+  assert.ok(text.length < 1200, `${text.length} characters`);
+  assert.ok(shownRows >= 1 && shownRows < 10);
+  assert.match(text, /n…\[\+\d[\d,]* chars\]/);
+  assert.match(text, new RegExp(`Not shown: ${12 - shownRows} of 12 rows`));
+});
+
+test('wide rows are transposed', () => {
+  const wide = [Object.fromEntries(Array.from({ length: 12 }, (_, i) => [`col${i}`, i]))];
+  const { text } = formatRows(wide, Object.keys(wide[0]), formatOptions({}));
+  assert.ok(text.startsWith('| column | row 1 |\n| --- | --- |\n| col0 | 0 |\n| col1 | 1 |'));
+  assert.ok(!text.includes('Not shown'));
+});
+
+test('columns selects what is shown and reports the rest', () => {
+  const { text } = formatRows(rows, names, formatOptions({ columns: ['id'], preview_rows: 1 }));
+  assert.equal(text.split('\n').slice(0, 3).join('\n'), '| id |\n| --- |\n| 0 |');
+  assert.match(text, /3 of 4 columns/);
+  assert.throws(() => formatRows(rows, names, formatOptions({ columns: ['nte'] })), /Unknown column 'nte' \(did you mean 'note'\?\)/);
+});
+
+test('options are validated', () => {
+  assert.throws(() => formatOptions({ preview_rows: 101 }), /preview_rows/);
+  assert.throws(() => formatOptions({ max_chars: 0 }), /max_chars/);
+  assert.throws(() => formatOptions({ max_chars: 399 }), /max_chars must be at least 400/);
+  assert.throws(() => formatOptions({ columns: [] }), /columns/);
+  assert.equal(formatOptions({ max_chars: 9000, max_tokens: 1000 }).maxChars, 4000);
+});
+
+test('text around the preview counts against the budget', () => {
+  const options = reserveChars(formatOptions({ max_chars: 500 }), 'x'.repeat(300));
+  const { text, shownRows } = formatRows(rows, names, options);
+  assert.equal(shownRows, 0);
+  assert.match(text, /Not shown: all 12 rows \(the rest of the result uses up max_chars\)/);
+});
+
+test('structured rows keep the selected columns and fit an explicit budget', () => {
+  const columns = names.map(name => ({ name, type: '', sql_type: '' }));
+  const all = structuredRows(rows, columns, formatOptions({}));
+  assert.equal(all.rows.length, 12);
+  assert.equal(all.omitted, 0);
+
+  const picked = structuredRows(rows, columns, formatOptions({ columns: ['id', 'note'] }));
+  assert.deepEqual(picked.columns.map(c => c.name), ['id', 'note']);
+  assert.deepEqual(picked.rows[0], { id: 0, note: 'a|b\nline 0' });
+
+  const bounded = structuredRows(rows, columns, formatOptions({ max_chars: 600 }));
+  assert.ok(bounded.rows.length > 0 && bounded.rows.length < 12);
+  assert.equal(bounded.omitted, 12 - bounded.rows.length);
+  assert.ok(JSON.stringify(bounded.columns).length + JSON.stringify(bounded.rows).length <= 600);
+  assert.throws(() => structuredRows(rows, columns, formatOptions({ columns: ['nte'] })), /Unknown column 'nte'/);
+});
@@ -0,0 +1,737 @@
+// Every tool, driven over stdio against the mock Explorer
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { encodeCursor } from '../src/cursors.js';
+import { FAST, callTool, connectStdio, errorText, startEnvironment } from './helpers.js';
+
+const DEMO = { network: 'mock', collection_slug: 'demo' };
+const VARIANTS = { ...DEMO, table_name: 'collections.demo.variants' };
+const SAMPLES = { ...DEMO, table_name: 'collections.demo.samples' };
+
+let environment;
+let client;
+
+before(async () => {
+  environment = await startEnvironment();
+  client = await connectStdio(environment.env);
+});
+
+after(async () => {
+  await client?.close();
+  await environment?.close();
+});
+
+const waitFor = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('lists every tool with an output schema', async () => {
+  const { tools } = await client.listTools();
+  const names = tools.map(t => t.name);
+  for (const name of [
+    'list_networks', 'list_collections', 'list_tables', 'get_schema_fields', 'query_table', 'count_rows',
+    'sql_search', 'explain_sql', 'fetch_next_page', 'export_query_results', 'lookup_variants',
+    'profile_column', 'profile_table', 'federated_query', 'refresh_catalog', 'search_catalog',
+    'start_query', 'get_query_status', 'get_query_results', 'cancel_query', 'get_query_history',
+    'save_cohort', 'list_cohorts', 'get_cohort', 'delete_cohort'
+  ]) {
+    assert.ok(names.includes(name), `${name} is listed`);
+  }
+  assert.ok(tools.every(t => t.outputSchema), 'every tool declares an output schema');
+});
+
+describe('discovery', () => {
+  test('list_networks includes configured networks', async () => {
+    const { structuredContent } = await callTool(client, 'list_networks', { check_reachability: false });
+    const mock = structuredContent.networks.find(n => n.name === 'mock');
+    assert.equal(mock.url, environment.mock.url);
+    assert.equal(structuredContent.networks.find(n => n.name === 'mock-auth').token_configured, true);
+  });
+
+  test('list_collections', async () => {
+    const { structuredContent } = await callTool(client, 'list_collections', { network: 'mock' });
+    assert.deepEqual(structuredContent.collections.map(c => c.slug), ['demo', 'slow', 'flaky', 'locked']);
+  });
+
+  test('list_tables', async () => {
+    const { structuredContent } = await callTool(client, 'list_tables', DEMO);
+    assert.deepEqual(structuredContent.tables, [
+      { name: 'collections.demo.variants', display_name: 'Variants', size: 6 },
+      { name: 'collections.demo.samples', display_name: 'Samples', size: 4 }
+    ]);
+  });
+
+  test('list_tables retries a 503', async () => {
+    const { structuredContent } = await callTool(client, 'list_tables', { network: 'mock', collection_slug: 'flaky' });
+    assert.equal(structuredContent.tables.length, 2);
+    const listings = environment.mock.requests.filter(r => r.path === '/api/collections/flaky/tables');
+    assert.equal(listings.length, 2);
+  });
+
+  test('get_schema_fields', async () => {
+    const { structuredContent } = await callTool(client, 'get_schema_fields', VARIANTS);
+    assert.deepEqual(structuredContent.fields.find(f => f.name === 'af'), { name: 'af', type: 'number, null', sql_type: 'double' });
+  });
+
+  test('each call sends its own request ID upstream', async () => {
+    const counts = () => environment.mock.requests.filter(r => r.path.endsWith('/filter/count'));
+    const before = counts().length;
+    await callTool(client, 'count_rows', { ...SAMPLES, bypass_cache: true });
+    await callTool(client, 'count_rows', { ...SAMPLES, bypass_cache: true });
+    const ids = counts().slice(before).map(r => r.requestId);
+    assert.equal(ids.length, 2);
+    assert.ok(ids.every(id => /^[0-9a-f-]{36}$/.test(id)));
+    assert.notEqual(ids[0], ids[1]);
+  });
+
+  test('an unknown network is reported', async () => {
+    const result = await callTool(client, 'list_collections', { network: 'nowhere' }, { allowError: true });
+    assert.equal(result.isError, true);
+  });
+});
+
+describe('credentials', () => {
+  test('a locked collection fails without a token', async () => {
+    const result = await callTool(client, 'list_tables', { network: 'mock', collection_slug: 'locked' }, { allowError: true });
+    assert.equal(result.isError, true);
+    assert.match(errorText(result), /HTTP 401/);
+  });
+
+  test('configured credentials are sent', async () => {
+    const { structuredContent } = await callTool(client, 'list_tables', { network: 'mock-auth', collection_slug: 'locked' });
+    assert.equal(structuredContent.tables.length, 2);
+  });
+
+  test('an access_token argument is sent', async () => {
+    const { structuredContent } = await callTool(client, 'count_rows', {
+      network: 'mock', collection_slug: 'locked', table_name: 'collections.locked.samples', access_token: 'mock-token'
+    });
+    assert.equal(structuredContent.count, 4);
+  });
+});
+
+describe('filter queries', () => {
+  test('query_table applies filters', async () => {
+    const { structuredContent } = await callTool(client, 'query_table', {
+      ...VARIANTS,
+      filters: { and: [{ field: 'chrom', op: 'eq', value: 'chr1' }, { field: 'pos', op: 'between', value: [200, 400] }] }
+    });
+    assert.deepEqual(structuredContent.rows.map(r => r.pos), [250, 300]);
+    assert.equal(structuredContent.pagination.total, 2);
+  });
+
+  test('query_table previews rows as a table within max_chars', async () => {
+    const result = await callTool(client, 'query_table', { ...SAMPLES, preview_rows: 0 });
+    assert.match(result.content[0].text, /Not shown: 4 of 4 rows/);
+
+    const table = await callTool(client, 'query_table', { ...SAMPLES, max_chars: 500 });
+    assert.match(table.content[0].text, /\| sample_id \| lineage \| age \| affected \|/);
+    assert.ok(table.content[0].text.length <= 700);
+  });
+
+  test('query_table pages with limit and offset', async () => {
+    const { structuredContent } = await callTool(client, 'query_table', { ...SAMPLES, limit: 2, offset: 2 });
+    assert.deepEqual(structuredContent.rows.map(r => r.sample_id), ['S3', 'S4']);
+  });
+
+  test('query_table resubmits with the page token until results arrive', async () => {
+    const { structuredContent } = await callTool(client, 'query_table', {
+      network: 'mock', collection_slug: 'slow', table_name: 'collections.slow.samples', filters: { lineage: 'B.1.1.7' }
+    });
+    assert.deepEqual(structuredContent.rows.map(r => r.sample_id), ['S1', 'S3']);
+  });
+
+  test('query_table rejects unknown fields', async () => {
+    const result = await callTool(client, 'query_table', { ...VARIANTS, filters: { chromosome: 'chr1' } }, { allowError: true });
+    assert.equal(result.isError, true);
+    assert.match(errorText(result), /chrom/);
+  });
+
+  test('count_rows', async () => {
+    const { structuredContent } = await callTool(client, 'count_rows', {
+      ...VARIANTS, filters: { or: [{ field: 'gene', op: 'is_null', value: true }, { field: 'af', op: 'gte', value: 0.2 }] }
+    });
+    assert.equal(structuredContent.count, 2);
+  });
+});
+
+describe('SQL', () => {
+  test('sql_search returns the first page by default', async () => {
+    const { structuredContent } = await callTool(client, 'sql_search', { ...DEMO, sql: 'SELECT * FROM collections.demo.variants', ...FAST });
+    assert.equal(structuredContent.rows.length, 2);
+    assert.equal(structuredContent.pagination.has_more, true);
+    assert.ok(structuredContent.cursor);
+  });
+
+  test('sql_search follows pages up to max_rows', async () => {
+    const { structuredContent } = await callTool(client, 'sql_search', {
+      ...DEMO, sql: 'SELECT * FROM collections.demo.variants', max_rows: 100, ...FAST
+    });
+    assert.equal(structuredContent.rows.length, 6);
+    assert.equal(structuredContent.pagination.has_more, false);
+    assert.equal(structuredContent.columns.find(c => c.name === 'pos').sql_type, 'bigint');
+  });
+
+  test('sql_search previews the chosen columns and rows', async () => {
+    const result = await callTool(client, 'sql_search', {
+      ...DEMO, sql: 'SELECT * FROM collections.demo.variants', max_rows: 100, columns: ['gene', 'af'], preview_rows: 3, ...FAST
+    });
+    const text = result.content[0].text;
+    assert.match(text, /\| gene \| af \|\n\| --- \| --- \|\n\| SOD1 \| 0\.01 \|/);
+    assert.match(text, /Not shown: 3 of 6 rows .*; 4 of 6 columns/);
+    assert.match(text, /Every row is in the structured result/);
+    assert.equal(result.structuredContent.rows.length, 6);
+    assert.deepEqual(result.structuredContent.rows[0], { gene: 'SOD1', af: 0.01 });
+    assert.deepEqual(result.structuredContent.columns.map(c => c.name), ['gene', 'af']);
+
+    // max_chars bounds the structured rows and every appended note too
+    const bounded = await callTool(client, 'sql_search', {
+      ...DEMO, sql: 'SELECT * FROM collections.demo.variants', max_rows: 100, max_chars: 400, ...FAST
+    });
+    assert.ok(bounded.structuredContent.rows.length < 6);
+    assert.equal(bounded.structuredContent.rows_omitted, 6 - bounded.structuredContent.rows.length);
+    assert.ok(JSON.stringify(bounded.structuredContent.rows).length <= 400);
+    assert.match(bounded.content[0].text, /Only the first \d rows? fit in the structured result/);
+    assert.ok(bounded.content[0].text.length <= 400 + 200, `${bounded.content[0].text.length} characters`);
+
+    const small = await callTool(client, 'sql_search', {
+      ...DEMO, sql: 'SELECT * FROM collections.demo.variants', max_tokens: 50, ...FAST
+    }, { allowError: true });
+    assert.match(errorText(small), /max_chars must be at least 400 \(max_tokens at least 100\)/);
+
+    const unknown = await callTool(client, 'sql_search', {
+      ...DEMO, sql: 'SELECT * FROM collections.demo.variants', columns: ['gen'], ...FAST
+    }, { allowError: true });
+    assert.match(errorText(unknown), /Unknown column 'gen' \(did you mean 'gene'/);
+  });
+
+  test('sql_search waits through empty polls', async () => {
+    const { structuredContent } = await callTool(client, 'sql_search', {
+      network: 'mock', collection_slug: 'slow', sql: 'SELECT * FROM collections.slow.samples', max_rows: 100, ...FAST
+    });
+    assert.equal(structuredContent.rows.length, 4);
+  });
+
+  test('sql_search stops at max_rows and fetch_next_page continues', async () => {
+    const first = await callTool(client, 'sql_search', { ...DEMO, sql: 'SELECT * FROM collections.demo.variants', max_rows: 2, ...FAST });
+    assert.equal(first.structuredContent.rows.length, 2);
+    assert.ok(first.structuredContent.cursor);
+
+    const second = await callTool(client, 'fetch_next_page', { cursor: first.structuredContent.cursor, max_rows: 10, ...FAST });
+    assert.deepEqual(second.structuredContent.rows.map(r => r.pos), [300, 500, 7674220, 1000]);
+    assert.equal(second.structuredContent.cursor, null);
+  });
+
+  test('fetch_next_page only accepts cursors this server signed for the network', async () => {
+    const first = await callTool(client, 'sql_search', { ...DEMO, sql: 'SELECT * FROM collections.demo.variants', ...FAST });
+    const [payload, signature] = first.structuredContent.cursor.split('.');
+    const state = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const forged = Buffer.from(JSON.stringify({ ...state, network: 'mock-auth', next_page_url: 'http://127.0.0.1:9/steal' })).toString('base64url');
+
+    const tampered = await callTool(client, 'fetch_next_page', { cursor: `${forged}.${signature}`, ...FAST }, { allowError: true });
+    assert.match(errorText(tampered), /Invalid cursor/);
+
+    // Signed with the server's secret, but naming another host
+    process.env.OMICS_CURSOR_SECRET = environment.env.OMICS_CURSOR_SECRET;
+    const offsite = encodeCursor({ ...state, network: 'mock-auth', next_page_url: 'http://127.0.0.1:9/steal' });
+    const result = await callTool(client, 'fetch_next_page', { cursor: offsite, ...FAST }, { allowError: true });
+    assert.match(errorText(result), /next page is not on mock-auth/);
+  });
+
+  test('sql_search reports query errors', async () => {
+    const result = await callTool(client, 'sql_search', {
+      ...DEMO, sql: 'SELECT fail_me FROM collections.demo.variants', ...FAST
+    }, { allowError: true });
+    assert.equal(result.isError, true);
+    assert.match(errorText(result), /fail_me/);
+  });
+
+  test('sql_search refuses statements other than queries', async () => {
+    const result = await callTool(client, 'sql_search', { ...DEMO, sql: 'DROP TABLE collections.demo.variants', ...FAST }, { allowError: true });
+    assert.equal(result.isError, true);
+    assert.ok(!environment.mock.requests.some(r => r.body?.query?.startsWith('DROP')));
+  });
+
+  test('sql_search refuses EXPLAIN ANALYZE, which runs the query uncapped', async () => {
+    for (const sql of ['EXPLAIN ANALYZE SELECT * FROM collections.demo.variants', 'explain analyze verbose select * from collections.demo.variants']) {
+      const result = await callTool(client, 'sql_search', { ...DEMO, sql, ...FAST }, { allowError: true });
+      assert.match(errorText(result), /EXPLAIN ANALYZE is not allowed/);
+    }
+    assert.ok(!environment.mock.requests.some(r => /^EXPLAIN ANALYZE/i.test(r.body?.query || '')));
+  });
+
+  test('explain_sql reports constraints and full scans', async () => {
+    const filtered = await callTool(client, 'explain_sql', { ...DEMO, sql: "SELECT * FROM collections.demo.variants WHERE chrom = 'chr1'", ...FAST });
+    const [table] = filtered.structuredContent.tables;
+    assert.equal(table.table, 'collections.demo.variants');
+    assert.deepEqual(table.constraints.map(c => c.column), ['chrom']);
+    assert.equal(table.full_scan, false);
+
+    const unfiltered = await callTool(client, 'explain_sql', {
+      ...DEMO, sql: 'SELECT * FROM collections.demo.variants', large_table_rows: 5, ...FAST
+    });
+    assert.equal(unfiltered.structuredContent.tables[0].large_full_scan, true);
+    assert.equal(unfiltered.structuredContent.warnings.length, 1);
+  });
+
+  test('lookup_variants builds a variant query', async () => {
+    const { structuredContent } = await callTool(client, 'lookup_variants', {
+      ...VARIANTS, query: ['chr1-100-A-G', 'chr17:7674220'], ...FAST
+    });
+    assert.match(structuredContent.sql, /"pos" = 100/);
+    assert.match(structuredContent.sql, /"pos" BETWEEN 7674220 AND 7674220/);
+    assert.ok(structuredContent.rows.length > 0);
+  });
+});
+
+describe('exports', () => {
+  test('export_query_results writes CSV from SQL', async () => {
+    const { structuredContent } = await callTool(client, 'export_query_results', {
+      ...DEMO, sql: 'SELECT * FROM collections.demo.variants', format: 'csv', ...FAST
+    });
+    assert.equal(structuredContent.rows, 6);
+    const lines = (await readFile(structuredContent.path, 'utf8')).trim().split('\n');
+    assert.equal(lines[0], 'chrom,pos,ref,alt,gene,af');
+    assert.equal(lines.length, 7);
+  });
+
+  test('export_query_results writes NDJSON from a filtered table', async () => {
+    const { structuredContent } = await callTool(client, 'export_query_results', {
+      ...SAMPLES, filters: { affected: true }, format: 'ndjson'
+    });
+    const rows = (await readFile(structuredContent.path, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(rows.map(r => r.sample_id), ['S1', 'S3']);
+  });
+
+  test('export_query_results is not held to the row cap and never overwrites a file', async () => {
+    const args = { ...DEMO, sql: 'SELECT * FROM collections.demo.variants', format: 'csv', path: 'variants.csv', ...FAST };
+    const first = await callTool(client, 'export_query_results', args);
+    assert.equal(first.structuredContent.rows, 6);
+    const searches = environment.mock.requests.filter(r => r.path.endsWith('/data-connect/search'));
+    assert.equal(searches.at(-1).body.query, 'SELECT * FROM collections.demo.variants');
+    const written = await readFile(first.structuredContent.path, 'utf8');
+
+    const again = await callTool(client, 'export_query_results', { ...args, max_rows: 1 }, { allowError: true });
+    assert.match(errorText(again), /variants\.csv already exists in the export directory/);
+    assert.equal(await readFile(first.structuredContent.path, 'utf8'), written);
+  });
+
+  test('export_query_results stays inside the export directory', async () => {
+    const result = await callTool(client, 'export_query_results', {
+      ...SAMPLES, format: 'csv', path: '../outside.csv'
+    }, { allowError: true });
+    assert.equal(result.isError, true);
+  });
+});
+
+describe('profiling', () => {
+  test('profile_column on a numeric column', async () => {
+    const { structuredContent } = await callTool(client, 'profile_column', { ...SAMPLES, column: 'age', bins: 4, ...FAST });
+    assert.equal(structuredContent.total_rows, 4);
+    assert.equal(structuredContent.column.min, 29);
+    assert.equal(structuredContent.column.max, 61);
+    assert.equal(structuredContent.column.mean, 42.75);
+    assert.equal(structuredContent.histogram.length, 4);
+    assert.equal(structuredContent.histogram.reduce((sum, b) => sum + b.count, 0), 4);
+  });
+
+  test('profile_column with approximate functions', async () => {
+    const { structuredContent } = await callTool(client, 'profile_column', { ...VARIANTS, column: 'gene', approximate: true, ...FAST });
+    assert.equal(structuredContent.column.null_count, 1);
+    assert.deepEqual(structuredContent.top_values[0], { value: 'SOD1', count: 3 });
+    assert.ok(structuredContent.sql.some(sql => sql.includes('approx_most_frequent')));
+  });
+
+  test('profile_column reads top values spanning several result pages', async () => {
+    // The mock pages SQL results two rows at a time
+    const { structuredContent } = await callTool(client, 'profile_column', { ...VARIANTS, column: 'gene', ...FAST });
+    assert.deepEqual(structuredContent.top_values.map(v => v.value), ['SOD1', 'MAPT', 'TP53']);
+  });
+
+  test('profile_column suggests close column names', async () => {
+    const result = await callTool(client, 'profile_column', { ...SAMPLES, column: 'lineag', ...FAST }, { allowError: true });
+    assert.equal(result.isError, true);
+    assert.match(errorText(result), /lineage/);
+  });
+
+  test('profile_table', async () => {
+    const { structuredContent } = await callTool(client, 'profile_table', { ...SAMPLES, ...FAST });
+    const lineage = structuredContent.columns.find(c => c.name === 'lineage');
+    assert.equal(lineage.distinct_count, 3);
+    assert.equal(structuredContent.columns.length, 4);
+  });
+});
+
+describe('federation and catalog', () => {
+  test('federated_query unions targets', async () => {
+    const { structuredContent } = await callTool(client, 'federated_query', {
+      targets: [
+        { network: 'mock', collection_slug: 'demo', table_name: 'collections.demo.samples', label: 'demo' },
+        { network: 'mock', collection_slug: 'slow', table_name: 'collections.slow.samples', label: 'slow' },
+        { network: 'mock', collection_slug: 'locked', table_name: 'collections.locked.samples', label: 'locked' }
+      ],
+      sql: 'SELECT * FROM {table}',
+      ...FAST
+    });
+    const status = Object.fromEntries(structuredContent.targets.map(t => [t.source, t.status]));
+    assert.deepEqual(status, { demo: 'ok', slow: 'ok', locked: 'error' });
+    assert.equal(structuredContent.rows.length, 8);
+  });
+
+  test('federated_query aggregate counts every row, not just max_rows_per_target', async () => {
+    const { structuredContent, content } = await callTool(client, 'federated_query', {
+      targets: [{ ...VARIANTS, label: 'variants' }, { ...SAMPLES, label: 'samples' }],
+      sql: 'SELECT * FROM {table}',
+      mode: 'aggregate',
+      max_rows_per_target: 2,
+      ...FAST
+    });
+    assert.deepEqual(structuredContent.targets.map(t => [t.source, t.total]), [['variants', 6], ['samples', 4]]);
+    assert.match(structuredContent.targets[0].sql, /^SELECT count\(\*\) AS row_count FROM \(\nSELECT \* FROM "collections"\."demo"\."variants"\n\) AS counted/);
+    assert.deepEqual(structuredContent.rows, []);
+    assert.match(content[0].text, /\*\*variants\*\*: 6 rows/);
+  });
+
+  test('search_catalog finds fields and refresh_catalog clears the cache', async () => {
+    const search = await callTool(client, 'search_catalog', { query: 'lineage', networks: ['mock'], kinds: ['field'] });
+    assert.ok(search.structuredContent.hits.length > 0);
+    assert.ok(search.structuredContent.hits.every(h => h.field === 'lineage'));
+
+    const fuzzy = await callTool(client, 'search_catalog', { query: 'lineaje', networks: ['mock'], rebuild: 'none' });
+    assert.equal(fuzzy.structuredContent.hits[0].field, 'lineage');
+
+    const refresh = await callTool(client, 'refresh_catalog', { network: 'mock' });
+    assert.ok(refresh.structuredContent.removed > 0);
+    assert.ok(refresh.structuredContent.stale_indexes > 0);
+  });
+
+  test('a schema change shows up in search_catalog after refresh_catalog', async () => {
+    const samples = environment.mock.tables.demo['collections.demo.samples'];
+    const properties = samples.properties;
+    try {
+      await callTool(client, 'search_catalog', { query: 'lineage', networks: ['mock'] });
+      samples.properties = { ...properties, clade: { type: 'string', sqlType: 'varchar' } };
+
+      // The index and the cached schema are both still fresh
+      const before = await callTool(client, 'search_catalog', { query: 'clade', networks: ['mock'], kinds: ['field'] });
+      assert.equal(before.structuredContent.total_hits, 0);
+
+      await callTool(client, 'refresh_catalog', { network: 'mock', collection_slug: 'demo', table_name: 'collections.demo.samples' });
+      const after = await callTool(client, 'search_catalog', { query: 'clade', networks: ['mock'], kinds: ['field'] });
+      assert.deepEqual(after.structuredContent.hits.map(h => [h.collection, h.table, h.field]), [['demo', 'collections.demo.samples', 'clade']]);
+    } finally {
+      samples.properties = properties;
+      await callTool(client, 'refresh_catalog', { network: 'mock' });
+    }
+  });
+});
+
+describe('resources', () => {
+  test('templates are listed and resources read', async () => {
+    const { resourceTemplates } = await client.listResourceTemplates();
+    assert.ok(resourceTemplates.some(t => t.uriTemplate === 'omics://{network}/collections'));
+
+    const { contents } = await client.readResource({ uri: 'omics://mock/demo/tables' });
+    const tables = JSON.parse(contents[0].text);
+    assert.ok(JSON.stringify(tables).includes('collections.demo.samples'));
+  });
+});
+
+describe('progress and cancellation', () => {
+  test('polling reports progress', async () => {
+    const progress = [];
+    await callTool(client, 'sql_search', {
+      network: 'mock', collection_slug: 'slow', sql: 'SELECT * FROM collections.slow.variants', ...FAST
+    }, { onprogress: p => progress.push(p) });
+    assert.ok(progress.length > 0);
+    assert.match(progress[0].message, /Waiting for SQL results/);
+  });
+
+  test('cancelling a call stops polling the Explorer', async () => {
+    const controller = new AbortController();
+    const polls = () => environment.mock.requests.filter(r => r.path.startsWith('/api/mock/queries/')).length;
+
+    const call = callTool(client, 'sql_search', {
+      network: 'mock', collection_slug: 'slow', sql: 'SELECT * FROM collections.slow.samples', poll_interval: 0.2, max_polls: 50
+    }, { signal: controller.signal });
+    await waitFor(300);
+    controller.abort();
+    await assert.rejects(call);
+
+    await waitFor(100);
+    const before = polls();
+    await waitFor(500);
+    assert.equal(polls(), before);
+  });
+});
+
+describe('query jobs', () => {
+  async function waitForJob(job_id) {
+    for (let i = 0; i < 100; i++) {
+      const { structuredContent } = await callTool(client, 'get_query_status', { job_id });
+      if (structuredContent.state !== 'running') {
+        return structuredContent;
+      }
+      await waitFor(50);
+    }
+    throw new Error(`Job ${job_id} did not finish`);
+  }
+
+  test('start_query runs in the background', async () => {
+    const started = await callTool(client, 'start_query', {
+      network: 'mock', collection_slug: 'slow', sql: 'SELECT * FROM collections.slow.variants', poll_interval: 0.02
+    });
+    const status = await waitForJob(started.structuredContent.job_id);
+    assert.equal(status.state, 'succeeded');
+
+    const results = await callTool(client, 'get_query_results', { job_id: started.structuredContent.job_id, offset: 4, limit: 10 });
+    assert.deepEqual(results.structuredContent.rows.map(r => r.pos), [7674220, 1000]);
+  });
+
+  test('cancel_query stops a running job', async () => {
+    const started = await callTool(client, 'start_query', {
+      network: 'mock', collection_slug: 'slow', sql: 'SELECT * FROM collections.slow.samples', poll_interval: 5
+    });
+    const cancelled = await callTool(client, 'cancel_query', { job_id: started.structuredContent.job_id });
+    assert.equal(cancelled.structuredContent.state, 'cancelled');
+  });
+
+  test('an unknown job is reported', async () => {
+    const result = await callTool(client, 'get_query_status', { job_id: 'no-such-job' }, { allowError: true });
+    assert.equal(result.isError, true);
+  });
+});
+
+describe('result cache', () => {
+  const sqlRequests = () => environment.mock.requests.filter(r => r.path.endsWith('/data-connect/search')).length;
+  const countRequests = () => environment.mock.requests.filter(r => r.path.endsWith('/filter/count')).length;
+
+  test('a repeated sql_search is answered from the cache', async () => {
+    const sql = 'SELECT sample_id FROM collections.demo.samples WHERE age > 40';
+    const first = await callTool(client, 'sql_search', { ...DEMO, sql, ...FAST });
+    assert.deepEqual(first.structuredContent.cache, { hit: false, age_seconds: null });
+
+    const before = sqlRequests();
+    // Whitespace, comments and keyword case don't matter
+    const second = await callTool(client, 'sql_search', {
+      ...DEMO, sql: 'select sample_id  FROM collections.demo.samples -- again\n where age > 40', ...FAST
+    });
+    assert.equal(sqlRequests(), before);
+    assert.equal(second.structuredContent.cache.hit, true);
+    assert.deepEqual(second.structuredContent.rows, first.structuredContent.rows);
+    assert.match(second.content[0].text, /Cached result/);
+
+    const bypassed = await callTool(client, 'sql_search', { ...DEMO, sql, bypass_cache: true, ...FAST });
+    assert.equal(bypassed.structuredContent.cache.hit, false);
+    assert.equal(sqlRequests(), before + 1);
+  });
+
+  test('federated_query reports cache hits per target and can bypass the cache', async () => {
+    const args = { targets: [SAMPLES], sql: 'SELECT sample_id FROM {table} WHERE age < 40', ...FAST };
+    const first = await callTool(client, 'federated_query', args);
+    assert.deepEqual(first.structuredContent.targets[0].cache, { hit: false, age_seconds: null });
+
+    const before = sqlRequests();
+    const second = await callTool(client, 'federated_query', args);
+    assert.equal(sqlRequests(), before);
+    assert.equal(second.structuredContent.targets[0].cache.hit, true);
+    assert.match(second.content[0].text, /\(cached \d+s ago\)[\s\S]*pass bypass_cache: true/);
+
+    const bypassed = await callTool(client, 'federated_query', { ...args, bypass_cache: true });
+    assert.equal(bypassed.structuredContent.targets[0].cache.hit, false);
+    assert.equal(sqlRequests(), before + 1);
+  });
+
+  test('count_rows caches per filter payload', async () => {
+    await callTool(client, 'count_rows', { ...VARIANTS, filters: { chrom: 'chrX' } });
+    const before = countRequests();
+    const shorthand = await callTool(client, 'count_rows', { ...VARIANTS, filters: { chrom: 'chrX' } });
+    const explicit = await callTool(client, 'count_rows', { ...VARIANTS, filters: { field: 'chrom', op: 'eq', value: 'chrX' } });
+    assert.equal(countRequests(), before);
+    assert.equal(shorthand.structuredContent.cache.hit, true);
+    assert.equal(explicit.structuredContent.cache.hit, true);
+
+    await callTool(client, 'count_rows', { ...VARIANTS, filters: { chrom: 'chrY' } });
+    assert.equal(countRequests(), before + 1);
+  });
+
+  test('results are not shared across access tokens', async () => {
+    const locked = { network: 'mock', collection_slug: 'locked', table_name: 'collections.locked.samples' };
+    await callTool(client, 'count_rows', { ...locked, access_token: 'mock-token' });
+    const denied = await callTool(client, 'count_rows', locked, { allowError: true });
+    assert.equal(denied.isError, true);
+    assert.match(errorText(denied), /HTTP 401/);
+  });
+});
+
+describe('query audit log', () => {
+  test('get_query_history lists this session\'s queries, newest first', async () => {
+    // A second server process is a separate session on the same log
+    const session = await connectStdio(environment.env);
+    try {
+      await callTool(session, 'sql_search', { ...DEMO, sql: 'SELECT * FROM collections.demo.samples', ...FAST });
+      await callTool(session, 'query_table', { ...VARIANTS, filters: { chrom: 'chr1' } });
+      await callTool(session, 'count_rows', { ...SAMPLES, access_token: 'mock-token' });
+      await callTool(session, 'list_tables', DEMO);
+
+      const { structuredContent } = await callTool(session, 'get_query_history', {});
+      assert.deepEqual(structuredContent.entries.map(e => e.tool), ['count_rows', 'query_table', 'sql_search']);
+      const [count, query, sql] = structuredContent.entries;
+      assert.equal(count.count, 4);
+      assert.equal(count.arguments.access_token, undefined);
+      assert.deepEqual(query.arguments.filters, { chrom: 'chr1' });
+      assert.equal(query.rows, 3);
+      assert.equal(sql.arguments.sql, 'SELECT * FROM collections.demo.samples');
+      assert.match(sql.executed_sql, /^SELECT \* FROM collections\.demo\.samples LIMIT \d+$/);
+      assert.equal(sql.rows, 2); // The first page
+      assert.ok(structuredContent.entries.every(e => e.outcome === 'ok' && e.network === 'mock' && e.collection === 'demo'));
+
+      const filtered = await callTool(session, 'get_query_history', { tool: 'sql_search' });
+      assert.equal(filtered.structuredContent.total, 1);
+
+      const everything = await callTool(session, 'get_query_history', { all_sessions: true, limit: 200 });
+      assert.ok(everything.structuredContent.total > 3);
+    } finally {
+      await session.close();
+    }
+  });
+
+  test('every tool that runs a query is recorded with the SQL it ran', async () => {
+    const session = await connectStdio(environment.env);
+    try {
+      await callTool(session, 'profile_column', { ...SAMPLES, column: 'age', ...FAST });
+      await callTool(session, 'explain_sql', { ...DEMO, sql: 'SELECT * FROM collections.demo.samples', ...FAST });
+      await callTool(session, 'federated_query', {
+        targets: [SAMPLES], sql: 'SELECT count(*) AS n FROM {table}', ...FAST
+      });
+
+      const { structuredContent } = await callTool(session, 'get_query_history', {});
+      const [federated, explain, profile] = structuredContent.entries;
+      assert.deepEqual(structuredContent.entries.map(e => e.tool), ['federated_query', 'explain_sql', 'profile_column']);
+      assert.match(federated.executed_sql, /^SELECT count\(\*\) AS n FROM .*samples/);
+      assert.match(explain.executed_sql, /^EXPLAIN /);
+      assert.ok(profile.executed_sql.split(';\n').length > 1, 'each profile statement is listed');
+      assert.ok(profile.executed_sql.includes('"age"'));
+    } finally {
+      await session.close();
+    }
+  });
+
+  test('failed queries are recorded and tokens never are', async () => {
+    await callTool(client, 'sql_search', { ...DEMO, sql: 'SELECT fail_me FROM collections.demo.samples', ...FAST }, { allowError: true });
+    const { structuredContent } = await callTool(client, 'get_query_history', { limit: 1 });
+    assert.equal(structuredContent.entries[0].outcome, 'error');
+    assert.ok(structuredContent.entries[0].error);
+
+    const log = await readFile(environment.env.OMICS_AUDIT_LOG, 'utf8');
+    assert.ok(!log.includes('mock-token'));
+  });
+
+  test('per-target tokens of federated_query are never recorded', async () => {
+    // A token the server doesn't know, so only stripping it keeps it out
+    await callTool(client, 'federated_query', {
+      targets: [{ ...SAMPLES, access_token: 'partner-secret-xyz' }], sql: 'SELECT * FROM {table}', ...FAST
+    });
+    const { structuredContent } = await callTool(client, 'get_query_history', { limit: 1 });
+    assert.equal(structuredContent.entries[0].tool, 'federated_query');
+    assert.deepEqual(structuredContent.entries[0].arguments.targets, [SAMPLES]);
+
+    const log = await readFile(environment.env.OMICS_AUDIT_LOG, 'utf8');
+    assert.ok(!log.includes('partner-secret-xyz'));
+  });
+});
+
+describe('cohorts', () => {
+  const SOD1 = { ...VARIANTS, name: 'SOD1 variants', filters: { gene: 'SOD1' } };
+
+  before(async () => {
+    await callTool(client, 'save_cohort', { ...SOD1, description: 'Variants in SOD1' });
+  });
+
+  test('save_cohort stores a versioned definition', async () => {
+    const { structuredContent } = await callTool(client, 'get_cohort', { name: 'SOD1 variants' });
+    assert.equal(structuredContent.revision, 1);
+    assert.equal(structuredContent.description, 'Variants in SOD1');
+    assert.match(structuredContent.sql_condition, /"gene" = 'SOD1'/);
+
+    const file = JSON.parse(await readFile(environment.env.OMICS_COHORTS_FILE, 'utf8'));
+    assert.equal(file.version, 1);
+    assert.ok(file.cohorts.some(c => c.name === 'SOD1 variants'));
+  });
+
+  test('count_rows and query_table combine the cohort with their own filters', async () => {
+    const all = await callTool(client, 'count_rows', { ...VARIANTS, cohort: 'SOD1 variants' });
+    assert.equal(all.structuredContent.count, 3);
+    assert.equal(all.structuredContent.cohort.revision, 1);
+
+    const common = await callTool(client, 'count_rows', { ...VARIANTS, cohort: 'SOD1 variants', filters: { field: 'af', op: 'gte', value: 0.1 } });
+    assert.equal(common.structuredContent.count, 1);
+
+    const { structuredContent, content } = await callTool(client, 'query_table', { ...VARIANTS, cohort: 'SOD1 variants' });
+    assert.deepEqual(structuredContent.rows.map(r => r.pos), [100, 250, 300]);
+    assert.match(content[0].text, /in cohort 'SOD1 variants'/);
+  });
+
+  test('sql_search substitutes {cohort} with a subquery', async () => {
+    const { structuredContent } = await callTool(client, 'sql_search', {
+      ...DEMO, cohort: 'SOD1 variants', sql: 'SELECT pos FROM {cohort} c', ...FAST
+    });
+    assert.match(structuredContent.sql, /FROM \(SELECT \* FROM "collections"\."demo"\."variants" WHERE "gene" = 'SOD1'\) c/);
+    assert.equal(structuredContent.cohort.name, 'SOD1 variants');
+
+    const missing = await callTool(client, 'sql_search', {
+      ...DEMO, cohort: 'SOD1 variants', sql: 'SELECT pos FROM collections.demo.variants', ...FAST
+    }, { allowError: true });
+    assert.match(errorText(missing), /\{cohort\}/);
+  });
+
+  test('a cohort only applies to its own table', async () => {
+    const result = await callTool(client, 'count_rows', { ...SAMPLES, cohort: 'SOD1 variants' }, { allowError: true });
+    assert.match(errorText(result), /defined on mock \/ demo \/ collections\.demo\.variants/);
+  });
+
+  test('saving over a cohort needs replace and bumps the revision', async () => {
+    const duplicate = await callTool(client, 'save_cohort', SOD1, { allowError: true });
+    assert.match(errorText(duplicate), /already exists.*replace: true/);
+
+    const { structuredContent } = await callTool(client, 'save_cohort', { ...SOD1, filters: { gene: 'SOD1', chrom: 'chr1' }, replace: true });
+    assert.equal(structuredContent.revision, 2);
+    assert.equal(structuredContent.created_at <= structuredContent.updated_at, true);
+  });
+
+  test('save_cohort checks filters and SQL conditions', async () => {
+    const typo = await callTool(client, 'save_cohort', { ...VARIANTS, name: 'typo', filters: { gen: 'SOD1' } }, { allowError: true });
+    assert.match(errorText(typo), /Failed to save cohort/);
+
+    const both = await callTool(client, 'save_cohort', { ...VARIANTS, name: 'both', filters: { gene: 'SOD1' }, where: 'af > 0.1' }, { allowError: true });
+    assert.match(errorText(both), /exactly one of filters or where/);
+
+    const injected = await callTool(client, 'save_cohort', { ...VARIANTS, name: 'injected', where: 'af > 0.1); DROP TABLE x; --' }, { allowError: true });
+    assert.match(errorText(injected), /Failed to save cohort/);
+  });
+
+  test('a SQL-condition cohort works with sql_search only', async () => {
+    await callTool(client, 'save_cohort', { ...VARIANTS, name: 'common', where: 'af >= 0.05 -- common enough' });
+    const { structuredContent } = await callTool(client, 'sql_search', {
+      ...DEMO, cohort: 'common', sql: 'SELECT count(*) AS n FROM {cohort}', ...FAST
+    });
+    assert.match(structuredContent.sql, /WHERE af >= 0\.05\)/);
+
+    const filtered = await callTool(client, 'query_table', { ...VARIANTS, cohort: 'common' }, { allowError: true });
+    assert.match(errorText(filtered), /use it with sql_search/);
+  });
+
+  test('unknown names get suggestions, and cohorts can be listed and deleted', async () => {
+    const unknown = await callTool(client, 'count_rows', { ...VARIANTS, cohort: 'SOD1 variant' }, { allowError: true });
+    assert.match(errorText(unknown), /Did you mean: SOD1 variants/);
+
+    await callTool(client, 'save_cohort', { ...SAMPLES, name: 'older samples', filters: { field: 'age', op: 'gt', value: 40 } });
+    const listed = await callTool(client, 'list_cohorts', { collection_slug: 'demo' });
+    assert.ok(listed.structuredContent.cohorts.some(c => c.name === 'older samples'));
+
+    const deleted = await callTool(client, 'delete_cohort', { name: 'older samples' });
+    assert.equal(deleted.structuredContent.name, 'older samples');
+    const after = await callTool(client, 'list_cohorts', {});
+    assert.ok(!after.structuredContent.cohorts.some(c => c.name === 'older samples'));
+  });
+});